@@ -1,3 +1,4 @@
+/* eslint-env node */
 module.exports = {
   debug: function debug(x) {
     const verbose = process.env.LOG_DEBUG ? true : false;
@@ -17,4 +18,30 @@ module.exports = {
   error: function (x) {
     console.error(x);
   },
+
+  /**
+   * Creates an error that looks like a failed AWS SDK request, so storage adapters other than
+   * S3 can signal problems (like a missing object: 404) in the same way as the S3 adapter.
+   *
+   * @param {number} httpStatusCode
+   * @param {string} message
+   * @returns {Error & { $metadata: { httpStatusCode: number } }}
+   */
+  storageError: function (httpStatusCode, message) {
+    return Object.assign(new Error(message), {
+      $metadata: { httpStatusCode },
+    });
+  },
+
+  /**
+   * @param {import("stream").Readable} stream
+   * @returns {Promise<Buffer>}
+   */
+  streamToBuffer: async function (stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  },
 };
@@ -0,0 +1,183 @@
+/* eslint-env node */
+const { Transform } = require("stream");
+
+const FileType = require("file-type");
+
+/**
+ * Detection of the real type of a file, based on the first bytes of its contents
+ * (the 'magic bytes'), to find files that have been given a wrong extension or content type,
+ * like an .exe renamed to .png. The detection itself is done by the file-type package.
+ *
+ * Only binary formats with a recognizable signature can be detected (and xml). For other
+ * text based formats (txt, csv, json, ...) the detected type is undefined.
+ */
+
+/** The number of bytes file-type needs to detect all the types it knows */
+const SNIFF_LENGTH = 4100;
+
+/**
+ * The formats that share their container (like all the ISO base media files: mp4, mov, m4a,
+ * heic, ...) are detected as any of them, so they are all considered to match.
+ */
+const isoBaseMediaTypes = [
+  "video/mp4",
+  "audio/mp4",
+  "audio/x-m4a",
+  "video/x-m4v",
+  "video/quicktime",
+  "video/3gpp",
+  "video/3gpp2",
+  "image/heic",
+  "image/heic-sequence",
+  "image/heif",
+  "image/heif-sequence",
+  "image/avif",
+];
+const matroskaTypes = [
+  "video/webm",
+  "audio/webm",
+  "video/x-matroska",
+  "audio/x-matroska",
+];
+const oggTypes = ["audio/ogg", "video/ogg", "application/ogg", "audio/opus"];
+const asfTypes = [
+  "application/vnd.ms-asf",
+  "video/x-ms-asf",
+  "audio/x-ms-asf",
+  "video/x-ms-wmv",
+  "audio/x-ms-wma",
+];
+
+/**
+ * @param {Array<string>} family
+ * @returns {Record<string, Array<string>>} every type of the family mapped to all of them
+ */
+const compatibleWithEachOther = (family) =>
+  Object.fromEntries(family.map((mimetype) => [mimetype, family]));
+
+/**
+ * Some detected types are containers for many other formats (a .docx is a zip file, an old
+ * .doc is a Compound File, ...). A file of any of these types is considered to match
+ * the detected container type. Other types just have another name in the mime database (which
+ * derives the type from the extension) than the one file-type reports.
+ *
+ * @type {Record<string, Array<string | RegExp>>}
+ */
+const compatibleMimeTypes = {
+  ...compatibleWithEachOther(isoBaseMediaTypes),
+  ...compatibleWithEachOther(matroskaTypes),
+  ...compatibleWithEachOther(oggTypes),
+  ...compatibleWithEachOther(asfTypes),
+  "application/zip": [
+    "application/x-zip-compressed",
+    /^application\/vnd\.openxmlformats-officedocument\./,
+    /^application\/vnd\.oasis\.opendocument\./,
+    /^application\/vnd\.ms-[a-z]+\.[a-z.]+\.macroenabled\./,
+    "application/epub+zip",
+    "application/java-archive",
+    "application/vnd.android.package-archive",
+  ],
+  "application/x-cfb": [
+    "application/msword",
+    "application/vnd.ms-excel",
+    "application/vnd.ms-powerpoint",
+    "application/vnd.ms-outlook",
+    "application/vnd.visio",
+  ],
+  "application/gzip": ["application/x-gzip", "application/x-tar"],
+  "application/x-rar-compressed": ["application/vnd.rar"],
+  "application/x-msdownload": [
+    "application/x-msdos-program",
+    "application/vnd.microsoft.portable-executable",
+  ],
+  "application/xml": ["text/xml", /\+xml$/],
+  "application/eps": ["application/postscript"],
+  "audio/vnd.wave": ["audio/wav", "audio/wave", "audio/x-wav"],
+  "audio/x-flac": ["audio/flac"],
+  "audio/aac": ["audio/x-aac"],
+  "video/vnd.avi": ["video/x-msvideo", "video/avi"],
+  "image/apng": ["image/png"],
+  "image/x-icon": ["image/vnd.microsoft.icon"],
+};
+
+/**
+ * @param {Buffer} buffer the first bytes of a file (at least SNIFF_LENGTH, unless the file
+ *  is smaller)
+ * @returns {Promise<string | undefined>} the detected mime type, or undefined if unknown
+ */
+async function detectMimeType(buffer) {
+  try {
+    const detected = await FileType.fromBuffer(buffer);
+    return detected ? detected.mime : undefined;
+  } catch (err) {
+    // the first bytes look like a known format, but the rest of them is corrupt
+    return undefined;
+  }
+}
+
+/**
+ * Checks if a claimed mime type (derived from the extension or sent by the client) is
+ * consistent with the detected one.
+ * When nothing was detected, or nothing specific was claimed (application/octet-stream),
+ * there is no reason to assume a mismatch.
+ *
+ * @param {string | undefined} detectedMimeType
+ * @param {string | false | undefined} claimedMimeType
+ * @returns {boolean}
+ */
+function isMimeTypeCompatible(detectedMimeType, claimedMimeType) {
+  if (!detectedMimeType || !claimedMimeType) {
+    return true;
+  }
+  const claimed = claimedMimeType.split(";")[0].trim().toLowerCase();
+  if (claimed === "application/octet-stream" || claimed === detectedMimeType) {
+    return true;
+  }
+  return (compatibleMimeTypes[detectedMimeType] || []).some((m) =>
+    m instanceof RegExp ? m.test(claimed) : m === claimed
+  );
+}
+
+/**
+ * Creates a stream that passes through all data unchanged, and calls onDetected with the
+ * detected mime type (or undefined) as soon as enough bytes have passed. The stream only
+ * ends after that.
+ *
+ * @param {(mimetype: string | undefined) => void} onDetected
+ * @returns {Transform}
+ */
+function createMimeTypeSniffer(onDetected) {
+  let head = Buffer.alloc(0);
+  let detected = false;
+
+  const detect = async () => {
+    if (!detected) {
+      detected = true;
+      onDetected(await detectMimeType(head));
+    }
+  };
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (detected) {
+        callback(null, chunk);
+        return;
+      }
+      head = Buffer.concat([head, chunk]);
+      if (head.length < SNIFF_LENGTH) {
+        callback(null, chunk);
+        return;
+      }
+      detect().then(() => callback(null, chunk), callback);
+    },
+    flush(callback) {
+      detect().then(() => callback(), callback);
+    },
+  });
+}
+
+module.exports = {
+  detectMimeType,
+  isMimeTypeCompatible,
+  createMimeTypeSniffer,
+};
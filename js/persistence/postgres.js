@@ -0,0 +1,381 @@
+/* eslint-env node */
+
+/**
+ * @typedef { import("../sri4node-attachments").TSriRequest } TSriRequest
+ * @typedef { import("../sri4node-attachments").IDatabase } IDatabase
+ * @typedef { import("../sri4node-attachments").TRunAfterUploadFun } TRunAfterUploadFun
+ * @typedef { import("../sri4node-attachments").TGetFileNameHandlerFun } TGetFileNameHandlerFun
+ * @typedef { import("../sri4node-attachments").TAfterHandlerFun } TAfterHandlerFun
+ * @typedef { import("../sri4node-attachments").TGetAttJsonFun } TGetAttJsonFun
+ * @typedef { import("../sri4node-attachments").TListAttachmentsFun } TListAttachmentsFun
+ * @typedef { import("../sri4node-attachments").TRunAfterUpdateFun } TRunAfterUpdateFun
+ * @typedef { import("../sri4node-attachments").TRunAfterRenameFun } TRunAfterRenameFun
+ * @typedef { import("../sri4node-attachments").TMultiPartSingleBodyForAfterUploadHandler } TMultiPartSingleBodyForAfterUploadHandler
+ *
+ * The names of the columns of the table. Only key, resource and filename are required, the
+ * other columns can be set to null when the table does not have them. Attachments are only
+ * marked as deleted (instead of removed) when the table has a deleted column, which is not
+ * used by default.
+ * @typedef { {
+ *    key: string,
+ *    resource: string,
+ *    filename: string,
+ *    originalFilename: string | null,
+ *    contentType: string | null,
+ *    size: string | null,
+ *    hash: string | null,
+ *    description: string | null,
+ *    created: string | null,
+ *    modified: string | null,
+ *    deleted: string | null,
+ * } } TPostgresPersistenceColumns
+ *
+ * @typedef { {
+ *    table: string,
+ *    columns?: Partial<TPostgresPersistenceColumns>,
+ * } } TPostgresPersistenceConfig
+ *
+ * The callbacks for the routes of sri4nodeAttachmentUtilsFactory.
+ * @typedef { {
+ *    runAfterUpload: TRunAfterUploadFun,
+ *    getFileName: TGetFileNameHandlerFun,
+ *    afterDelete: TAfterHandlerFun,
+ *    getAttJson: TGetAttJsonFun,
+ *    listAttachments: TListAttachmentsFun,
+ *    runAfterUpdate: TRunAfterUpdateFun,
+ *    runAfterRename: TRunAfterRenameFun,
+ *    deleteAttachmentsOfResource: (
+ *      tx: IDatabase,
+ *      resourceKey: string,
+ *      options?: { soft?: boolean },
+ *    ) => Promise<void>,
+ *    softDeletes: boolean, // whether attachments can be marked as deleted (with a deleted column)
+ * } } TPostgresPersistence
+ */
+
+/** @type {TPostgresPersistenceColumns} */
+const DEFAULT_COLUMNS = {
+  key: "key",
+  resource: "resource",
+  filename: "filename",
+  originalFilename: "originalfilename",
+  contentType: "contenttype",
+  size: "size",
+  hash: "hash",
+  description: "description",
+  created: "$$meta.created",
+  modified: "$$meta.modified",
+  deleted: null,
+};
+
+/**
+ * @param {string} name
+ * @returns {string} the name as a quoted sql identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * @param {Date | string | null | undefined} timestamp
+ * @returns {string | undefined}
+ */
+function toIsoString(timestamp) {
+  if (timestamp === null || timestamp === undefined) {
+    return undefined;
+  }
+  return timestamp instanceof Date ? timestamp.toISOString() : timestamp;
+}
+
+/**
+ * Stores the attachments of a resource in a postgres table, with the callbacks that the routes
+ * of sri4nodeAttachmentUtilsFactory need, so an application does not have to write them itself.
+ * All queries run in the transaction (tx) of the sri4node request.
+ *
+ * A row has the key of the attachment (unique), the key of its resource, the (safe) filename,
+ * the original filename, content type, size and hash of the file, the description and the
+ * $$meta.created and $$meta.modified timestamps. Uploading an attachment with an existing key
+ * replaces its row.
+ *
+ * @param {TPostgresPersistenceConfig} config the table (can be prefixed with a schema) and the
+ *  names of its columns that differ from the defaults
+ * @returns {TPostgresPersistence}
+ */
+function postgresPersistenceFactory({ table, columns = {} }) {
+  /** @type {TPostgresPersistenceColumns} */
+  const cols = { ...DEFAULT_COLUMNS, ...columns };
+  if (!table) {
+    throw new Error("[postgresPersistenceFactory] a table is required");
+  }
+  ["key", "resource", "filename"].forEach((name) => {
+    if (!cols[name]) {
+      throw new Error(
+        `[postgresPersistenceFactory] the ${name} column is required`
+      );
+    }
+  });
+  const tableName = table.split(".").map(quoteIdentifier).join(".");
+
+  /**
+   * @param {keyof TPostgresPersistenceColumns} name
+   * @returns {string}
+   */
+  const col = (name) => quoteIdentifier(cols[name]);
+
+  /** the condition to leave out the attachments that are marked as deleted */
+  const notDeleted = cols.deleted ? ` AND ${col("deleted")} = false` : "";
+
+  /**
+   * @param {Partial<Record<keyof TPostgresPersistenceColumns, any>>} values
+   * @returns {Array<[any, any]>} the [name, value] pairs of the columns the table has
+   */
+  const storedValues = (values) =>
+    Object.entries(values).filter(([name]) => cols[name]);
+
+  /**
+   * @param {TSriRequest} sriRequest
+   * @param {string} resourceKey
+   * @param {Record<string, any>} row
+   * @returns {any} the json of the attachment
+   */
+  function toAttJson(sriRequest, resourceKey, row) {
+    const value = (name) =>
+      cols[name] && row[cols[name]] !== null ? row[cols[name]] : undefined;
+    const href = `${sriRequest.sriType}/${resourceKey}/attachments/${value(
+      "key"
+    )}`;
+    const size = value("size");
+    return {
+      $$meta: {
+        created: toIsoString(value("created")),
+        modified: toIsoString(value("modified")),
+        permalink: href,
+      },
+      href,
+      key: value("key"),
+      name: value("filename"),
+      originalFilename: value("originalFilename"),
+      contentType: value("contentType"),
+      // a bigint column is returned as a string
+      size: size !== undefined ? Number(size) : undefined,
+      hash: value("hash"),
+      description: value("description"),
+    };
+  }
+
+  /**
+   * @param {IDatabase} tx
+   * @param {string} resourceKey
+   * @param {string} attachmentKey
+   * @param {Partial<Record<keyof TPostgresPersistenceColumns, any>>} values
+   * @returns {Promise<void>}
+   */
+  async function updateAttachment(tx, resourceKey, attachmentKey, values) {
+    const stored = storedValues(values);
+    const assignments = [
+      ...stored.map(([name], i) => `${col(name)} = $${i + 3}`),
+      ...(cols.modified ? [`${col("modified")} = now()`] : []),
+    ];
+    if (!assignments.length) {
+      return;
+    }
+    await tx.none(
+      `UPDATE ${tableName} SET ${assignments.join(", ")} WHERE ${col(
+        "key"
+      )} = $1 AND ${col("resource")} = $2`,
+      [attachmentKey, resourceKey, ...stored.map(([, v]) => v)]
+    );
+  }
+
+  /**
+   * @param {IDatabase} tx
+   * @param {TMultiPartSingleBodyForAfterUploadHandler} att
+   * @returns {Promise<void>}
+   */
+  async function storeAttachment(tx, { file, attachment, resource }) {
+    if (!file) {
+      // no file was uploaded, only the metadata changes
+      await updateAttachment(tx, resource.key, attachment.key, {
+        description: attachment.description,
+      });
+      return;
+    }
+    const stored = storedValues({
+      key: attachment.key,
+      resource: resource.key,
+      filename: file.filename,
+      originalFilename: file.originalFilename,
+      contentType: file.mimetype,
+      size: file.size,
+      hash: file.hash,
+      description: attachment.description,
+      deleted: false,
+    }).map(([name, v]) => [name, v === undefined ? null : v]);
+    const timestamps = ["created", "modified"].filter((name) => cols[name]);
+    const updates = [
+      ...stored
+        .filter(([name]) => name !== "key")
+        .map(([name]) => `${col(name)} = EXCLUDED.${col(name)}`),
+      ...(cols.modified ? [`${col("modified")} = now()`] : []),
+    ];
+    await tx.none(
+      `INSERT INTO ${tableName} (${[
+        ...stored.map(([name]) => col(name)),
+        ...timestamps.map(col),
+      ].join(", ")}) VALUES (${[
+        ...stored.map((_, i) => `$${i + 1}`),
+        ...timestamps.map(() => "now()"),
+      ].join(", ")}) ON CONFLICT (${col("key")}) DO UPDATE SET ${updates.join(
+        ", "
+      )}`,
+      stored.map(([, v]) => v)
+    );
+  }
+
+  /** @type {TRunAfterUploadFun} */
+  async function runAfterUpload(tx, _sriRequest, att) {
+    for (const a of Array.isArray(att) ? att : [att]) {
+      // eslint-disable-next-line no-await-in-loop
+      await storeAttachment(tx, a);
+    }
+  }
+
+  /**
+   * @param {TSriRequest} sriRequest
+   * @param {string} attachmentKey
+   * @returns {Error} the 404 for an attachment that does not exist (anymore)
+   */
+  function attachmentNotFound(sriRequest, attachmentKey) {
+    return new sriRequest.SriError({
+      status: 404,
+      errors: [
+        {
+          code: "attachment.not.found",
+          type: "ERROR",
+          message: `Unable to find attachment [${attachmentKey}]`,
+        },
+      ],
+    });
+  }
+
+  /** @type {TGetFileNameHandlerFun} */
+  async function getFileName(tx, sriRequest, resourceKey, attachmentKey) {
+    const row = await tx.oneOrNone(
+      `SELECT ${col("filename")} FROM ${tableName} WHERE ${col(
+        "key"
+      )} = $1 AND ${col("resource")} = $2${notDeleted}`,
+      [attachmentKey, resourceKey]
+    );
+    if (!row) {
+      throw attachmentNotFound(sriRequest, attachmentKey);
+    }
+    return row[cols.filename];
+  }
+
+  /** @type {TAfterHandlerFun} */
+  async function afterDelete(tx, _sriRequest, resourceKey, attachmentKey) {
+    await tx.none(
+      `DELETE FROM ${tableName} WHERE ${col("key")} = $1 AND ${col(
+        "resource"
+      )} = $2`,
+      [attachmentKey, resourceKey]
+    );
+  }
+
+  /** @type {TGetAttJsonFun} */
+  async function getAttJson(tx, sriRequest, resourceKey, attachmentKey) {
+    const row = await tx.oneOrNone(
+      `SELECT * FROM ${tableName} WHERE ${col("key")} = $1 AND ${col(
+        "resource"
+      )} = $2${notDeleted}`,
+      [attachmentKey, resourceKey]
+    );
+    if (!row) {
+      throw attachmentNotFound(sriRequest, attachmentKey);
+    }
+    return toAttJson(sriRequest, resourceKey, row);
+  }
+
+  /** @type {TListAttachmentsFun} */
+  async function listAttachments(tx, sriRequest, resourceKey) {
+    const rows = await tx.any(
+      `SELECT * FROM ${tableName} WHERE ${col(
+        "resource"
+      )} = $1${notDeleted} ORDER BY ${col("filename")}, ${col("key")}`,
+      [resourceKey]
+    );
+    return rows.map((row) => toAttJson(sriRequest, resourceKey, row));
+  }
+
+  /** @type {TRunAfterUpdateFun} */
+  async function runAfterUpdate(tx, _sriRequest, att) {
+    await updateAttachment(tx, att.resource.key, att.attachment.key, {
+      filename: att.file,
+      ...(att.originalFilename !== undefined
+        ? { originalFilename: att.originalFilename }
+        : {}),
+      ...("description" in att.attachment
+        ? { description: att.attachment.description }
+        : {}),
+    });
+  }
+
+  /** @type {TRunAfterRenameFun} */
+  async function runAfterRename(tx, _sriRequest, att) {
+    await updateAttachment(tx, att.resource.key, att.attachment.key, {
+      filename: att.file,
+      ...(att.originalFilename !== undefined
+        ? { originalFilename: att.originalFilename }
+        : {}),
+    });
+  }
+
+  /**
+   * Removes the attachments of a resource, or only marks them as deleted with options.soft
+   * (which throws when the table has no deleted column).
+   *
+   * @param {IDatabase} tx
+   * @param {string} resourceKey
+   * @param {{ soft?: boolean }} [options]
+   * @returns {Promise<void>}
+   */
+  async function deleteAttachmentsOfResource(
+    tx,
+    resourceKey,
+    { soft = false } = {}
+  ) {
+    if (!soft) {
+      await tx.none(`DELETE FROM ${tableName} WHERE ${col("resource")} = $1`, [
+        resourceKey,
+      ]);
+    } else if (!cols.deleted) {
+      throw new Error(
+        `[postgresPersistenceFactory] unable to mark the attachments of [${resourceKey}] as deleted without a deleted column`
+      );
+    } else {
+      await tx.none(
+        `UPDATE ${tableName} SET ${[
+          `${col("deleted")} = true`,
+          ...(cols.modified ? [`${col("modified")} = now()`] : []),
+        ].join(", ")} WHERE ${col("resource")} = $1${notDeleted}`,
+        [resourceKey]
+      );
+    }
+  }
+
+  return {
+    runAfterUpload,
+    getFileName,
+    afterDelete,
+    getAttJson,
+    listAttachments,
+    runAfterUpdate,
+    runAfterRename,
+    deleteAttachmentsOfResource,
+    softDeletes: !!cols.deleted,
+  };
+}
+
+module.exports = {
+  postgresPersistenceFactory,
+};
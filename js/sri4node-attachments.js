@@ -1,14 +1,36 @@
+/* eslint-env node */
 const pEvent = require("p-event");
-const S3 = require("@aws-sdk/client-s3");
-const { Upload } = require("@aws-sdk/lib-storage");
-const S3PresignedPost = require("@aws-sdk/s3-presigned-post");
 const mime = require("mime-types");
 const { v4: uuidv4 } = require("uuid");
-const { pipeline } = require("stream");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { pipeline, Readable, Transform } = require("stream");
 const { promisify } = require("util");
 
+const { streamToBuffer } = require("./common");
+const { createMimeTypeSniffer, isMimeTypeCompatible } = require("./file-type");
+const { createZipStream, getUniqueName, readZipDirectory } = require("./zip");
+const { s3StorageFactory } = require("./storage/s3");
+const { filesystemStorageFactory } = require("./storage/filesystem");
+const { memoryStorageFactory } = require("./storage/memory");
+const { postgresPersistenceFactory } = require("./persistence/postgres");
+const { attachmentsTestKitFactory } = require("./test-kit");
+
 const pipelineAsync = promisify(pipeline);
 
+/** The version of the tus protocol (https://tus.io/protocols/resumable-upload) we support */
+const TUS_VERSION = "1.0.0";
+
+/** S3 refuses to complete a multipart upload when a part (except the last) is smaller */
+const MIN_MULTIPART_PART_SIZE = 5 * 1024 * 1024;
+
+/** S3 does not allow more parts in a multipart upload */
+const MAX_MULTIPART_PARTS = 10000;
+
+/** The number of redirects that are followed when importing a file from a sourceUrl */
+const MAX_SOURCE_URL_REDIRECTS = 5;
+
 /**
  * When uploading a file via a POST multipart message, there must be a 'field' called body,
  * which describes which file(s) are being sent.
@@ -18,23 +40,72 @@ const pipelineAsync = promisify(pipeline);
  * and can also be a single object
  * @typedef { {
  *    file: string, // the  filename
- *    fileHref: string,
+ *    originalFilename?: string, // the filename as it was sent, before it was made safe
+ *    fileHref?: string, // only to copy a file, see TBodyForFileCopy
  *    attachment: {
  *      key: string,
  *      description?: string,
- *      name: string,
- *      href: string,
+ *      name?: string,
+ *      href?: string,
  *    },
  *    resource: {
  *      href: string,
  *    },
  *    ignoreNotFound?: boolean,
+ *    expandZip?: boolean,
  * } } TMultiPartSingleBodyForFileUploads
  *
  * @typedef { TMultiPartSingleBodyForFileUploads & { fileHref: string, originalFilename?: string } } TBodyForFileCopy
  *
  * @typedef { TMultiPartSingleBodyForFileUploads & { fileObj: TFileObj } } TMultiPartSingleBodyForFileUploadsWithFileObj
  *
+ * Instead of uploading the file, the client can let the server download it from a url
+ * (on one of the allowed hosts). The filename is derived from the url when omitted.
+ * @typedef { TMultiPartSingleBodyForFileUploads & { sourceUrl: string, originalFilename?: string } } TBodyForSourceUrlImport
+ *
+ * The body of the (multipart) upload route can mix uploaded, copied and imported files.
+ * @typedef { TMultiPartSingleBodyForFileUploads | TBodyForFileCopy | TBodyForSourceUrlImport } TBodyForUpload
+ *
+ * Only the metadata of an attachment can be changed with a PATCH. The file on the storage is
+ * left as it is, unless 'file' changes: then it is renamed.
+ * @typedef { {
+ *    file?: string,
+ *    attachment?: { key?: string, name?: string, description?: string },
+ * } } TBodyForMetadataUpdate
+ *
+ * For clients that can only send json, the contents of the file can be sent base64 encoded,
+ * with optionally the mime type (derived from the filename when omitted).
+ * @typedef { TMultiPartSingleBodyForFileUploads & { content: string, mimetype?: string } } TBodyForBase64Upload
+ *
+ * For a presigned upload the client announces the file it is going to upload: its size in
+ * bytes and optionally its mime type (derived from the filename when omitted).
+ * @typedef { TMultiPartSingleBodyForFileUploads & { size: number, mimetype?: string } } TBodyForPresignedUpload
+ *
+ * After the presigned upload, the client sends the same json again, with the uploadKey it got.
+ * @typedef { TMultiPartSingleBodyForFileUploads & { uploadKey: string } } TBodyForPresignedUploadFinalize
+ *
+ * All the calls after starting a multipart upload identify it with the uploadKey and the
+ * uploadId that were returned when it was started.
+ * @typedef { TBodyForPresignedUploadFinalize & {
+ *    uploadId: string,
+ *    partNumbers?: Array<number>,
+ *    parts?: Array<{ partNumber: number, etag: string }>,
+ * } } TBodyForMultipartUpload
+ *
+ * What is kept on the storage about a multipart upload that is in progress, so later calls
+ * can be verified to be about the same attachment.
+ * @typedef { {
+ *    file: string,
+ *    originalFilename?: string,
+ *    attachment: TMultiPartSingleBodyForFileUploads['attachment'],
+ *    resource: TMultiPartSingleBodyForFileUploads['resource'],
+ *    uploadKey: string,
+ *    uploadId: string,
+ * } } TStoredMultipartUpload
+ *
+ * What is kept on the storage about a tus upload that is in progress.
+ * @typedef { TStoredMultipartUpload & { uploadLength: number } } TTusUpload
+ *
  * @typedef { import("stream").Readable } TReadableStream
  *
  *
@@ -42,8 +113,11 @@ const pipelineAsync = promisify(pipeline);
  * This is contrary to the upload object where the 'file' property is the filename. Therefore
  * internally 'file' remains the filename and extra information is stored in the 'fileObj'
  * property.
- *  ==> Use another type for the after upload handler.
- * @typedef { Omit<TMultiPartSingleBodyForFileUploads, 'file'> & { file: TFileObj }} TMultiPartSingleBodyForAfterUploadHandler
+ *  ==> Use another type for the after upload handler, which also gets the key of the resource.
+ * @typedef { Omit<TMultiPartSingleBodyForFileUploads, 'file' | 'resource'> & {
+ *    file: TFileObj,
+ *    resource: { href: string, key: string },
+ * } } TMultiPartSingleBodyForAfterUploadHandler
  */
 
 /**
@@ -52,6 +126,7 @@ const pipelineAsync = promisify(pipeline);
  *  originalFilename?: string,
  *  tmpFileName?: string,
  *  mimetype: string,
+ *  detectedMimetype?: string,
  *  file?: import('stream').Readable,
  *  fields?: Record<string, any>,
  *  hash?: string,
@@ -88,6 +163,361 @@ function getSafeFilename(filename) {
   }
 }
 
+/**
+ * @param {string} mimetype f.e. "text/plain; charset=utf-8"
+ * @param {string} pattern f.e. "text/plain" or "image/*" (a wildcard type matches any type)
+ * @returns {boolean}
+ */
+function mimeTypeMatches(mimetype, pattern) {
+  const [type, subtype] = (mimetype || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase()
+    .split("/");
+  const [patternType, patternSubtype] = pattern.toLowerCase().split("/");
+  return (
+    (patternType === "*" || patternType === type) &&
+    (patternSubtype === "*" || patternSubtype === subtype)
+  );
+}
+
+/**
+ * @param {string} extension with or without leading dot, f.e. ".PNG" or "png"
+ * @returns {string} f.e. "png"
+ */
+function normalizeExtension(extension) {
+  return extension.replace(/^\./, "").toLowerCase();
+}
+
+/**
+ * Checks a file against the configured allow and deny lists of mime types and extensions.
+ * A file is allowed when it matches none of the denied mime types and extensions, and it matches
+ * the allowed mime types and extensions (if those lists are configured).
+ *
+ * @param {string} filename
+ * @param {string} mimetype
+ * @param {TFileTypeRestrictions} restrictions
+ * @returns {boolean}
+ */
+function isFileTypeAllowed(filename, mimetype, restrictions) {
+  const {
+    allowedMimeTypes,
+    deniedMimeTypes,
+    allowedExtensions,
+    deniedExtensions,
+  } = restrictions;
+  const extension = normalizeExtension(path.extname(filename || ""));
+
+  if ((deniedMimeTypes || []).some((p) => mimeTypeMatches(mimetype, p))) {
+    return false;
+  }
+  if ((deniedExtensions || []).map(normalizeExtension).includes(extension)) {
+    return false;
+  }
+  if (
+    allowedMimeTypes &&
+    !allowedMimeTypes.some((p) => mimeTypeMatches(mimetype, p))
+  ) {
+    return false;
+  }
+  if (
+    allowedExtensions &&
+    !allowedExtensions.map(normalizeExtension).includes(extension)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Converts a size in megabytes to bytes. Anything that is not a positive number means
+ * there is no limit, in which case undefined is returned.
+ *
+ * @param {number | undefined} sizeInMB
+ * @returns {number | undefined}
+ */
+function megabytesToBytes(sizeInMB) {
+  return sizeInMB > 0 && Number.isFinite(sizeInMB)
+    ? Math.floor(sizeInMB * 1024 * 1024)
+    : undefined;
+}
+
+/**
+ * Type guard to find the failures in the results of Promise.allSettled.
+ *
+ * @param {PromiseSettledResult<unknown>} result
+ * @returns {result is PromiseRejectedResult}
+ */
+function isRejected(result) {
+  return result.status === "rejected";
+}
+
+/**
+ * Pipes the source stream into the transform stream, and forwards errors of the source.
+ *
+ * When the transform fails, the source stream is not destroyed (busboy would stall if one of
+ * its file streams got destroyed), the remaining data is simply drained instead.
+ *
+ * @param {TReadableStream} source
+ * @param {import("stream").Transform} transform
+ * @returns {TReadableStream}
+ */
+function pipeWithoutDestroyingSource(source, transform) {
+  source.on("error", (err) => transform.destroy(err));
+  transform.on("error", () => {
+    source.unpipe(transform);
+    source.resume();
+  });
+  source.pipe(transform);
+  return transform;
+}
+
+/**
+ * Returns a stream that passes through all data of the source stream, but fails with the error
+ * created by createError as soon as more than maxBytes have passed.
+ *
+ * @param {TReadableStream} source
+ * @param {number} maxBytes
+ * @param {() => Error} createError
+ * @returns {TReadableStream}
+ */
+function limitStreamSize(source, maxBytes, createError) {
+  let size = 0;
+  const limiter = new Transform({
+    transform(chunk, _encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(createError());
+      } else {
+        callback(null, chunk);
+      }
+    },
+  });
+  return pipeWithoutDestroyingSource(source, limiter);
+}
+
+/**
+ * Parses the Range header of a download request for a file of the given size.
+ * Only a single byte range is supported (bytes=0-99, bytes=100- or bytes=-100), anything else
+ * (including multiple ranges) is ignored, which means the whole file will be sent.
+ *
+ * @param {string | undefined} rangeHeader
+ * @param {number} size
+ * @returns {TByteRange | null | undefined} the (inclusive) range, null if the range cannot be
+ *  satisfied or undefined if the header should be ignored
+ */
+function parseRangeHeader(rangeHeader, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((rangeHeader || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return undefined;
+  }
+  const [first, last] = [match[1], match[2]].map((x) =>
+    x === "" ? undefined : parseInt(x, 10)
+  );
+  if (first === undefined) {
+    // suffix range: the last n bytes
+    return last > 0 && size > 0
+      ? { start: Math.max(size - last, 0), end: size - 1 }
+      : null;
+  }
+  if (last !== undefined && last < first) {
+    return undefined;
+  }
+  if (first >= size) {
+    return null;
+  }
+  return {
+    start: first,
+    end: last === undefined ? size - 1 : Math.min(last, size - 1),
+  };
+}
+
+/**
+ * Checks the If-Range header of a download request: a range may only be sent when the file
+ * still has the given (strong) ETag or has not been modified since the given date.
+ *
+ * @param {string | undefined} ifRangeHeader
+ * @param {TStorageObjectMeta} meta
+ * @returns {boolean}
+ */
+function isIfRangeSatisfied(ifRangeHeader, meta) {
+  if (!ifRangeHeader) {
+    return true;
+  }
+  const ifRange = ifRangeHeader.trim();
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return !!meta.ETag && ifRange === meta.ETag;
+  }
+  const date = Date.parse(ifRange);
+  return (
+    !Number.isNaN(date) &&
+    !!meta.LastModified &&
+    Math.floor(new Date(meta.LastModified).getTime() / 1000) ===
+      Math.floor(date / 1000)
+  );
+}
+
+/**
+ * Checks the If-None-Match and If-Modified-Since headers of a download request, to find out
+ * if the client already has the current version of the file.
+ * If-Modified-Since is only looked at when there is no If-None-Match header, and ETags are
+ * compared weakly (W/"x" matches "x"), as described in RFC 9110.
+ *
+ * @param {Record<string, string | undefined>} headers the (lowercase) request headers
+ * @param {TStorageObjectMeta} meta
+ * @returns {boolean} true if a 304 Not Modified should be sent
+ */
+function isNotModified(headers, meta) {
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === "*") {
+      return true;
+    }
+    const weak = (etag) => etag.trim().replace(/^W\//, "");
+    return (
+      !!meta.ETag &&
+      ifNoneMatch.split(",").some((etag) => weak(etag) === weak(meta.ETag))
+    );
+  }
+  const ifModifiedSince = Date.parse(headers["if-modified-since"] || "");
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    !!meta.LastModified &&
+    Math.floor(new Date(meta.LastModified).getTime() / 1000) <=
+      Math.floor(ifModifiedSince / 1000)
+  );
+}
+
+/**
+ * Checks the If-Match header of a request that replaces, changes or deletes a file, so a client
+ * does not overwrite a version it has not seen. ETags are compared strongly (W/"x" never
+ * matches), as described in RFC 9110.
+ *
+ * @param {string | undefined} ifMatchHeader
+ * @param {TStorageObjectMeta | null | undefined} meta empty when there is no file (yet)
+ * @returns {boolean} false if a 412 Precondition Failed should be sent
+ */
+function isIfMatchSatisfied(ifMatchHeader, meta) {
+  if (!ifMatchHeader) {
+    return true;
+  }
+  if (!meta) {
+    return false;
+  }
+  if (ifMatchHeader.trim() === "*") {
+    return true;
+  }
+  return (
+    !!meta.ETag &&
+    ifMatchHeader.split(",").some((etag) => etag.trim() === meta.ETag)
+  );
+}
+
+/**
+ * Parses the Upload-Metadata header of a tus upload: a comma separated list of keys, each
+ * followed by a space and its base64 encoded value (the value can be left out).
+ *
+ * @param {string | undefined} uploadMetadataHeader
+ * @returns {Record<string, string> | undefined} the decoded metadata, or undefined if the
+ *  header is invalid
+ */
+function parseTusMetadata(uploadMetadataHeader) {
+  const entries = (uploadMetadataHeader || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter((pair) => pair !== "")
+    .map((pair) => {
+      const [key, value = "", ...rest] = pair.split(" ");
+      return rest.length === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(value)
+        ? [key, Buffer.from(value, "base64").toString("utf8")]
+        : undefined;
+    });
+  if (
+    entries.some((entry) => entry === undefined) ||
+    new Set(entries.map(([key]) => key)).size !== entries.length
+  ) {
+    return undefined;
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Gets the filename from a Content-Disposition header, like
+ * 'attachment; filename="report.pdf"' or 'attachment; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf'.
+ * The (UTF-8) extended filename* has precedence over filename.
+ *
+ * @param {string | undefined} contentDisposition
+ * @returns {string | undefined}
+ */
+function getFilenameFromContentDisposition(contentDisposition) {
+  const extended = /(?:^|;)\s*filename\*\s*=\s*UTF-8'[^']*'([^;\s]+)/i.exec(
+    contentDisposition || ""
+  );
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1]);
+    } catch (err) {
+      // an invalid extended filename is ignored
+    }
+  }
+  const plain =
+    /(?:^|;)\s*filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;\s"]+))/i.exec(
+      contentDisposition || ""
+    );
+  if (!plain) {
+    return undefined;
+  }
+  return plain[1] !== undefined ? plain[1].replace(/\\(.)/g, "$1") : plain[2];
+}
+
+/**
+ * Checks the host of a url against a list of allowed hosts. An entry can be a hostname
+ * (f.e. "files.example.com"), a hostname with a port (f.e. "localhost:8080") or a wildcard
+ * for all subdomains of a domain (f.e. "*.example.com", which does not match example.com itself).
+ *
+ * @param {URL} url
+ * @param {Array<string>} allowedHosts
+ * @returns {boolean}
+ */
+function isHostAllowed(url, allowedHosts) {
+  const hostname = url.hostname.toLowerCase();
+  const host = url.host.toLowerCase();
+  return allowedHosts.some((allowedHost) => {
+    const pattern = allowedHost.toLowerCase();
+    if (pattern.startsWith("*.")) {
+      return hostname.endsWith(pattern.substring(1));
+    }
+    return pattern === (pattern.includes(":") ? host : hostname);
+  });
+}
+
+/**
+ * @param {URL} url
+ * @returns {string | undefined} the (decoded) last segment of the path of the url
+ */
+function getFilenameFromUrl(url) {
+  const lastSegment = url.pathname.split("/").pop();
+  try {
+    return decodeURIComponent(lastSegment) || undefined;
+  } catch (err) {
+    return lastSegment || undefined;
+  }
+}
+
+/**
+ * @param {string} name the name (path) of a file in a zip archive
+ * @returns {boolean} false for names that point outside of the folder the archive is expanded
+ *  in (absolute paths, drive letters or .. parts)
+ */
+function isSafeZipEntryName(name) {
+  return (
+    name.length > 0 &&
+    !name.includes("\0") &&
+    !/^([/\\]|[a-zA-Z]:)/.test(name) &&
+    !name.split(/[/\\]/).includes("..")
+  );
+}
+
 /**
  * @typedef {import('sri4node')} TSri4Node
  * @typedef {import('sri4node').TSriConfig} TSriConfig
@@ -101,6 +531,7 @@ function getSafeFilename(filename) {
  *  install: (sriConfig: TSriConfig, db: any) => void,
  *  [prop:string]: unknown,
  * } } TSri4NodePluginInstance
+ * The settings of the default S3 storage, they are not needed when another storage is given.
  * @typedef { {
  *    endpoint?: string,
  *    s3key: string,
@@ -108,14 +539,38 @@ function getSafeFilename(filename) {
  *    s3bucket: string,
  *    accessKeyId: string,
  *    s3secret: string,
+ * } } TS3StorageConfig
+ *
+ * @typedef { {
  *    maxRetries?: number,
  *    maximumFilesizeInMB?: number,
  *    createBucketIfNotExists?: boolean,
  *    handleMultipleUploadsTogether?: boolean,
  *    uploadInSequence?: boolean,
  *    checkFileExistence?: boolean,
+ *    rejectMimeTypeMismatch?: boolean,
+ *    cacheControl?: string | false,
+ *    redirectToPresignedUrl?: boolean,
+ *    presignedUrlExpiresInSeconds?: number,
+ *    presignedUploadExpiresInSeconds?: number,
+ *    sourceUrlAllowedHosts?: Array<string>,
+ *    sourceUrlTimeoutInSeconds?: number,
+ *    zipMaxEntries?: number,
+ *    zipMaxUncompressedSizeInMB?: number,
  *    security?: { plugin?: any, abilityPrepend: string, abilityAppend: string },
- * } } TSri4NodeAttachmentUtilsConfig
+ * } & TFileTypeRestrictions & (
+ *    (TS3StorageConfig & { storage?: undefined }) |
+ *    (Partial<TS3StorageConfig> & { storage: TStorageAdapter })
+ * ) } TSri4NodeAttachmentUtilsConfig
+ *
+ * Mime types can contain wildcards (like image/*), extensions can be given with or without
+ * a leading dot.
+ * @typedef { {
+ *    allowedMimeTypes?: Array<string>,
+ *    deniedMimeTypes?: Array<string>,
+ *    allowedExtensions?: Array<string>,
+ *    deniedExtensions?: Array<string>,
+ * } } TFileTypeRestrictions
  *
  * @typedef { (tx: IDatabase, sriRequest: TSriRequest,
  *        att: TMultiPartSingleBodyForAfterUploadHandler | Array<TMultiPartSingleBodyForAfterUploadHandler>) => Promise<void> } TRunAfterUploadFun
@@ -135,19 +590,124 @@ function getSafeFilename(filename) {
  * @typedef { (tx: IDatabase, sriRequest: TSriRequest, resourceKey: string, attachmentKey: string) => Promise<string> } TGetFileNameHandlerFun
  * @typedef { (tx: IDatabase, sriRequest: TSriRequest, resourceKey: string, attachmentKey: string) => Promise<void> } TAfterHandlerFun
  * @typedef { (href: string) => string } TGetResourceForCopyFun
+ * @typedef { {
+ *    file: string,
+ *    previousFile: string,
+ *    originalFilename?: string,
+ *    attachment: { key: string, name?: string, description?: string },
+ *    resource: { href: string, key: string },
+ * } } TAttachmentUpdate
+ * @typedef { (tx: IDatabase, sriRequest: TSriRequest, att: TAttachmentUpdate) => Promise<void> } TRunAfterUpdateFun
+ * @typedef { (tx: IDatabase, sriRequest: TSriRequest, att: TAttachmentUpdate) => Promise<void> } TRunAfterRenameFun
+ * Returns the attachments of a resource, in the same format as TGetAttJsonFun (with an href).
+ * @typedef { (tx: IDatabase, sriRequest: TSriRequest, resourceKey: string) => Promise<Array<{ href: string, [prop: string]: any }>> } TListAttachmentsFun
+ *
+ * @typedef { (tx: IDatabase, sriRequest: TSriRequest, elements: Array<{ permalink: string, [prop: string]: any }>) => Promise<void> } TAfterDeleteResourceFun
+ *
+ * The files of a deleted resource are the ones listAttachments (or persistence.listAttachments)
+ * returns for it, one of them is required, unless deleteByPrefix is set.
+ * deleteByPrefix: the files of a deleted resource are all the objects named <resourceKey>-* on
+ * the storage (only safe when no resource key is another key followed by a dash).
+ * softDelete (the default): the resources are only marked as $$meta.deleted, so their files are
+ * kept (and the rows of the persistence are marked as deleted, which requires a persistence
+ * that softDeletes).
+ * @typedef { {
+ *    persistence?: {
+ *      deleteAttachmentsOfResource: (tx: IDatabase, resourceKey: string, options?: { soft?: boolean }) => Promise<void>,
+ *      listAttachments?: TListAttachmentsFun,
+ *      softDeletes?: boolean,
+ *    },
+ *    listAttachments?: TListAttachmentsFun,
+ *    deleteByPrefix?: boolean,
+ *    softDelete?: boolean,
+ * } } TCascadeDeleteOptions
+ *
+ * The types of the resources to install afterDeleteForCascade on.
+ * @typedef { TCascadeDeleteOptions & { types: Array<string> } } TInstallCascadeDeleteOptions
+ *
+ * Options that override the plugin configuration for a single upload route.
+ * @typedef { {
+ *    maximumFilesizeInMB?: number,
+ *    rejectMimeTypeMismatch?: boolean,
+ *    presignedUploadExpiresInSeconds?: number,
+ *    sourceUrlAllowedHosts?: Array<string>,
+ *    sourceUrlTimeoutInSeconds?: number,
+ *    zipMaxEntries?: number,
+ *    zipMaxUncompressedSizeInMB?: number,
+ * } & TFileTypeRestrictions } TUploadRouteOptions
+ *
+ * The options of customRouteForUploadMove: the options of an upload route, and the afterDelete
+ * that is called (in the same transaction) for each attachment that has been moved away from
+ * its resource, like the afterHandler of customRouteForDelete.
+ * @typedef { TUploadRouteOptions & { afterDelete: TAfterHandlerFun } } TMoveRouteOptions
+ *
+ * Options that override the plugin configuration for a single download route.
+ * @typedef { {
+ *    cacheControl?: string | false,
+ *    redirectToPresignedUrl?: boolean,
+ *    presignedUrlExpiresInSeconds?: number,
+ * } } TDownloadRouteOptions
  *
  * @typedef { {
  *    customRouteForUpload: (
  *      runAfterUpload: TRunAfterUploadFun,
  *      getResourceForCopy?: TGetResourceForCopyFun,
+ *      options?: TUploadRouteOptions,
  *    ) => TCustomRoute,
  *    customRouteForUploadCopy: (
  *      runAfterUpload: TRunAfterUploadFun,
  *      getResourceForCopy?: TGetResourceForCopyFun,
+ *      options?: TUploadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRouteForUploadMove: (
+ *      runAfterUpload: TRunAfterUploadFun,
+ *      getResourceForCopy: TGetResourceForCopyFun | undefined,
+ *      options: TMoveRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRouteForUploadBase64: (
+ *      runAfterUpload: TRunAfterUploadFun,
+ *      options?: TUploadRouteOptions,
  *    ) => TCustomRoute,
- *    customRouteForPreSignedUpload: () => TCustomRoute,
+ *    customRouteForRawUpload: (
+ *      runAfterUpload: TRunAfterUploadFun,
+ *      options?: TUploadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRouteForPreSignedUpload: (
+ *      options?: TUploadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRouteForPreSignedUploadFinalize: (
+ *      runAfterUpload: TRunAfterUploadFun,
+ *      options?: TUploadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRoutesForMultipartUpload: (
+ *      runAfterUpload: TRunAfterUploadFun,
+ *      options?: TUploadRouteOptions,
+ *    ) => Array<TCustomRoute>,
+ *    customRoutesForTusUpload: (
+ *      runAfterUpload: TRunAfterUploadFun,
+ *      options?: TUploadRouteOptions,
+ *    ) => Array<TCustomRoute>,
  *    customRouteForDownload: (
- *      checkDownload?: TCheckDownloadFun
+ *      checkDownload?: TCheckDownloadFun,
+ *      options?: TDownloadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRouteForDownloadHead: (
+ *      checkDownload?: TCheckDownloadFun,
+ *      options?: TDownloadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRoutesForZipDownload: (
+ *      checkDownload?: TCheckDownloadFun,
+ *      listAttachments?: TListAttachmentsFun,
+ *    ) => Array<TCustomRoute>,
+ *    customRouteForUpdate: (
+ *      getFileNameHandler: TGetFileNameHandlerFun,
+ *      runAfterUpdate: TRunAfterUpdateFun,
+ *      options?: TUploadRouteOptions,
+ *    ) => TCustomRoute,
+ *    customRouteForRename: (
+ *      getFileNameHandler: TGetFileNameHandlerFun,
+ *      runAfterRename: TRunAfterRenameFun,
+ *      options?: TUploadRouteOptions,
  *    ) => TCustomRoute,
  *    customRouteForDelete: (
  *      getFileNameHandler: TGetFileNameHandlerFun,
@@ -156,9 +716,94 @@ function getSafeFilename(filename) {
  *    customRouteForGet: (
  *      getAttJson: TGetAttJsonFun
  *    ) => TCustomRoute,
+ *    customRouteForList: (
+ *      listAttachments?: TListAttachmentsFun
+ *    ) => TCustomRoute,
+ *    afterDeleteForCascade: (
+ *      options: TCascadeDeleteOptions
+ *    ) => TAfterDeleteResourceFun,
+ *    installCascadeDelete: (
+ *      sriConfig: TSriConfig,
+ *      options: TInstallCascadeDeleteOptions,
+ *    ) => void,
+ *    renameAttachment: (
+ *      sriRequest: TSriRequest,
+ *      resourceKey: string,
+ *      attachmentKey: string,
+ *      filename: string,
+ *      newFilename: string,
+ *    ) => Promise<string>,
  * } } TSri4NodeAttachmentUtils
  */
 
+/**
+ * A storage adapter hides where the attachment files are actually stored. All objects are
+ * identified by a key (for example <resourceKey>-<filename>). The metadata returned by head
+ * and list mimics the shape of the S3 HeadObject and ListObjectsV2 responses, so the S3
+ * adapter can pass its responses as they are.
+ * An adapter signals a missing object by throwing an error that has
+ * $metadata.httpStatusCode set to 404 (like the AWS SDK does).
+ *
+ * @typedef { {
+ *    ETag?: string,
+ *    ContentLength?: number,
+ *    ContentType?: string,
+ *    LastModified?: Date,
+ *    Metadata?: Record<string, string>,
+ * } } TStorageObjectMeta
+ *
+ * The content headers are the ones the storage should send when the url is used.
+ * @typedef { {
+ *    expiresInSeconds: number,
+ *    contentDisposition?: string,
+ *    contentType?: string,
+ * } } TPresignedGetUrlOptions
+ *
+ * A byte range of an object, both start and end are inclusive (like in a Range header)
+ * @typedef { { start: number, end: number } } TByteRange
+ *
+ * @typedef { {
+ *    Key: string,
+ *    Size?: number,
+ *    LastModified?: Date,
+ *    ETag?: string,
+ * } } TStorageListItem
+ *
+ * A part of a multipart upload, like in an S3 ListParts response
+ * @typedef { {
+ *    PartNumber: number,
+ *    ETag: string,
+ *    Size?: number,
+ * } } TStoragePart
+ *
+ * @typedef { {
+ *    name: string,
+ *    init?: () => Promise<void>,
+ *    putStream: (key: string, stream: TReadableStream,
+ *      options?: { contentType?: string, metadata?: Record<string, string> }) => Promise<void>,
+ *    head: (key: string) => Promise<TStorageObjectMeta>,
+ *    getStream: (key: string, options?: { range?: TByteRange }) => Promise<TReadableStream>,
+ *    copy: (destinationKey: string, sourceKey: string, metadata?: Record<string, string>) => Promise<void>,
+ *    delete: (keys: Array<string>) => Promise<void>,
+ *    list: (prefix: string) => Promise<Array<TStorageListItem>>,
+ *    createPresignedPost?: (options: Record<string, any>) => Promise<{ url: string, fields: Record<string, string> }>,
+ *    createPresignedGetUrl?: (key: string, options: TPresignedGetUrlOptions) => Promise<string>,
+ *    createMultipartUpload?: (key: string,
+ *      options?: { contentType?: string, metadata?: Record<string, string> }) => Promise<string>,
+ *    createPresignedPartUrl?: (key: string, uploadId: string, partNumber: number,
+ *      expiresInSeconds: number) => Promise<string>,
+ *    uploadPart?: (key: string, uploadId: string, partNumber: number, stream: TReadableStream,
+ *      options?: { contentLength?: number }) => Promise<string>,
+ *    listParts?: (key: string, uploadId: string) => Promise<Array<TStoragePart>>,
+ *    completeMultipartUpload?: (key: string, uploadId: string,
+ *      parts: Array<{ PartNumber: number, ETag: string }>) => Promise<void>,
+ *    abortMultipartUpload?: (key: string, uploadId: string) => Promise<void>,
+ *    [prop: string]: unknown,
+ * } } TStorageAdapter
+ *
+ * @typedef { { debug: (x: any) => void, error: (x: any) => void } } TStorageLogger
+ */
+
 /**
  *
  * @param {TSri4NodeAttachmentUtilsConfig} pluginConfig
@@ -181,6 +826,15 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
     createBucketIfNotExists: false,
     handleMultipleUploadsTogether: false,
     checkFileExistence: true,
+    rejectMimeTypeMismatch: false,
+    cacheControl: "private, no-cache",
+    redirectToPresignedUrl: false,
+    presignedUrlExpiresInSeconds: 60,
+    presignedUploadExpiresInSeconds: 600,
+    sourceUrlAllowedHosts: [],
+    sourceUrlTimeoutInSeconds: 30,
+    zipMaxEntries: 100,
+    zipMaxUncompressedSizeInMB: 100,
     uploadInSequence: false,
     ...pluginConfig,
   };
@@ -193,106 +847,18 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
     sri4node.error("attachments", s);
   }
 
-  /**
-   * This method is stateful, as it will cache and return a previously existing client
-   * @returns {S3.S3Client} awss3client
-   */
-  function getAWSS3Client() {
-    if (!this.awss3client) {
-      // If accessKeyId and secretAccessKey are provided, use them; otherwise, let the SDK use the default credential provider chain (including IAM roles)
-      const credentials =
-        fullPluginConfig.s3key && fullPluginConfig.s3secret
-          ? {
-            accessKeyId: fullPluginConfig.s3key,
-            secretAccessKey: fullPluginConfig.s3secret,
-          }
-          : undefined;
-
-      this.awss3client = new S3.S3Client({
-        endpoint: fullPluginConfig.endpoint, // essential to point to our localstack-on-docker
-        apiVersion: "2006-03-01",
-        region: fullPluginConfig.s3region,
-        maxAttempts: fullPluginConfig.maxRetries,
-        credentials,
-        forcePathStyle: true, // IMPORTANT cfr. https://qubyte.codes/blog/tip-connecting-to-localstack-s3-using-the-javascript-aws-sdk-v3
-      });
-    }
-    return this.awss3client;
-  }
-
-  /**
-   * This method will send a HeadBucketCommand, and wioll return true if it works,
-   * and false if any exception occurs.
-   *
-   * @param {string} bucket
-   * @returns
-   */
-  async function checkBucket(bucket) {
-    debug("checking if bucket exists");
-
-    const params = { Bucket: bucket };
-
-    try {
-      const awss3 = getAWSS3Client();
-
-      await awss3.send(new S3.HeadBucketCommand(params));
-      return true;
-    } catch (err) {
-      debug(
-        `[checkBucket] Checking if S3 bucket '${bucket}' exists failed with the following exception: ${err}`
-      );
-      return false;
-    }
-  }
-
-  /**
-   * This method will check if the S3 bucket exists.
-   * If fullPluginConfig.createBucketIfNotExists it will try to create the bucket if it does not
-   * exsist, otherwise only an error will be printed (which is kind of stupid, it should probably
-   * throw an exception)
-   *
-   * @returns {Promise<void>}
-   */
-  async function checkOrCreateBucket() {
-    const exists = await checkBucket(fullPluginConfig.s3bucket);
-    if (!exists && !fullPluginConfig.createBucketIfNotExists) {
-      error(`S3 Bucket ${fullPluginConfig.s3bucket} does not exist`);
-      error(fullPluginConfig);
-    }
-
-    if (!exists && fullPluginConfig.createBucketIfNotExists) {
-      debug("Creating new bucket");
-      try {
-        const awss3 = getAWSS3Client();
-        const s3cmd = new S3.CreateBucketCommand({
-          Bucket: fullPluginConfig.s3bucket,
-          ACL: "private",
-          CreateBucketConfiguration: {
-            LocationConstraint: fullPluginConfig.s3region,
-          },
-        });
-        await awss3.send(s3cmd);
-      } catch (ex) {
-        error(`[checkOrCreateBucket] bucket creation failed with error: ${ex}`);
-        debug(ex);
-        throw ex;
-      }
-    }
-  }
+  /** @type {TStorageAdapter} */
+  const storage =
+    fullPluginConfig.storage ||
+    s3StorageFactory(fullPluginConfig, { debug, error });
 
   /**
    *
    * @param {string} s3filename
-   * @returns {Promise<S3.HeadObjectCommandOutput>}
+   * @returns {Promise<TStorageObjectMeta>}
    */
   async function headFromS3(s3filename) {
-    debug(`get HEAD for ${s3filename}`);
-
-    const params = { Bucket: fullPluginConfig.s3bucket, Key: s3filename };
-
-    // debug(params);
-    const awss3 = getAWSS3Client();
-    return await awss3.send(new S3.HeadObjectCommand(params));
+    return await storage.head(s3filename);
   }
 
   /**
@@ -300,7 +866,7 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
    * so if this method returns null, it means there was a problem
    *
    * @param {string} s3filename
-   * @returns {Promise<S3.HeadObjectCommandOutput>}
+   * @returns {Promise<TStorageObjectMeta>}
    */
   async function getFileMeta(s3filename) {
     let data = null;
@@ -317,41 +883,77 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
   }
 
   /**
+   * @param {TSriRequest} sriRequest
+   * @param {Array<TStorageObjectMeta | null | undefined>} metas the current files that are
+   *  changed by the request (empty when there is no file yet)
+   * @throws {SriError} 412 if the If-Match header of the request does not match all of them
+   */
+  function checkIfMatch(sriRequest, metas) {
+    const ifMatch = sriRequest.headers["if-match"];
+    if (metas.some((meta) => !isIfMatchSatisfied(ifMatch, meta))) {
+      throw new sriRequest.SriError({
+        status: 412,
+        errors: [
+          {
+            code: "precondition.failed",
+            type: "ERROR",
+            message:
+              "the attachment does not exist or has been changed since it was read (If-Match)",
+          },
+        ],
+      });
+    }
+  }
+
+  /**
+   * When the request has an If-Match header, checks it against the files that are replaced
+   * by the given attachments: the file with the (safe) filename of the attachment, if it
+   * belongs to the same attachment.
    *
-   * @param {TReadableStream} outstream
-   * @param {string} filename
+   * @param {TSriRequest} sriRequest
+   * @param {Array<TMultiPartSingleBodyForFileUploads & { fileObj?: TFileObj }>} attachments
+   * @throws {SriError} 412 if the If-Match header does not match
    * @returns {Promise<void>}
-   * @rejects {number | Error} if S3.send gives reply with http status code, we return the statuscode; else the error instance
    */
-  async function downloadFromS3(outstream, filename) {
-    const { s3bucket } = fullPluginConfig;
-
-    const params = {
-      Bucket: s3bucket,
-      Key: filename,
-    };
+  async function checkIfMatchForAttachments(sriRequest, attachments) {
+    if (sriRequest.headers["if-match"]) {
+      const metas = await Promise.all(
+        attachments.map(async (att) => {
+          const filename = att.fileObj?.filename || att.file;
+          const meta = await getFileMeta(
+            `${hrefToKey(att.resource.href)}-${filename}`
+          );
+          return meta?.Metadata?.attachmentkey === att.attachment.key
+            ? meta
+            : undefined;
+        })
+      );
+      checkIfMatch(sriRequest, metas);
+    }
+  }
 
+  /**
+   *
+   * @param {import("stream").Writable} outstream
+   * @param {string} filename
+   * @param {TStorageObjectMeta | undefined} meta the metadata of the file, as already fetched by
+   *  the caller
+   * @param {TByteRange} [range] only download this part of the file
+   * @returns {Promise<void>}
+   * @rejects {number | Error} if the storage gives a reply with http status code, we return the statuscode; else the error instance
+   */
+  async function downloadFromS3(outstream, filename, meta, range) {
     try {
-      const head = await headFromS3(filename);
-      if (!head) {
+      if (!meta) {
         debug(
-          `[downloadFromS3] headFromS3 did not return any result, the file ${filename} does not seem to exist on S3`
+          `[downloadFromS3] no metadata was given, the file ${filename} does not seem to exist on S3`
         );
         throw new Error("404 Not found");
       }
-      const awss3 = getAWSS3Client();
-
-      const response = await awss3.send(new S3.GetObjectCommand(params));
-
-      // to be able to use transformToWebStream(), nodejs >= 18 is needed!
-      //  --> currently use response.Body with incorrect typescript types
-      // (see https://stackoverflow.com/a/67373050)
-      // const stream = response.Body.transformToWebStream();
-      const stream = response.Body;
+      const stream = await storage.getStream(filename, { range });
 
       // Use pipeline with proper cleanup - it handles most edge cases automatically
       try {
-        // @ts-ignore - AWS SDK stream types
         await pipelineAsync(stream, outstream);
         debug("[downloadFromS3] Finished download of file.");
       } catch (err) {
@@ -383,24 +985,14 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
    * @returns {Promise<void>}
    */
   async function deleteFromS3(filenames) {
-    const awss3 = getAWSS3Client();
-
-    const objects = filenames.map((e) => ({ Key: e }));
-    const params = {
-      Bucket: fullPluginConfig.s3bucket,
-      Delete: {
-        Objects: objects,
-      },
-    };
-    const response = await awss3.send(new S3.DeleteObjectsCommand(params));
-    console.log(response);
+    await storage.delete(filenames);
   }
 
   /**
    * Function that returns the S3 filename given the object that is sent when using
    * the multipart form data for file uploads.
    *
-   * @param {TMultiPartSingleBodyForFileUploadsWithFileObj} multiPartSingleBodyWithFileObj
+   * @param {{ fileObj: { filename: string }, resource: { href: string } }} multiPartSingleBodyWithFileObj
    * @returns {string}
    */
   function getS3FileNameByMultiPartBody(multiPartSingleBodyWithFileObj) {
@@ -445,7 +1037,11 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
 
   /**
    *
-   * @param {Array<TMultiPartSingleBodyForFileUploadsWithFileObj>} files
+   * @param {Array<{
+   *    fileObj: { filename: string },
+   *    attachment: { key: string },
+   *    resource: { href: string },
+   *  }>} files
    * @param {TSriRequest} sriRequest
    */
   async function checkExistence(files, sriRequest) {
@@ -492,21 +1088,12 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
    * @param {string} destinationFileName
    * @param {string} sourceFileName
    * @param {string} attachmentKey
-   * @returns {Promise<S3.CopyObjectCommandOutput>}
+   * @returns {Promise<void>}
    */
   async function copyFile(destinationFileName, sourceFileName, attachmentKey) {
-    const awss3 = getAWSS3Client();
-    const params = {
-      Bucket: fullPluginConfig.s3bucket,
-      Key: destinationFileName,
-      ACL: "bucket-owner-full-control",
-      CopySource: encodeURI(`/${fullPluginConfig.s3bucket}/${sourceFileName}`),
-      MetadataDirective: "REPLACE",
-      TaggingDirective: "COPY",
-      Metadata: { attachmentkey: attachmentKey },
-    };
-
-    return await awss3.send(new S3.CopyObjectCommand(params));
+    await storage.copy(destinationFileName, sourceFileName, {
+      attachmentkey: attachmentKey,
+    });
   }
 
   /**
@@ -530,53 +1117,125 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
    *
    * @param {import('stream').Readable} fileStream
    * @param {string} tmpFileName
-   * @returns {Promise<import("@aws-sdk/client-s3").CompleteMultipartUploadCommandOutput | import("@aws-sdk/client-s3").AbortMultipartUploadCommandOutput>}
+   * @returns {Promise<void>}
    */
   async function handleFileUpload(fileStream, tmpFileName) {
-    const awss3 = getAWSS3Client();
+    await storage.putStream(tmpFileName, fileStream);
+  }
 
-    debug(`Uploading file ${tmpFileName}`);
-    const params = {
-      Bucket: fullPluginConfig.s3bucket,
-      Key: tmpFileName,
-      ACL: "bucket-owner-full-control",
-      Body: fileStream,
-    }; // , Metadata: { "attachmentkey": fileWithJson.attachment.key }
+  /**
+   * The file (and range) to download, as determined by the beforeStreamingHandler of the
+   * download route, for use in its streamingHandler.
+   *
+   * @type {WeakMap<TSriRequest, { remoteFilename: string, meta?: TStorageObjectMeta, range?: TByteRange, noBody?: boolean }>}
+   */
+  const downloadsByRequest = new WeakMap();
 
-    return await new Upload({ client: awss3, params }).done();
+  /**
+   * The headers that describe the version of a file, so clients can cache it and use
+   * conditional requests.
+   *
+   * @param {TStorageObjectMeta} meta
+   * @param {string | false | undefined} cacheControl
+   * @returns {Array<[string, string]>}
+   */
+  function getFileHeaders(meta, cacheControl) {
+    /** @type {Array<[string, string]>} */
+    const headers = [];
+    if (meta.ETag) {
+      headers.push(["ETag", meta.ETag]);
+    }
+    if (meta.LastModified) {
+      headers.push([
+        "Last-Modified",
+        new Date(meta.LastModified).toUTCString(),
+      ]);
+    }
+    if (cacheControl) {
+      headers.push(["Cache-Control", cacheControl]);
+    }
+    return headers;
   }
 
   /**
+   * Looks up the file requested on the download route. On upload filenames are made safe, so
+   * the safe filename is tried first. When that file does not exist, the original filename is
+   * tried, for files that have been stored before filenames were made safe.
    *
-   * @param {IDatabase} tx
    * @param {TSriRequest} sriRequest
-   * @param {import('stream').Readable} stream
-   * @param {boolean} isRetry
+   * @returns {Promise<{ remoteFilename: string, meta: TStorageObjectMeta }>}
+   * @throws {SriError} 404 if the file does not exist
    */
-  async function handleFileDownload(tx, sriRequest, stream, isRetry) {
+  async function getFileToDownload(sriRequest) {
     const { filename } = sriRequest.params;
-    const safeFilename = getSafeFilename(filename);
-    const remoteFilename = `${sriRequest.params.key}-${
-      isRetry ? filename : safeFilename
-    }`;
-    try {
-      await downloadFromS3(stream, remoteFilename);
-    } catch (err) {
-      if (err === 404) {
-        if (isRetry || filename === safeFilename) {
+    const candidates = [...new Set([getSafeFilename(filename), filename])];
+    for (const candidate of candidates) {
+      const remoteFilename = getS3FileNameBySriRequestAndAttachmentFilename(
+        sriRequest,
+        candidate
+      );
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const meta = await headFromS3(remoteFilename);
+        return { remoteFilename, meta };
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode !== 404) {
+          error(`[getFileToDownload] head of ${remoteFilename} failed:`);
+          error(err);
           throw new sriRequest.SriError({
-            status: 404,
+            status: 500,
             errors: [
               {
-                code: "file.not.found",
+                code: "download.failed",
                 type: "ERROR",
-                message: `Unable to find file [${filename}]`,
+                message: "unable to download the file",
               },
             ],
           });
         }
-        // Retry with the original filename if there's a difference
-        await handleFileDownload(tx, sriRequest, stream, true);
+      }
+    }
+    throw new sriRequest.SriError({
+      status: 404,
+      errors: [
+        {
+          code: "file.not.found",
+          type: "ERROR",
+          message: `Unable to find file [${filename}]`,
+        },
+      ],
+    });
+  }
+
+  /**
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {import('stream').Writable} stream the response stream
+   * @param {string} remoteFilename
+   * @param {TStorageObjectMeta | undefined} meta
+   * @param {TByteRange} [range]
+   */
+  async function handleFileDownload(
+    sriRequest,
+    stream,
+    remoteFilename,
+    meta,
+    range
+  ) {
+    try {
+      await downloadFromS3(stream, remoteFilename, meta, range);
+    } catch (err) {
+      if (err === 404) {
+        throw new sriRequest.SriError({
+          status: 404,
+          errors: [
+            {
+              code: "file.not.found",
+              type: "ERROR",
+              message: `Unable to find file [${sriRequest.params.filename}]`,
+            },
+          ],
+        });
       } else {
         throw new sriRequest.SriError({
           status: 500,
@@ -623,22 +1282,141 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
   }
 
   /**
+   * Renames the file of an attachment on the storage: it is copied to its new name, and only
+   * then the old one is deleted.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {string} resourceKey
+   * @param {string} attachmentKey
+   * @param {string} filename the current (safe) filename
+   * @param {string} newFilename the new (safe) filename
+   * @throws {SriError} 404 if the file does not exist, 409 if the new filename is already used
+   *  by another attachment of the resource
+   * @returns {Promise<void>}
+   */
+  async function renameAttachmentFile(
+    sriRequest,
+    resourceKey,
+    attachmentKey,
+    filename,
+    newFilename
+  ) {
+    const remoteFilename = `${resourceKey}-${filename}`;
+    if (!(await getFileMeta(remoteFilename))) {
+      throw new sriRequest.SriError({
+        status: 404,
+        errors: [
+          {
+            code: "file.not.found",
+            type: "ERROR",
+            message: `Unable to find file [${filename}]`,
+          },
+        ],
+      });
+    }
+    await checkExistence(
+      [
+        {
+          resource: { href: `${sriRequest.sriType}/${resourceKey}` },
+          attachment: { key: attachmentKey },
+          fileObj: { filename: newFilename },
+        },
+      ],
+      sriRequest
+    );
+    debug(`Rename ${remoteFilename} to ${resourceKey}-${newFilename}`);
+    await copyFile(
+      `${resourceKey}-${newFilename}`,
+      remoteFilename,
+      attachmentKey
+    );
+    await deleteFromS3([remoteFilename]);
+  }
+
+  /**
+   * Renames the file of an attachment on the storage, for applications that change the
+   * filename of an attachment themselves. Keeping the filename in the database in sync is up
+   * to the application.
    *
-   * @returns {Promise<S3PresignedPost.PresignedPost>}
+   * @param {TSriRequest} sriRequest
+   * @param {string} resourceKey
+   * @param {string} attachmentKey
+   * @param {string} filename the current filename
+   * @param {string} newFilename
+   * @throws {SriError} 404 if the file does not exist, 409 if the new filename is already used
+   *  by another attachment of the resource
+   * @returns {Promise<string>} the new filename, made safe like the filenames of uploads
    */
-  async function getPreSigned() {
-    debug("getting presigned post for s3");
+  async function renameAttachment(
+    sriRequest,
+    resourceKey,
+    attachmentKey,
+    filename,
+    newFilename
+  ) {
+    const safeFilename = getSafeFilename(newFilename);
+    if (safeFilename !== filename) {
+      await renameAttachmentFile(
+        sriRequest,
+        resourceKey,
+        attachmentKey,
+        filename,
+        safeFilename
+      );
+    }
+    return safeFilename;
+  }
 
-    const awss3 = getAWSS3Client();
+  /**
+   * Creates a presigned POST that only allows to upload exactly the given file: the key, size,
+   * content type and metadata are all fixed by the policy.
+   *
+   * @param {string} tmpFileName
+   * @param {TMultiPartSingleBodyForFileUploadsWithFileObj} fileWithJson
+   * @param {number} expiresInSeconds
+   * @returns {Promise<{ url: string, fields: Record<string, string> }>}
+   */
+  async function getPreSigned(tmpFileName, fileWithJson, expiresInSeconds) {
+    const { fileObj, attachment, resource } = fileWithJson;
+    const fields = {
+      "Content-Type": fileObj.mimetype,
+      "x-amz-meta-attachmentkey": attachment.key,
+      "x-amz-meta-resourcehref": resource.href,
+    };
 
-    return await S3PresignedPost.createPresignedPost(awss3, {
-      Bucket: fullPluginConfig.s3bucket,
-      Conditions: [["starts-with", "$key", "tmp"]],
-      // some kind of random tmp key?
-      Key: `tmp${Math.round(Math.random() * 9999999)}`,
+    return await storage.createPresignedPost({
+      Key: tmpFileName,
+      Fields: fields,
+      Conditions: [
+        { key: tmpFileName },
+        ["content-length-range", fileObj.size, fileObj.size],
+        ...Object.entries(fields).map(([name, value]) => ({ [name]: value })),
+      ],
+      Expires: expiresInSeconds,
     });
   }
 
+  /**
+   * The tmp files of presigned uploads get a recognizable name, so the finalize route can
+   * refuse to turn any other object on the storage into an attachment.
+   *
+   * @param {string} filename
+   * @returns {string}
+   */
+  function getPresignedTmpFilename(filename) {
+    return `presigned-${getTmpFilename(filename)}`;
+  }
+
+  /**
+   * @param {string} tmpFileName
+   * @returns {boolean}
+   */
+  function isPresignedTmpFilename(tmpFileName) {
+    return /^presigned-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-[^/\\]+\.tmp$/.test(
+      tmpFileName
+    );
+  }
+
   /**
    * Calls the security server to verify if a specified ability is allowed on the specified attachments.
    * If the request is allowed by security, this function will return true. In case it is not allowed,
@@ -777,7 +1555,8 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
    * an SriError will be thrown by the security plugin (could be a 403 or a redirect to a login page).
    * @param {IDatabase} tx
    * @param {TSriRequest} sriRequest
-   * @param {Array<TMultiPartSingleBodyForFileUploads>} bodyJson
+   * @param {Array<{ resource: { href: string } }> | null} bodyJson the attachments, or null for
+   *  the resource of the request
    * @param {string} ability
    * @returns {Promise<true>}
    */
@@ -868,6 +1647,20 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
               ],
             });
           }
+        } else if ("sourceUrl" in att) {
+          if (fileObj !== undefined) {
+            throw new sriRequest.SriError({
+              status: 400,
+              errors: [
+                {
+                  code: "upload.and.import.mix",
+                  type: "ERROR",
+                  message:
+                    "an attachment json needs to have either a file or a sourceUrl",
+                },
+              ],
+            });
+          }
         } else {
           if (fileObj === undefined) {
             throw new sriRequest.SriError({
@@ -912,7 +1705,8 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
       });
     }
 
-    if (bodyJson.some((e) => !e.attachment.key)) {
+    // the files in a zip that is expanded get new keys
+    if (bodyJson.some((e) => !e.attachment.key && !e.expandZip)) {
       throw new sriRequest.SriError({
         status: 400,
         errors: [
@@ -970,186 +1764,222 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
   }
 
   /**
-   * This function gathers files and meta data via the Busboy library and then
-   * uploads the files to a S3 bucket.
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * It validate the body of the base64 upload route.
    *
-   * Receiving files from the request and upload them to S3 are kept in one function to be able to
-   * directly stream incoming data to S3 and keep memory usage low.
+   * It has the same rules as the upload route, but the filename and the base64 encoded
+   * content of the file are also required.
+   *
+   * @param {Array<TBodyForBase64Upload>} bodyJson
    * @param {TSriRequest} sriRequest
-   * @returns
+   * @throws {SriError}
+   * @returns {void}
    */
-  async function receiveFilesAndMetadataFromBusboyAndUploadToS3(sriRequest) {
-    /** @type {Array<TFileObj>} */
-    const attachmentsRcvd = [];
-    const fieldsRcvd = {};
-    const tmpUploads = [];
-
-    /**
-     *
-     * @param {TFileObj} fileObj
-     * @returns
-     */
-    async function uploadTmpFile(fileObj) {
-      try {
-        sriRequest.logDebug(
-          logChannel,
-          `uploading tmp file ${fileObj.tmpFileName}`
-        );
-        await handleFileUpload(fileObj.file, fileObj.tmpFileName);
-        sriRequest.logDebug(
-          logChannel,
-          `upload to s3 done for ${fileObj.tmpFileName}`
-        );
-
-        const meta = await getFileMeta(fileObj.tmpFileName);
-        fileObj.hash = meta.ETag;
-        fileObj.size = meta.ContentLength;
+  function validateUploadBase64Body(bodyJson, sriRequest) {
+    validateUploadMultipartBody(bodyJson, sriRequest);
 
-        return fileObj;
-      } catch (err) {
-        sriRequest.logDebug(
-          logChannel,
-          `uploading tmp file ${fileObj.tmpFileName} failed`
-        );
-        throw err;
-      }
+    if (bodyJson.some((e) => !e.file)) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "missing.json.file",
+            type: "ERROR",
+            message: "each json item needs a file",
+          },
+        ],
+      });
     }
 
-    sriRequest.busBoy.on(
-      "file",
-      async (fieldname, fileStream, { filename, encoding, mimeType }) => {
-        const safeFilename = getSafeFilename(filename);
-
-        sriRequest.logDebug(
-          logChannel,
-          `BUSBOY File [${fieldname}]: filename: ${safeFilename}, encoding: ${encoding}, mimetype: ${mimeType}`
-        );
-
-        /** @type {TFileObj} */
-        const fileObj = {
-          filename: safeFilename,
-          originalFilename: filename,
-          mimetype: mimeType,
-          file: fileStream,
-          fields: {},
-        };
+    if (
+      bodyJson.some(
+        (e) =>
+          typeof e.content !== "string" ||
+          e.content.length % 4 !== 0 ||
+          !/^[A-Za-z0-9+/]*={0,2}$/.test(e.content)
+      )
+    ) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.content",
+            type: "ERROR",
+            message:
+              "each json item needs the base64 encoded content of the file",
+          },
+        ],
+      });
+    }
+  }
 
-        fileObj.tmpFileName = getTmpFilename(safeFilename);
+  /**
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * It validate the body of the presigned upload route.
+   *
+   * It has the same rules as the upload route, but the filename and the size (in bytes) of
+   * the file are also required.
+   *
+   * @param {Array<TBodyForPresignedUpload>} bodyJson
+   * @param {TSriRequest} sriRequest
+   * @throws {SriError}
+   * @returns {void}
+   */
+  function validatePresignedUploadBody(bodyJson, sriRequest) {
+    validateUploadMultipartBody(bodyJson, sriRequest);
 
-        tmpUploads.push(uploadTmpFile(fileObj));
-        attachmentsRcvd.push(fileObj);
-      }
-    );
+    if (bodyJson.some((e) => !e.file)) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "missing.json.file",
+            type: "ERROR",
+            message: "each json item needs a file",
+          },
+        ],
+      });
+    }
 
-    sriRequest.busBoy.on("field", (fieldname, val, _info) => {
-      sriRequest.logDebug(
-        logChannel,
-        `BUSBOY Field [${fieldname}]: value: ${val}`
-      );
-      fieldsRcvd[fieldname] = val;
-    });
+    if (bodyJson.some((e) => !Number.isSafeInteger(e.size) || e.size < 0)) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.size",
+            type: "ERROR",
+            message: "each json item needs the size of the file in bytes",
+          },
+        ],
+      });
+    }
+  }
 
-    // wait until busboy is done
-    await pEvent(sriRequest.busBoy, "close");
-    sriRequest.logDebug(logChannel, "busBoy is done");
+  /**
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * It validate the body of the presigned upload finalize route.
+   *
+   * It has the same rules as the upload route, but the filename and the uploadKey (returned
+   * by the presigned upload route) are also required.
+   *
+   * @param {Array<TBodyForPresignedUploadFinalize>} bodyJson
+   * @param {TSriRequest} sriRequest
+   * @throws {SriError}
+   * @returns {void}
+   */
+  function validatePresignedUploadFinalizeBody(bodyJson, sriRequest) {
+    validateUploadMultipartBody(bodyJson, sriRequest);
 
-    await Promise.all(tmpUploads);
-    sriRequest.logDebug(logChannel, "tmp uploads done");
+    if (bodyJson.some((e) => !e.file)) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "missing.json.file",
+            type: "ERROR",
+            message: "each json item needs a file",
+          },
+        ],
+      });
+    }
 
-    return { attachmentsRcvd, fieldsRcvd };
+    if (
+      bodyJson.some((e) => !e.uploadKey || !isPresignedTmpFilename(e.uploadKey))
+    ) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.uploadKey",
+            type: "ERROR",
+            message:
+              "each json item needs the uploadKey returned by the presigned upload",
+          },
+        ],
+      });
+    }
   }
 
   /**
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * It validate the body of the routes that act on a started multipart upload.
    *
-   * @param {*} fullPluginConfig
+   * It has the same rules as the presigned upload finalize route, but the uploadId is also
+   * required, and the partNumbers or parts are checked when present.
+   *
+   * @param {Array<TBodyForMultipartUpload>} bodyJson
    * @param {TSriRequest} sriRequest
-   * @param {TRunAfterUploadFun} runAfterUpload
-   * @param {Array<TMultiPartSingleBodyForFileUploadsWithFileObj>} fileArrayWithFileObj
+   * @param {boolean} [partNumbersRequired]
+   * @throws {SriError}
+   * @returns {void}
    */
-  async function applyRunAfterUploadFun(
-    fullPluginConfig,
+  function validateMultipartUploadBody(
+    bodyJson,
     sriRequest,
-    runAfterUpload,
-    fileArrayWithFileObj
+    partNumbersRequired = false
   ) {
-    const logException = (ex, json) => {
-      sriRequest.logDebug(logChannel, "handlefile failed");
-      sriRequest.logDebug(logChannel, JSON.stringify(json, null, 2));
-      sriRequest.logDebug(logChannel, ex);
-    };
-    // The runAfterUpload functions expect the 'file' property in the file object to be an object.
-    // This is contrary to the upload object where the 'file' property is the filename. Therefore
-    // internally 'file' remains the filename and extra information is stored in the 'fileObj'
-    // property.
-    // ==> To keep the external interface the same for now, we need to transform the
-    // file information object.
-    // The old interface also used to pass file.resource.key. Also add this for backwards compability.
-    /** @typedef {Array<TMultiPartSingleBodyForAfterUploadHandler>} */
-    const fileArrayWithFileObjForUploadHandler = fileArrayWithFileObj.map(
-      (e) => ({
-        ...e,
-        file: e.fileObj,
-        resource: { ...e.resource, key: hrefToKey(e.resource.href) },
-      })
-    );
-    if (!fullPluginConfig.handleMultipleUploadsTogether) {
-      if (fullPluginConfig.uploadInSequence) {
-        // For example Persons Api which uses an sri4node as a proxy for its attachments files
-        // should be sequentially uploaded
-        for (const file of fileArrayWithFileObjForUploadHandler) {
-          // eslint-disable-next-line no-await-in-loop
-          try {
-            await runAfterUpload(sriRequest.dbT, sriRequest, file);
-            debug("handleFile success");
-          } catch (ex) {
-            logException(ex, file);
-            throw ex;
-          }
-        }
-      } else {
-        const uploadPromises = fileArrayWithFileObjForUploadHandler.map(
-          (file) =>
-            (async () => {
-              try {
-                await runAfterUpload(sriRequest.dbT, sriRequest, file);
-                debug("handleFile success");
-              } catch (ex) {
-                logException(ex, file);
-                throw ex;
-              }
-            })()
-        );
-        await Promise.all(uploadPromises);
-      }
-    } else {
-      try {
-        await runAfterUpload(
-          sriRequest.dbT,
-          sriRequest,
-          fileArrayWithFileObjForUploadHandler
-        );
-        debug("handleFile success");
-      } catch (ex) {
-        logException(ex, fileArrayWithFileObjForUploadHandler);
-        throw ex;
-      }
+    validatePresignedUploadFinalizeBody(bodyJson, sriRequest);
+
+    if (bodyJson.some((e) => !e.uploadId || typeof e.uploadId !== "string")) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.uploadId",
+            type: "ERROR",
+            message:
+              "each json item needs the uploadId returned when the multipart upload was started",
+          },
+        ],
+      });
     }
-  }
 
-  /**
-   *
-   * @param {*} body
-   * @param {TSriRequest} sriRequest
-   */
-  function throwErrorWhenBodyIsMissing(body, sriRequest) {
-    if (body === undefined) {
+    const isPartNumber = (n) =>
+      Number.isInteger(n) && n >= 1 && n <= MAX_MULTIPART_PARTS;
+
+    if (
+      bodyJson.some(
+        (e) =>
+          (partNumbersRequired || e.partNumbers !== undefined) &&
+          (!Array.isArray(e.partNumbers) ||
+            e.partNumbers.length === 0 ||
+            !e.partNumbers.every(isPartNumber))
+      )
+    ) {
       throw new sriRequest.SriError({
-        status: 409,
+        status: 400,
         errors: [
           {
-            code: "missing.body",
+            code: "invalid.json.partNumbers",
             type: "ERROR",
-            message: "Body is required.",
+            message: `partNumbers should be a list of integers from 1 to ${MAX_MULTIPART_PARTS}`,
+          },
+        ],
+      });
+    }
+
+    if (
+      bodyJson.some(
+        (e) =>
+          e.parts !== undefined &&
+          (!Array.isArray(e.parts) ||
+            e.parts.length === 0 ||
+            !e.parts.every(
+              (p) =>
+                isPartNumber(p?.partNumber) &&
+                typeof p.etag === "string" &&
+                p.etag !== ""
+            ))
+      )
+    ) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.parts",
+            type: "ERROR",
+            message:
+              "parts should be a list of { partNumber, etag } of the uploaded parts",
           },
         ],
       });
@@ -1157,363 +1987,3668 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
   }
 
   /**
-   * This function will rename the uploaded / copied attachments from
-   * their temporarily filenames to their real filenames.
-   * @param {*} attachmentsWithFileObj
-   * @returns
+   * @param {TSriRequest} sriRequest
+   * @param {string} filename
+   * @param {number} maxFileSize
+   * @returns {Error}
    */
-  async function renameAttachmentsToRealNames(attachmentsWithFileObj) {
-    return Promise.all(attachmentsWithFileObj.map((file) => renameFile(file)));
+  function fileTooLargeError(sriRequest, filename, maxFileSize) {
+    return new sriRequest.SriError({
+      status: 413,
+      errors: [
+        {
+          code: "file.too.large",
+          type: "ERROR",
+          message: `${filename} is larger than the maximum allowed size of ${maxFileSize} bytes`,
+        },
+      ],
+    });
   }
 
   /**
+   * Prepares an incoming file to be uploaded to a tmp file: its size is limited and its first
+   * bytes are inspected while it is being uploaded, to know what it really is.
    *
-   * @param {*} bodyJsonArray
-   * @returns {Promise<Array<TMultiPartSingleBodyForFileUploads | TBodyForFileCopy>>}
+   * @param {TSriRequest} sriRequest
+   * @param {TReadableStream} fileStream
+   * @param {string} filename the filename as sent by the client
+   * @param {string} mimetype the mime type as sent by the client
+   * @param {number | undefined} maxFileSize in bytes, undefined means no limit
+   * @returns {TFileObj}
    */
-  async function convertFilenamesInAttachmentsBodyToSafeFilenames(
-    bodyJsonArray
+  function createFileObjForTmpUpload(
+    sriRequest,
+    fileStream,
+    filename,
+    mimetype,
+    maxFileSize
   ) {
-    return bodyJsonArray.map((b) => ({
-      ...b,
-      file: b.file ? getSafeFilename(b.file) : undefined,
-      originalFilename: b.file,
-      attachment: {
-        ...b.attachment,
-        name: b.attachment.name
-          ? getSafeFilename(b.attachment.name)
-          : undefined,
-      },
-    }));
+    const safeFilename = getSafeFilename(filename);
+
+    /** @type {TFileObj} */
+    const fileObj = {
+      filename: safeFilename,
+      originalFilename: filename,
+      mimetype,
+      fields: {},
+    };
+
+    const limitedFileStream = maxFileSize
+      ? limitStreamSize(fileStream, maxFileSize, () =>
+          fileTooLargeError(sriRequest, safeFilename, maxFileSize)
+        )
+      : fileStream;
+    fileObj.file = pipeWithoutDestroyingSource(
+      limitedFileStream,
+      createMimeTypeSniffer((detectedMimetype) => {
+        fileObj.detectedMimetype = detectedMimetype;
+      })
+    );
+
+    fileObj.tmpFileName = getTmpFilename(safeFilename);
+    return fileObj;
   }
 
   /**
-   * In case of error during handling of upload or copy of attachments
-   * the temporarly created S3 files (if already present) should be
-   * deleted.
-   * @param {*} err
+   *
    * @param {TSriRequest} sriRequest
-   * @param {*} attachmentsRcvd
+   * @param {TFileObj} fileObj
+   * @returns {Promise<TFileObj>} the fileObj, with the hash and size of the uploaded file
    */
-  async function handleErrorDuringUploadOrCopy(
-    err,
-    sriRequest,
-    attachmentsRcvd
-  ) {
-    // something failed. delete all tmp files
-    // delete attachments again
-    sriRequest.logDebug(
-      logChannel,
-      "something went wrong during upload/afterupload:"
-    );
-    sriRequest.logDebug(logChannel, JSON.stringify(err, null, 2));
+  async function uploadTmpFile(sriRequest, fileObj) {
+    try {
+      sriRequest.logDebug(
+        logChannel,
+        `uploading tmp file ${fileObj.tmpFileName}`
+      );
+      await handleFileUpload(fileObj.file, fileObj.tmpFileName);
+      sriRequest.logDebug(
+        logChannel,
+        `upload to s3 done for ${fileObj.tmpFileName}`
+      );
 
-    const filenames = attachmentsRcvd
-      .filter((e) => e.tmpFileName)
-      .map((e) => e.tmpFileName);
+      const meta = await getFileMeta(fileObj.tmpFileName);
+      fileObj.hash = meta.ETag;
+      fileObj.size = meta.ContentLength;
 
-    if (filenames.length) {
-      try {
-        await deleteFromS3(filenames);
-        sriRequest.logDebug(logChannel, `${filenames.join(" & ")} deleted`);
-      } catch (err) {
-        sriRequest.logDebug(logChannel, "delete failed");
-        sriRequest.logDebug(logChannel, err);
-      }
+      return fileObj;
+    } catch (err) {
+      sriRequest.logDebug(
+        logChannel,
+        `uploading tmp file ${fileObj.tmpFileName} failed`
+      );
+      throw err;
     }
+  }
 
-    // rethrow to signal error further on
-    throw err;
+  /**
+   * @param {TSriRequest} sriRequest
+   * @param {number} status
+   * @param {string} code
+   * @param {string} message
+   * @returns {Error}
+   */
+  function sourceUrlError(sriRequest, status, code, message) {
+    return new sriRequest.SriError({
+      status,
+      errors: [{ code, type: "ERROR", message }],
+    });
   }
 
   /**
-   * When enabled fullPluginConfig, this function will check at S3 wether a file already exists
-   * and throw an error if it already exist.
-   * @param { Array<TMultiPartSingleBodyForFileUploads & { fileObj: TFileObj; }> } attachmentsWithFileObj
-   * @param { TSriRequest } sriRequest
+   * @param {TSriRequest} sriRequest
+   * @param {string} sourceUrl
+   * @param {Array<string>} allowedHosts
+   * @throws {SriError} when the sourceUrl is not an http(s) url on one of the allowed hosts
+   * @returns {URL}
    */
-  async function checkAttachmentsFileExistence(
-    attachmentsWithFileObj,
-    sriRequest
-  ) {
-    if (fullPluginConfig.checkFileExistence) {
-      await checkExistence(
-        attachmentsWithFileObj.filter((e) => e.fileObj !== undefined),
-        sriRequest
+  function getAllowedSourceUrl(sriRequest, sourceUrl, allowedHosts) {
+    let url;
+    try {
+      url = new URL(sourceUrl);
+    } catch (err) {
+      url = undefined;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw sourceUrlError(
+        sriRequest,
+        400,
+        "invalid.json.sourceUrl",
+        `${sourceUrl} is not a valid http(s) url`
+      );
+    }
+    if (!isHostAllowed(url, allowedHosts)) {
+      throw sourceUrlError(
+        sriRequest,
+        400,
+        "source.url.not.allowed",
+        `files can not be imported from ${url.host}`
       );
     }
+    return url;
   }
 
   /**
-   * This will cover standard usage of the plugin.
-   * There does not seem to be projects implementing this differently.
-   * @param {string} fileHref
-   * @returns {string}
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * It validates the sourceUrls in the body of the upload route.
+   *
+   * @param {Array<TBodyForUpload>} bodyJson
+   * @param {TSriRequest} sriRequest
+   * @param {Array<string>} allowedHosts
+   * @throws {SriError}
+   * @returns {Array<TBodyForUpload>} the bodyJson,
+   *  with the filename derived from the sourceUrl where it was omitted
    */
-  function defaultGetResourceForCopy(fileHref) {
-    return fileHref.substring(0, fileHref.indexOf("/attachments/"));
+  function validateSourceUrlsInUploadBody(bodyJson, sriRequest, allowedHosts) {
+    if (bodyJson.some((e) => "sourceUrl" in e && e.fileHref)) {
+      throw sourceUrlError(
+        sriRequest,
+        400,
+        "copy.and.import.mix",
+        "an attachment json needs to have either a fileHref or a sourceUrl"
+      );
+    }
+    return bodyJson.map((att) => {
+      if (!("sourceUrl" in att)) {
+        return att;
+      }
+      const url = getAllowedSourceUrl(sriRequest, att.sourceUrl, allowedHosts);
+      const file = att.file || getFilenameFromUrl(url);
+      if (!file) {
+        throw sourceUrlError(
+          sriRequest,
+          400,
+          "missing.json.file",
+          `a filename is needed for ${att.sourceUrl}`
+        );
+      }
+      return { ...att, file };
+    });
   }
 
   /**
-   * A function that will generate a json object that can be used in
-   * sriConfig.resources.*.customRoutes in order to add a POST /resource/attachments route.
-   *  * This is a multipart post, where the 'body' part is a stringified and properly escaped
-   * (escaping is handled by http client) JSON array of objects, each object having the following
-   * properties:
-   * ```javascript
-   * {
-   *    file: 'remotefileName', // string
-   *    attachment: {
-   *      key: attachmentKey, // guid
-   *      description: `this is MY file`, // string
-   *    },
-   *    resource: {
-   *      href: resourceHref, // href to the resource to which this attachment is attached
-   *    },
-   * }
-   * ```
-   * The 'data' part(s) is (are) a file, which is the actual contents of the uploaded file.
-   * There must be as many data parts, as there are records in the body part array.
-   * The 'data' part(s) must be in the same order as defined in the 'body' part.
-   *
-   * Here is an example of a multipart post message:
-   * ```
-   * POST /partiesS3/attachments HTTP/1.1
-   * content-type: multipart/form-data; boundary=--------------------NODENEEDLEHTTPCLIENT
-   * content-length: 10977
-   * host: localhost:5000
-   * Connection: close
-   *
-   * ----------------------NODENEEDLEHTTPCLIENT
-   * Content-Disposition: form-data; name="body"
-   *
-   * [{"file":"profile.png","attachment":{"key":"18f6f8ea-3926-4fe7-80a0-49cec88a66fd","description":"this is MY file with key 18f6f8ea-3926-4fe7-80a0-49cec88a66fd"},"resource":{"href":"/partiesS3/2691d53a-6f24-416e-9621-3cd14c05c5a6"}}]
-   * ----------------------NODENEEDLEHTTPCLIENT
-   * Content-Disposition: form-data; name="data"; filename="profile.png"
-   * Content-Transfer-Encoding: binary
-   * Content-Type: image/png
-   *
-   * <binary data>
-   * ----------------------NODENEEDLEHTTPCLIENT--
-   * ```
+   * Sends a GET request to the sourceUrl, and follows redirects (to allowed hosts only).
+   * The download is aborted with a 504 SriError when it has not completed (including the
+   * redirects) within timeoutInSeconds.
    *
-   * @param { TRunAfterUploadFun } runAfterUpload
-   * @param { TGetResourceForCopyFun } [getResourceForCopy] turns the href of the resource to copy the attachment from into the href of the resource to copy the attachment to
-   * @returns {TCustomRoute}
+   * @param {TSriRequest} sriRequest
+   * @param {string} sourceUrl
+   * @param {Array<string>} allowedHosts
+   * @param {number} timeoutInSeconds
+   * @returns {Promise<import("http").IncomingMessage>} a response with a 2xx status
    */
-  function customRouteForUpload(
-    runAfterUpload,
-    getResourceForCopy = defaultGetResourceForCopy
+  async function openSourceUrl(
+    sriRequest,
+    sourceUrl,
+    allowedHosts,
+    timeoutInSeconds
   ) {
-    return {
-      routePostfix: "/attachments",
-      httpMethods: ["POST"],
-      readOnly: false,
-      busBoy: true,
-      // Set to utf8 to deal with special characters in the filename (default is latin1)
-      busBoyConfig: { defParamCharset: "utf-8" },
+    let request;
+    let response;
+    const timeout = setTimeout(() => {
+      const err = sourceUrlError(
+        sriRequest,
+        504,
+        "source.url.timeout",
+        `${sourceUrl} could not be downloaded within ${timeoutInSeconds} seconds`
+      );
+      request.destroy(err);
+      if (response) {
+        response.destroy(err);
+      }
+    }, timeoutInSeconds * 1000);
 
-      /**
+    const get = (url) =>
+      new Promise((resolve, reject) => {
+        request = (url.protocol === "https:" ? https : http).get(url, resolve);
+        request.on("error", reject);
+      });
+
+    try {
+      let url = getAllowedSourceUrl(sriRequest, sourceUrl, allowedHosts);
+      response = await get(url);
+      let redirects = 0;
+      while (
+        [301, 302, 303, 307, 308].includes(response.statusCode) &&
+        response.headers.location
+      ) {
+        response.resume();
+        if (redirects === MAX_SOURCE_URL_REDIRECTS) {
+          throw sourceUrlError(
+            sriRequest,
+            502,
+            "source.url.failed",
+            `${sourceUrl} redirects more than ${MAX_SOURCE_URL_REDIRECTS} times`
+          );
+        }
+        redirects += 1;
+        url = getAllowedSourceUrl(
+          sriRequest,
+          new URL(response.headers.location, url).href,
+          allowedHosts
+        );
+        // eslint-disable-next-line no-await-in-loop
+        response = await get(url);
+      }
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw sourceUrlError(
+          sriRequest,
+          502,
+          "source.url.failed",
+          `${sourceUrl} responded with status ${response.statusCode}`
+        );
+      }
+      response.on("close", () => clearTimeout(timeout));
+      return response;
+    } catch (err) {
+      clearTimeout(timeout);
+      if (response) {
+        response.resume();
+      }
+      if (err instanceof sriRequest.SriError) {
+        throw err;
+      }
+      throw sourceUrlError(
+        sriRequest,
+        502,
+        "source.url.failed",
+        `${sourceUrl} could not be downloaded: ${err.message}`
+      );
+    }
+  }
+
+  /**
+   * Downloads the files of the attachments with a sourceUrl into tmp files, as if they were
+   * uploaded by the client. When any of the downloads fails, all tmp files are removed again.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {Array<TBodyForSourceUrlImport>} attachments
+   * @param {number | undefined} maxFileSize in bytes, undefined means no limit
+   * @param {{ allowedHosts: Array<string>, timeoutInSeconds: number }} sourceUrlOptions
+   * @returns {Promise<Array<TMultiPartSingleBodyForFileUploadsWithFileObj>>}
+   */
+  async function importAttachmentsFromSourceUrls(
+    sriRequest,
+    attachments,
+    maxFileSize,
+    { allowedHosts, timeoutInSeconds }
+  ) {
+    /** @type {Array<TMultiPartSingleBodyForFileUploadsWithFileObj>} */
+    const importedAttachmentsWithFileObj = [];
+    const importResults = await Promise.allSettled(
+      attachments.map(async (att, i) => {
+        const response = await openSourceUrl(
+          sriRequest,
+          att.sourceUrl,
+          allowedHosts,
+          timeoutInSeconds
+        );
+        const contentLength = Number(response.headers["content-length"]);
+        if (maxFileSize !== undefined && contentLength > maxFileSize) {
+          response.destroy();
+          throw fileTooLargeError(sriRequest, att.file, maxFileSize);
+        }
+        sriRequest.logDebug(logChannel, `importing ${att.sourceUrl}`);
+        const fileObj = createFileObjForTmpUpload(
+          sriRequest,
+          response,
+          att.originalFilename,
+          response.headers["content-type"] ||
+            mime.contentType(att.file) ||
+            "application/octet-stream",
+          maxFileSize
+        );
+        importedAttachmentsWithFileObj[i] = { ...att, fileObj };
+        await uploadTmpFile(sriRequest, fileObj);
+      })
+    );
+    const failedImport = importResults.find(isRejected);
+    if (failedImport) {
+      await handleErrorDuringUploadOrCopy(
+        failedImport.reason,
+        sriRequest,
+        importedAttachmentsWithFileObj.filter((att) => att)
+      );
+    }
+    return importedAttachmentsWithFileObj;
+  }
+
+  /**
+   * @param {TSriRequest} sriRequest
+   * @param {number} status
+   * @param {string} code
+   * @param {string} message
+   * @returns {Error}
+   */
+  function zipError(sriRequest, status, code, message) {
+    return new sriRequest.SriError({
+      status,
+      errors: [{ code, type: "ERROR", message }],
+    });
+  }
+
+  /**
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * Only uploaded files can be expanded, not copies or imports.
+   *
+   * @param {Array<TMultiPartSingleBodyForFileUploads>} bodyJson
+   * @param {TSriRequest} sriRequest
+   * @throws {SriError}
+   * @returns {void}
+   */
+  function validateZipExpansionsInUploadBody(bodyJson, sriRequest) {
+    if (
+      bodyJson.some(
+        (e) => e.expandZip && (!e.file || e.fileHref || "sourceUrl" in e)
+      )
+    ) {
+      throw zipError(
+        sriRequest,
+        400,
+        "invalid.json.expandZip",
+        "only an uploaded file can be expanded"
+      );
+    }
+  }
+
+  /**
+   * Expands the uploaded zip files: every file in them is streamed from the zip (on the
+   * storage) into its own tmp file, as if it was uploaded separately, with a new attachment key
+   * and the other properties of the json of the zip. Folders are left out, only the name of a
+   * file is used (a number is added to names that occur more than once).
+   *
+   * The zips are refused when they contain more than maxEntries files, more than
+   * maxUncompressedSize bytes or names with a path outside of the zip. When anything fails,
+   * the tmp files of the expanded files are removed again (the uploaded zips are not).
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {Array<TMultiPartSingleBodyForFileUploadsWithFileObj>} zipAttachments
+   * @param {number | undefined} maxFileSize in bytes, undefined means no limit
+   * @param {{ maxEntries: number, maxUncompressedSize: number | undefined }} zipOptions
+   * @returns {Promise<Array<TMultiPartSingleBodyForFileUploadsWithFileObj>>}
+   */
+  async function expandZipAttachments(
+    sriRequest,
+    zipAttachments,
+    maxFileSize,
+    { maxEntries, maxUncompressedSize }
+  ) {
+    /** @type {Array<TMultiPartSingleBodyForFileUploadsWithFileObj>} */
+    const expandedAttachmentsWithFileObj = [];
+    const usedNames = new Set();
+    let entryCount = 0;
+    let uncompressedSize = 0;
+    try {
+      for (const zipAtt of zipAttachments) {
+        const { tmpFileName, size } = zipAtt.fileObj;
+        const openRange = (range) => storage.getStream(tmpFileName, { range });
+        let entries;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          entries = await readZipDirectory(size, openRange);
+        } catch (err) {
+          throw zipError(
+            sriRequest,
+            400,
+            "invalid.zip",
+            `${zipAtt.file} is not a valid zip file: ${err.message}`
+          );
+        }
+        const files = entries.filter(
+          ({ name, isDirectory }) =>
+            !isDirectory && !name.startsWith("__MACOSX/")
+        );
+        const unsafeFile = files.find(({ name }) => !isSafeZipEntryName(name));
+        if (unsafeFile) {
+          throw zipError(
+            sriRequest,
+            400,
+            "zip.invalid.path",
+            `${zipAtt.file} contains a file outside of the zip (${unsafeFile.name})`
+          );
+        }
+        entryCount += files.length;
+        if (entryCount > maxEntries) {
+          throw zipError(
+            sriRequest,
+            413,
+            "zip.too.many.files",
+            `a zip can not contain more than ${maxEntries} files`
+          );
+        }
+        uncompressedSize += files.reduce((sum, file) => sum + file.size, 0);
+        if (
+          maxUncompressedSize !== undefined &&
+          uncompressedSize > maxUncompressedSize
+        ) {
+          throw zipError(
+            sriRequest,
+            413,
+            "zip.too.large",
+            `the files in a zip can not be larger than ${maxUncompressedSize} bytes together`
+          );
+        }
+
+        const { expandZip: _expandZip, ...zipJson } = zipAtt;
+        const { name: _zipName, ...attachmentJson } = zipAtt.attachment;
+        for (const entry of files) {
+          const filename = getSafeFilename(
+            getUniqueName(
+              getSafeFilename(path.posix.basename(entry.name)),
+              usedNames
+            )
+          );
+          const fileObj = createFileObjForTmpUpload(
+            sriRequest,
+            // eslint-disable-next-line no-await-in-loop
+            await entry.open(),
+            filename,
+            mime.lookup(filename) || "application/octet-stream",
+            maxFileSize
+          );
+          expandedAttachmentsWithFileObj.push({
+            ...zipJson,
+            file: fileObj.filename,
+            originalFilename: entry.name,
+            attachment: { ...attachmentJson, key: uuidv4() },
+            fileObj,
+          });
+          sriRequest.logDebug(logChannel, `expanding ${entry.name}`);
+          // eslint-disable-next-line no-await-in-loop
+          await uploadTmpFile(sriRequest, fileObj);
+        }
+      }
+    } catch (err) {
+      await handleErrorDuringUploadOrCopy(
+        err instanceof sriRequest.SriError
+          ? err
+          : zipError(
+              sriRequest,
+              400,
+              "invalid.zip",
+              `the zip could not be expanded: ${err.message}`
+            ),
+        sriRequest,
+        expandedAttachmentsWithFileObj
+      );
+    }
+    return expandedAttachmentsWithFileObj;
+  }
+
+  /**
+   * This function gathers files and meta data via the Busboy library and then
+   * uploads the files to a S3 bucket.
+   *
+   * Receiving files from the request and upload them to S3 are kept in one function to be able to
+   * directly stream incoming data to S3 and keep memory usage low.
+   *
+   * Files larger than maxFileSize are not stored, in that case (or when any other upload
+   * fails) all tmp files are removed again and an SriError is thrown.
+   * @param {TSriRequest} sriRequest
+   * @param {number | undefined} maxFileSize in bytes, undefined means no limit
+   * @returns
+   */
+  async function receiveFilesAndMetadataFromBusboyAndUploadToS3(
+    sriRequest,
+    maxFileSize
+  ) {
+    /** @type {Array<TFileObj>} */
+    const attachmentsRcvd = [];
+    const fieldsRcvd = {};
+    const tmpUploads = [];
+
+    sriRequest.busBoy.on(
+      "file",
+      async (fieldname, fileStream, { filename, encoding, mimeType }) => {
+        sriRequest.logDebug(
+          logChannel,
+          `BUSBOY File [${fieldname}]: filename: ${getSafeFilename(
+            filename
+          )}, encoding: ${encoding}, mimetype: ${mimeType}`
+        );
+
+        const fileObj = createFileObjForTmpUpload(
+          sriRequest,
+          fileStream,
+          filename,
+          mimeType,
+          maxFileSize
+        );
+
+        const tmpUpload = uploadTmpFile(sriRequest, fileObj);
+        // the result is only checked after busboy is done, avoid an unhandled rejection before that
+        tmpUpload.catch(() => {});
+        tmpUploads.push(tmpUpload);
+        attachmentsRcvd.push(fileObj);
+      }
+    );
+
+    sriRequest.busBoy.on("field", (fieldname, val, _info) => {
+      sriRequest.logDebug(
+        logChannel,
+        `BUSBOY Field [${fieldname}]: value: ${val}`
+      );
+      fieldsRcvd[fieldname] = val;
+    });
+
+    // wait until busboy is done
+    await pEvent(sriRequest.busBoy, "close");
+    sriRequest.logDebug(logChannel, "busBoy is done");
+
+    const tmpUploadResults = await Promise.allSettled(tmpUploads);
+    const failedTmpUpload = tmpUploadResults.find(isRejected);
+    if (failedTmpUpload) {
+      await handleErrorDuringUploadOrCopy(
+        failedTmpUpload.reason,
+        sriRequest,
+        attachmentsRcvd
+      );
+    }
+    sriRequest.logDebug(logChannel, "tmp uploads done");
+
+    return { attachmentsRcvd, fieldsRcvd };
+  }
+
+  /**
+   *
+   * @param {*} fullPluginConfig
+   * @param {TSriRequest} sriRequest
+   * @param {TRunAfterUploadFun} runAfterUpload
+   * @param {Array<TMultiPartSingleBodyForFileUploadsWithFileObj>} fileArrayWithFileObj
+   */
+  async function applyRunAfterUploadFun(
+    fullPluginConfig,
+    sriRequest,
+    runAfterUpload,
+    fileArrayWithFileObj
+  ) {
+    const logException = (ex, json) => {
+      sriRequest.logDebug(logChannel, "handlefile failed");
+      sriRequest.logDebug(logChannel, JSON.stringify(json, null, 2));
+      sriRequest.logDebug(logChannel, ex);
+    };
+    // The runAfterUpload functions expect the 'file' property in the file object to be an object.
+    // This is contrary to the upload object where the 'file' property is the filename. Therefore
+    // internally 'file' remains the filename and extra information is stored in the 'fileObj'
+    // property.
+    // ==> To keep the external interface the same for now, we need to transform the
+    // file information object.
+    // The old interface also used to pass file.resource.key. Also add this for backwards compability.
+    /** @typedef {Array<TMultiPartSingleBodyForAfterUploadHandler>} */
+    const fileArrayWithFileObjForUploadHandler = fileArrayWithFileObj.map(
+      (e) => ({
+        ...e,
+        file: e.fileObj,
+        resource: { ...e.resource, key: hrefToKey(e.resource.href) },
+      })
+    );
+    if (!fullPluginConfig.handleMultipleUploadsTogether) {
+      if (fullPluginConfig.uploadInSequence) {
+        // For example Persons Api which uses an sri4node as a proxy for its attachments files
+        // should be sequentially uploaded
+        for (const file of fileArrayWithFileObjForUploadHandler) {
+          // eslint-disable-next-line no-await-in-loop
+          try {
+            await runAfterUpload(sriRequest.dbT, sriRequest, file);
+            debug("handleFile success");
+          } catch (ex) {
+            logException(ex, file);
+            throw ex;
+          }
+        }
+      } else {
+        const uploadPromises = fileArrayWithFileObjForUploadHandler.map(
+          (file) =>
+            (async () => {
+              try {
+                await runAfterUpload(sriRequest.dbT, sriRequest, file);
+                debug("handleFile success");
+              } catch (ex) {
+                logException(ex, file);
+                throw ex;
+              }
+            })()
+        );
+        await Promise.all(uploadPromises);
+      }
+    } else {
+      try {
+        await runAfterUpload(
+          sriRequest.dbT,
+          sriRequest,
+          fileArrayWithFileObjForUploadHandler
+        );
+        debug("handleFile success");
+      } catch (ex) {
+        logException(ex, fileArrayWithFileObjForUploadHandler);
+        throw ex;
+      }
+    }
+  }
+
+  /**
+   *
+   * @param {*} body
+   * @param {TSriRequest} sriRequest
+   */
+  function throwErrorWhenBodyIsMissing(body, sriRequest) {
+    if (body === undefined) {
+      throw new sriRequest.SriError({
+        status: 409,
+        errors: [
+          {
+            code: "missing.body",
+            type: "ERROR",
+            message: "Body is required.",
+          },
+        ],
+      });
+    }
+  }
+
+  /**
+   * This function will rename the uploaded / copied attachments from
+   * their temporarily filenames to their real filenames.
+   * @param {*} attachmentsWithFileObj
+   * @returns
+   */
+  async function renameAttachmentsToRealNames(attachmentsWithFileObj) {
+    return Promise.all(attachmentsWithFileObj.map((file) => renameFile(file)));
+  }
+
+  /**
+   * @template {TMultiPartSingleBodyForFileUploads} T the type of the body of the route
+   * @param {Array<T>} bodyJsonArray
+   * @returns {Promise<Array<T & { originalFilename?: string }>>}
+   */
+  async function convertFilenamesInAttachmentsBodyToSafeFilenames(
+    bodyJsonArray
+  ) {
+    return bodyJsonArray.map((b) => ({
+      ...b,
+      file: b.file ? getSafeFilename(b.file) : undefined,
+      originalFilename: b.file,
+      attachment: {
+        ...b.attachment,
+        name: b.attachment.name
+          ? getSafeFilename(b.attachment.name)
+          : undefined,
+      },
+    }));
+  }
+
+  /**
+   * In case of error during handling of upload or copy of attachments
+   * the temporarly created S3 files (if already present) should be
+   * deleted.
+   * @param {*} err
+   * @param {TSriRequest} sriRequest
+   * @param {Array<TFileObj | TMultiPartSingleBodyForFileUploadsWithFileObj>} attachmentsRcvd
+   */
+  async function handleErrorDuringUploadOrCopy(
+    err,
+    sriRequest,
+    attachmentsRcvd
+  ) {
+    // something failed. delete all tmp files
+    // delete attachments again
+    sriRequest.logDebug(
+      logChannel,
+      "something went wrong during upload/afterupload:"
+    );
+    sriRequest.logDebug(logChannel, JSON.stringify(err, null, 2));
+
+    const filenames = attachmentsRcvd
+      .map((e) => ("fileObj" in e ? e.fileObj.tmpFileName : e.tmpFileName))
+      .filter((tmpFileName) => tmpFileName);
+
+    if (filenames.length) {
+      try {
+        await deleteFromS3(filenames);
+        sriRequest.logDebug(logChannel, `${filenames.join(" & ")} deleted`);
+      } catch (err) {
+        sriRequest.logDebug(logChannel, "delete failed");
+        sriRequest.logDebug(logChannel, err);
+      }
+    }
+
+    // rethrow to signal error further on
+    throw err;
+  }
+
+  /**
+   * @param {TUploadRouteOptions} routeOptions
+   * @returns {number | undefined} the maximum file size in bytes for a route, undefined means
+   *  no limit
+   */
+  function getMaxFileSize(routeOptions) {
+    return megabytesToBytes(
+      routeOptions.maximumFilesizeInMB !== undefined
+        ? routeOptions.maximumFilesizeInMB
+        : fullPluginConfig.maximumFilesizeInMB
+    );
+  }
+
+  /**
+   * @param {TUploadRouteOptions} routeOptions
+   * @returns {number} how long the presigned urls for uploads of a route remain valid
+   */
+  function getPresignedUploadExpiresInSeconds(routeOptions) {
+    return routeOptions.presignedUploadExpiresInSeconds !== undefined
+      ? routeOptions.presignedUploadExpiresInSeconds
+      : fullPluginConfig.presignedUploadExpiresInSeconds;
+  }
+
+  /**
+   * @param {TUploadRouteOptions} routeOptions
+   * @returns {{ allowedHosts: Array<string>, timeoutInSeconds: number }} the hosts from which
+   *  files can be imported via a sourceUrl (none by default) and the time allowed to download one
+   */
+  function getSourceUrlOptions(routeOptions) {
+    return {
+      allowedHosts:
+        routeOptions.sourceUrlAllowedHosts ||
+        fullPluginConfig.sourceUrlAllowedHosts,
+      timeoutInSeconds:
+        routeOptions.sourceUrlTimeoutInSeconds !== undefined
+          ? routeOptions.sourceUrlTimeoutInSeconds
+          : fullPluginConfig.sourceUrlTimeoutInSeconds,
+    };
+  }
+
+  /**
+   * @param {TUploadRouteOptions} routeOptions
+   * @returns {{ maxEntries: number, maxUncompressedSize: number | undefined }} how many files
+   *  the zips in an upload can contain, and how large they can be together (undefined means no
+   *  limit)
+   */
+  function getZipOptions(routeOptions) {
+    return {
+      maxEntries:
+        routeOptions.zipMaxEntries !== undefined
+          ? routeOptions.zipMaxEntries
+          : fullPluginConfig.zipMaxEntries,
+      maxUncompressedSize: megabytesToBytes(
+        routeOptions.zipMaxUncompressedSizeInMB !== undefined
+          ? routeOptions.zipMaxUncompressedSizeInMB
+          : fullPluginConfig.zipMaxUncompressedSizeInMB
+      ),
+    };
+  }
+
+  /**
+   * Will throw a 413 SriError if any of the files is larger than maxFileSize.
+   *
+   * @param { Array<TMultiPartSingleBodyForFileUploadsWithFileObj> } attachmentsWithFileObj
+   * @param { TSriRequest } sriRequest
+   * @param { number | undefined } maxFileSize
+   * @throws {SriError}
+   */
+  function checkAttachmentsFileSize(
+    attachmentsWithFileObj,
+    sriRequest,
+    maxFileSize
+  ) {
+    const tooLarge = attachmentsWithFileObj.filter(
+      ({ fileObj }) => maxFileSize !== undefined && fileObj.size > maxFileSize
+    );
+    if (tooLarge.length) {
+      throw new sriRequest.SriError({
+        status: 413,
+        errors: tooLarge.map(({ fileObj }) => ({
+          code: "file.too.large",
+          type: "ERROR",
+          message: `${fileObj.filename} is larger than the maximum allowed size of ${maxFileSize} bytes`,
+        })),
+      });
+    }
+  }
+
+  /**
+   * Combines the file type restrictions of the plugin configuration with the ones of a
+   * specific route (the route options win).
+   *
+   * @param {TUploadRouteOptions} routeOptions
+   * @returns {TFileTypeRestrictions}
+   */
+  function getFileTypeRestrictions(routeOptions) {
+    return [
+      "allowedMimeTypes",
+      "deniedMimeTypes",
+      "allowedExtensions",
+      "deniedExtensions",
+    ].reduce(
+      (acc, prop) => ({
+        ...acc,
+        [prop]:
+          routeOptions[prop] !== undefined
+            ? routeOptions[prop]
+            : fullPluginConfig[prop],
+      }),
+      {}
+    );
+  }
+
+  /**
+   * Will throw a 415 SriError if any of the files has a mime type or extension that is not
+   * allowed.
+   *
+   * @param { Array<{ fileObj: { filename: string, mimetype: string } }> } attachmentsWithFileObj
+   * @param { TSriRequest } sriRequest
+   * @param { TFileTypeRestrictions } restrictions
+   * @throws {SriError}
+   */
+  function checkAttachmentsFileTypes(
+    attachmentsWithFileObj,
+    sriRequest,
+    restrictions
+  ) {
+    const notAllowed = attachmentsWithFileObj.filter(
+      ({ fileObj }) =>
+        !isFileTypeAllowed(fileObj.filename, fileObj.mimetype, restrictions)
+    );
+    if (notAllowed.length) {
+      throw new sriRequest.SriError({
+        status: 415,
+        errors: notAllowed.map(({ fileObj }) => ({
+          code: "file.type.not.allowed",
+          type: "ERROR",
+          message: `${fileObj.filename} (${fileObj.mimetype}) is not an allowed file type`,
+        })),
+      });
+    }
+  }
+
+  /**
+   * Will throw a 415 SriError if the detected type (based on the contents) of any of the files
+   * does not match its extension or the type declared by the client (f.e. an .exe renamed to
+   * .png).
+   *
+   * @param { Array<TMultiPartSingleBodyForFileUploadsWithFileObj> } attachmentsWithFileObj
+   * @param { TSriRequest } sriRequest
+   * @throws {SriError}
+   */
+  function checkAttachmentsMimeTypeMismatch(attachmentsWithFileObj, sriRequest) {
+    const mismatches = attachmentsWithFileObj.filter(
+      ({ fileObj }) =>
+        !isMimeTypeCompatible(
+          fileObj.detectedMimetype,
+          mime.lookup(fileObj.filename)
+        ) || !isMimeTypeCompatible(fileObj.detectedMimetype, fileObj.mimetype)
+    );
+    if (mismatches.length) {
+      throw new sriRequest.SriError({
+        status: 415,
+        errors: mismatches.map(({ fileObj }) => ({
+          code: "file.type.mismatch",
+          type: "ERROR",
+          message: `the contents of ${fileObj.filename} (${fileObj.detectedMimetype}) do not match its extension or type (${fileObj.mimetype})`,
+        })),
+      });
+    }
+  }
+
+  /**
+   * When enabled fullPluginConfig, this function will check at S3 wether a file already exists
+   * and throw an error if it already exist.
+   * @param { Array<TMultiPartSingleBodyForFileUploads & { fileObj: TFileObj; }> } attachmentsWithFileObj
+   * @param { TSriRequest } sriRequest
+   */
+  async function checkAttachmentsFileExistence(
+    attachmentsWithFileObj,
+    sriRequest
+  ) {
+    if (fullPluginConfig.checkFileExistence) {
+      await checkExistence(
+        attachmentsWithFileObj.filter((e) => e.fileObj !== undefined),
+        sriRequest
+      );
+    }
+  }
+
+  /**
+   * This will cover standard usage of the plugin.
+   * There does not seem to be projects implementing this differently.
+   * @param {string} fileHref
+   * @returns {string}
+   */
+  function defaultGetResourceForCopy(fileHref) {
+    return fileHref.substring(0, fileHref.indexOf("/attachments/"));
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a POST /resource/attachments route.
+   *  * This is a multipart post, where the 'body' part is a stringified and properly escaped
+   * (escaping is handled by http client) JSON array of objects, each object having the following
+   * properties:
+   * ```javascript
+   * {
+   *    file: 'remotefileName', // string
+   *    attachment: {
+   *      key: attachmentKey, // guid
+   *      description: `this is MY file`, // string
+   *    },
+   *    resource: {
+   *      href: resourceHref, // href to the resource to which this attachment is attached
+   *    },
+   * }
+   * ```
+   * The 'data' part(s) is (are) a file, which is the actual contents of the uploaded file.
+   * There must be as many data parts, as there are records in the body part array.
+   * The 'data' part(s) must be in the same order as defined in the 'body' part.
+   *
+   * Instead of a file, an object can have a 'sourceUrl' (and optionally a 'file' to name it,
+   * by default the last part of the url is used). The server will then download the file from
+   * that url, if its host is in sourceUrlAllowedHosts.
+   *
+   * An object with 'expandZip: true' (and no attachment key) expands its uploaded zip: every
+   * file in it is stored as a separate attachment with a new key, within the limits of
+   * zipMaxEntries and zipMaxUncompressedSizeInMB.
+   *
+   * Here is an example of a multipart post message:
+   * ```
+   * POST /partiesS3/attachments HTTP/1.1
+   * content-type: multipart/form-data; boundary=--------------------NODENEEDLEHTTPCLIENT
+   * content-length: 10977
+   * host: localhost:5000
+   * Connection: close
+   *
+   * ----------------------NODENEEDLEHTTPCLIENT
+   * Content-Disposition: form-data; name="body"
+   *
+   * [{"file":"profile.png","attachment":{"key":"18f6f8ea-3926-4fe7-80a0-49cec88a66fd","description":"this is MY file with key 18f6f8ea-3926-4fe7-80a0-49cec88a66fd"},"resource":{"href":"/partiesS3/2691d53a-6f24-416e-9621-3cd14c05c5a6"}}]
+   * ----------------------NODENEEDLEHTTPCLIENT
+   * Content-Disposition: form-data; name="data"; filename="profile.png"
+   * Content-Transfer-Encoding: binary
+   * Content-Type: image/png
+   *
+   * <binary data>
+   * ----------------------NODENEEDLEHTTPCLIENT--
+   * ```
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TGetResourceForCopyFun } [getResourceForCopy] turns the href of the resource to copy the attachment from into the href of the resource to copy the attachment to
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions,
+   *  rejectMimeTypeMismatch, sourceUrlAllowedHosts, sourceUrlTimeoutInSeconds, zipMaxEntries,
+   *  zipMaxUncompressedSizeInMB)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForUpload(
+    runAfterUpload,
+    getResourceForCopy = defaultGetResourceForCopy,
+    options = {}
+  ) {
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+    const rejectMimeTypeMismatch =
+      options.rejectMimeTypeMismatch !== undefined
+        ? options.rejectMimeTypeMismatch
+        : fullPluginConfig.rejectMimeTypeMismatch;
+    const sourceUrlOptions = getSourceUrlOptions(options);
+    const zipOptions = getZipOptions(options);
+
+    return {
+      routePostfix: "/attachments",
+      httpMethods: ["POST"],
+      readOnly: false,
+      busBoy: true,
+      busBoyConfig: {
+        // Set to utf8 to deal with special characters in the filename (default is latin1)
+        defParamCharset: "utf-8",
+        // let busboy stop reading a file as soon as it is known to be too large
+        // (1 byte extra, to be able to detect that the limit has been exceeded)
+        ...(maxFileSize ? { limits: { fileSize: maxFileSize + 1 } } : {}),
+      },
+
+      /**
+       * @param {IDatabase} tx
+       * @param {TSriRequest} sriRequest
+       * @param {import('stream').Readable} stream
+       */
+      streamingHandler: async (tx, sriRequest, stream, _internalUtils) => {
+        /** @type {Array<TFileObj>} */
+        let attachmentsRcvd = [];
+        let copiedAttachmentsWithFileObj = [];
+        let importedAttachmentsWithFileObj = [];
+        let zipAttachmentsToExpand = [];
+        let expandedAttachmentsWithFileObj = [];
+        let allAttachmentsWithFileObj = [];
+        let allAttachmentsToHandle = [];
+
+        try {
+          const received =
+            await receiveFilesAndMetadataFromBusboyAndUploadToS3(
+              sriRequest,
+              maxFileSize
+            );
+          attachmentsRcvd = received.attachmentsRcvd;
+          const { fieldsRcvd } = received;
+
+          throwErrorWhenBodyIsMissing(fieldsRcvd.body, sriRequest);
+
+          const bodyParsed = JSON.parse(fieldsRcvd.body);
+          /** @type {Array<TBodyForUpload>} */
+          const bodyJsonArray = Array.isArray(bodyParsed)
+            ? bodyParsed
+            : [bodyParsed];
+
+          validateUploadMultipartBody(bodyJsonArray, sriRequest);
+          validateZipExpansionsInUploadBody(bodyJsonArray, sriRequest);
+
+          const safeBodyJsonArray =
+            await convertFilenamesInAttachmentsBodyToSafeFilenames(
+              validateSourceUrlsInUploadBody(
+                bodyJsonArray,
+                sriRequest,
+                sourceUrlOptions.allowedHosts
+              )
+            );
+
+          const attachmentsWithoutFileOrCopy = safeBodyJsonArray.filter(
+            (e) => !e.file && !e.fileHref
+          );
+
+          // copy attachments in case there are fileHrefs in the multipart
+          copiedAttachmentsWithFileObj = await copyAttachments(
+            tx,
+            sriRequest,
+            /** @type {Array<TBodyForFileCopy>} */ (
+              safeBodyJsonArray.filter((e) => e.fileHref)
+            ),
+            getResourceForCopy
+          );
+
+          // import attachments in case there are sourceUrls in the multipart
+          const attachmentsToImport = safeBodyJsonArray.filter(
+            (e) => "sourceUrl" in e
+          );
+          if (attachmentsToImport.length) {
+            // the server should not download anything for someone who can not use it
+            await checkSecurity(tx, sriRequest, attachmentsToImport, "create");
+            importedAttachmentsWithFileObj =
+              await importAttachmentsFromSourceUrls(
+                sriRequest,
+                attachmentsToImport,
+                maxFileSize,
+                sourceUrlOptions
+              );
+          }
+
+          const uploadedAttachmentsWithFileObj =
+            checkIfUploadedMetaDataMatchesUploadedAttachmentsAndGenerateAttachmentsListWithFileObj(
+              safeBodyJsonArray,
+              sriRequest,
+              attachmentsRcvd
+            );
+
+          // expand the uploaded zips that have 'expandZip' into their files
+          zipAttachmentsToExpand = uploadedAttachmentsWithFileObj.filter(
+            (e) => e.expandZip
+          );
+          if (zipAttachmentsToExpand.length) {
+            // the server should not expand anything for someone who can not use it
+            await checkSecurity(
+              tx,
+              sriRequest,
+              zipAttachmentsToExpand,
+              "create"
+            );
+            expandedAttachmentsWithFileObj = await expandZipAttachments(
+              sriRequest,
+              zipAttachmentsToExpand,
+              maxFileSize,
+              zipOptions
+            );
+          }
+          const uploadedFilesWithFileObj = [
+            ...uploadedAttachmentsWithFileObj.filter((e) => !e.expandZip),
+            ...expandedAttachmentsWithFileObj,
+          ];
+
+          const addMimeType = (file) => ({
+            ...file,
+            mimetype: mime.contentType(file.filename),
+          });
+
+          /** @type { Array<TMultiPartSingleBodyForFileUploads & { fileObj: TFileObj; }> } */
+          allAttachmentsWithFileObj = [
+            ...copiedAttachmentsWithFileObj.map(addMimeType),
+            ...uploadedFilesWithFileObj.map(addMimeType),
+            ...importedAttachmentsWithFileObj.map(addMimeType),
+          ];
+
+          allAttachmentsToHandle = [
+            ...allAttachmentsWithFileObj,
+            ...attachmentsWithoutFileOrCopy,
+          ];
+
+          checkAttachmentsFileTypes(
+            allAttachmentsWithFileObj,
+            sriRequest,
+            fileTypeRestrictions
+          );
+          if (rejectMimeTypeMismatch) {
+            checkAttachmentsMimeTypeMismatch(
+              [...uploadedFilesWithFileObj, ...importedAttachmentsWithFileObj],
+              sriRequest
+            );
+          }
+          await checkAttachmentsFileExistence(
+            allAttachmentsWithFileObj,
+            sriRequest
+          );
+          await checkIfMatchForAttachments(
+            sriRequest,
+            allAttachmentsWithFileObj
+          );
+          await applyRunAfterUploadFun(
+            fullPluginConfig,
+            sriRequest,
+            runAfterUpload,
+            allAttachmentsToHandle
+          );
+
+          // now that we validated the json body resource requirement, we can finally check security
+          await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+
+          // all files are now uploaded into their TMP versions.
+        } catch (err) {
+          await handleErrorDuringUploadOrCopy(err, sriRequest, [
+            ...copiedAttachmentsWithFileObj,
+            ...importedAttachmentsWithFileObj,
+            ...expandedAttachmentsWithFileObj,
+            ...attachmentsRcvd,
+          ]);
+        }
+        /// all went well, rename the files to their real names now.
+        await renameAttachmentsToRealNames(allAttachmentsWithFileObj);
+        // the expanded zips themselves are not stored
+        if (zipAttachmentsToExpand.length) {
+          await deleteFromS3(
+            zipAttachmentsToExpand.map((e) => e.fileObj.tmpFileName)
+          );
+        }
+
+        const response = allAttachmentsToHandle.map((file) => ({
+          status: 200,
+          href: `${file.resource.href}/attachments/${file.attachment.key}`,
+        }));
+        stream.push(response);
+      },
+    };
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a PUT
+   * /resource/<key>/attachments/<attachmentKey> route, to upload a single file as the raw body
+   * of the request instead of a multipart message.
+   *
+   * The filename comes from the Content-Disposition header (attachment; filename="profile.png")
+   * or the 'filename' query parameter, the description from the Content-Description header or
+   * the 'description' query parameter, and the mime type from the Content-Type header:
+   * ```
+   * PUT /partiesS3/2691d53a-6f24-416e-9621-3cd14c05c5a6/attachments/18f6f8ea-3926-4fe7-80a0-49cec88a66fd HTTP/1.1
+   * content-type: image/png
+   * content-disposition: attachment; filename="profile.png"
+   * content-description: this is MY file
+   *
+   * <binary data>
+   * ```
+   * Security, checks, runAfterUpload and the response are the same as for
+   * customRouteForUpload.
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions,
+   *  rejectMimeTypeMismatch)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForRawUpload(runAfterUpload, options = {}) {
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+    const rejectMimeTypeMismatch =
+      options.rejectMimeTypeMismatch !== undefined
+        ? options.rejectMimeTypeMismatch
+        : fullPluginConfig.rejectMimeTypeMismatch;
+
+    return {
+      routePostfix:
+        "/:key/attachments/:attachmentKey([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})",
+      httpMethods: ["PUT"],
+      readOnly: false,
+
+      /**
+       * @param {IDatabase} tx
+       * @param {TSriRequest} sriRequest
+       * @param {import('stream').Readable} stream
+       */
+      streamingHandler: async (tx, sriRequest, stream, _internalUtils) => {
+        const { headers, query = {}, params } = sriRequest;
+        const filename =
+          getFilenameFromContentDisposition(headers["content-disposition"]) ||
+          query.filename;
+        if (!filename) {
+          throw new sriRequest.SriError({
+            status: 400,
+            errors: [
+              {
+                code: "missing.filename",
+                type: "ERROR",
+                message:
+                  "the filename should be given in the Content-Disposition header or the filename query parameter",
+              },
+            ],
+          });
+        }
+
+        /** @type {TMultiPartSingleBodyForFileUploads} */
+        const body = {
+          file: filename,
+          attachment: {
+            key: params.attachmentKey,
+            description: headers["content-description"] || query.description,
+          },
+          resource: { href: `${sriRequest.sriType}/${params.key}` },
+        };
+        validateUploadMultipartBody([body], sriRequest);
+        const [safeBody] =
+          await convertFilenamesInAttachmentsBodyToSafeFilenames([body]);
+        // the attachment is known before the file is received, so it is not stored if not allowed
+        await checkSecurity(tx, sriRequest, [safeBody], "create");
+        await checkIfMatchForAttachments(sriRequest, [safeBody]);
+
+        const fileObj = createFileObjForTmpUpload(
+          sriRequest,
+          sriRequest.inStream,
+          filename,
+          headers["content-type"] ||
+            mime.contentType(safeBody.file) ||
+            "application/octet-stream",
+          maxFileSize
+        );
+        /** @type {TMultiPartSingleBodyForFileUploadsWithFileObj} */
+        const attachmentWithFileObj = { ...safeBody, fileObj };
+
+        try {
+          await uploadTmpFile(sriRequest, fileObj);
+
+          checkAttachmentsFileTypes(
+            [attachmentWithFileObj],
+            sriRequest,
+            fileTypeRestrictions
+          );
+          if (rejectMimeTypeMismatch) {
+            checkAttachmentsMimeTypeMismatch(
+              [attachmentWithFileObj],
+              sriRequest
+            );
+          }
+          await checkAttachmentsFileExistence(
+            [attachmentWithFileObj],
+            sriRequest
+          );
+          await applyRunAfterUploadFun(
+            fullPluginConfig,
+            sriRequest,
+            runAfterUpload,
+            [attachmentWithFileObj]
+          );
+        } catch (err) {
+          await handleErrorDuringUploadOrCopy(err, sriRequest, [fileObj]);
+        }
+        /// all went well, rename the file to its real name now.
+        await renameAttachmentsToRealNames([attachmentWithFileObj]);
+
+        stream.push([
+          {
+            status: 200,
+            href: `${safeBody.resource.href}/attachments/${safeBody.attachment.key}`,
+          },
+        ]);
+      },
+    };
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a POST /resource/attachments/copy route.
+   *
+   * Creates a copy of attachments directly on S3 based on their attachment href to avoid
+   * downloading and uploading attachments.
+   *
+   * [ used by activityplans-api and content-api when an activityplan or content item is copied ]
+   *
+   * The body of the request should be an array of objects or a single object with
+   * the following structure (same as body in multipart upload but with fileHref property):
+   * ```javascript
+   *  {
+   *    fileHref: "/things/1/attachments/profile1.png", // the url of the attachment to copy
+   *    file: "profile1.png",
+   *    attachment: {
+   *      key: attachmentCopyKey1,
+   *      description: `this is MY file with key ${attachmentCopyKey1}`,
+   *    },
+   *    resource: {
+   *      href: resourceCopyHref,
+   *    },
+   *  },
+   * ```
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TGetResourceForCopyFun } [getResourceForCopy] turns the href of the resource to copy the attachment from into the href of the resource to copy the attachment to
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForUploadCopy(
+    runAfterUpload,
+    getResourceForCopy = defaultGetResourceForCopy,
+    options = {}
+  ) {
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+
+    return {
+      routePostfix: "/attachments/copy",
+      httpMethods: ["POST"],
+      readOnly: false,
+
+      /**
+       *
+       * @param {IDatabase} tx
+       * @param {TSriRequest} sriRequest
+       * @returns {Promise<import("sri4node").TSriResult>}
+       */
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        /** @type { Array<TMultiPartSingleBodyForFileUploadsWithFileObj & TBodyForFileCopy> } */
+        let copiedAttachmentsWithFileObj = [];
+
+        try {
+          throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+
+          /** @type { Array<TBodyForFileCopy> } */
+          const bodyJsonArray = Array.isArray(sriRequest.body)
+            ? sriRequest.body
+            : [sriRequest.body];
+
+          validateUploadForCopyBody(bodyJsonArray, sriRequest);
+
+          const safeBodyJsonArray =
+            await convertFilenamesInAttachmentsBodyToSafeFilenames(
+              bodyJsonArray
+            );
+
+          copiedAttachmentsWithFileObj = await copyAttachments(
+            tx,
+            sriRequest,
+            safeBodyJsonArray,
+            getResourceForCopy
+          );
+
+          checkAttachmentsFileTypes(
+            copiedAttachmentsWithFileObj,
+            sriRequest,
+            fileTypeRestrictions
+          );
+          await checkAttachmentsFileExistence(
+            copiedAttachmentsWithFileObj,
+            sriRequest
+          );
+          await checkIfMatchForAttachments(
+            sriRequest,
+            copiedAttachmentsWithFileObj
+          );
+
+          await applyRunAfterUploadFun(
+            fullPluginConfig,
+            sriRequest,
+            runAfterUpload,
+            copiedAttachmentsWithFileObj
+          );
+
+          // now that we validated the json body resource requirement, we can finally check security
+          await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+
+          /// all files are now uploaded into their TMP versions.
+        } catch (err) {
+          await handleErrorDuringUploadOrCopy(
+            err,
+            sriRequest,
+            copiedAttachmentsWithFileObj
+          );
+        }
+
+        /// all went well, rename the files to their real names now.
+        await renameAttachmentsToRealNames(copiedAttachmentsWithFileObj);
+
+        return {
+          status: 200,
+          body: copiedAttachmentsWithFileObj.map((file) => ({
+            status: 200,
+            href: `${file.resource.href}/attachments/${file.attachment.key}`,
+          })),
+        };
+      },
+    };
+  }
+
+  /**
+   * Removes the new files of moved attachments when the move is rolled back after they had been
+   * renamed to their real names. A new file is kept when its original is gone, so no file is lost.
+   *
+   * @param {Array<TMultiPartSingleBodyForFileUploadsWithFileObj & TBodyForFileCopy>} movedAttachments
+   */
+  async function removeMovedFilesWithoutOriginal(movedAttachments) {
+    try {
+      const originalExists = await Promise.all(
+        movedAttachments.map(
+          async (att) =>
+            !!(await getFileMeta(getS3FileNameByHref(att.fileHref)))
+        )
+      );
+      const newFiles = movedAttachments
+        .filter((_att, i) => originalExists[i])
+        .map(getS3FileNameByMultiPartBody);
+      if (newFiles.length) {
+        await deleteFromS3(newFiles);
+      }
+    } catch (err) {
+      error("Unable to remove the new files of the moved attachments");
+      error(err);
+    }
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a POST /resource/attachments/move route.
+   *
+   * Moves attachments to another resource directly on S3. The body is the same as for
+   * customRouteForUploadCopy, with the fileHref of the attachment to move. It needs the 'read'
+   * and 'delete' abilities on the resource the attachment is moved from and the 'create'
+   * ability on the resource it is moved to.
+   * The original file is only deleted after runAfterUpload and afterDelete succeeded and the
+   * file is in its new place. When anything fails before that, the original is left untouched.
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TGetResourceForCopyFun | undefined } getResourceForCopy turns the href of the attachment to move into the href of its resource
+   * @param { TMoveRouteOptions } options the afterDelete, and overrides of the plugin
+   *  configuration for this route (allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForUploadMove(
+    runAfterUpload,
+    getResourceForCopy = defaultGetResourceForCopy,
+    options
+  ) {
+    if (typeof options?.afterDelete !== "function") {
+      throw new Error(
+        "[customRouteForUploadMove] options.afterDelete is required, the application has to remove the attachments that are moved away"
+      );
+    }
+    const { afterDelete } = options;
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+
+    return {
+      routePostfix: "/attachments/move",
+      httpMethods: ["POST"],
+      readOnly: false,
+
+      /**
+       *
+       * @param {IDatabase} tx
+       * @param {TSriRequest} sriRequest
+       * @returns {Promise<import("sri4node").TSriResult>}
+       */
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        /** @type { Array<TMultiPartSingleBodyForFileUploadsWithFileObj & TBodyForFileCopy> } */
+        let movedAttachmentsWithFileObj = [];
+
+        try {
+          throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+
+          /** @type { Array<TBodyForFileCopy> } */
+          const bodyJsonArray = Array.isArray(sriRequest.body)
+            ? sriRequest.body
+            : [sriRequest.body];
+
+          validateUploadForCopyBody(bodyJsonArray, sriRequest);
+
+          const safeBodyJsonArray =
+            await convertFilenamesInAttachmentsBodyToSafeFilenames(
+              bodyJsonArray
+            );
+
+          // nothing is copied before it is known that the originals may be deleted
+          await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+          await checkSecurityForResources(
+            tx,
+            sriRequest,
+            "delete",
+            new Set(
+              safeBodyJsonArray.map((body) => getResourceForCopy(body.fileHref))
+            )
+          );
+
+          movedAttachmentsWithFileObj = await copyAttachments(
+            tx,
+            sriRequest,
+            safeBodyJsonArray,
+            getResourceForCopy
+          );
+
+          if (
+            movedAttachmentsWithFileObj.some(
+              (att) =>
+                getS3FileNameByMultiPartBody(att) ===
+                getS3FileNameByHref(att.fileHref)
+            )
+          ) {
+            throw new sriRequest.SriError({
+              status: 400,
+              errors: [
+                {
+                  code: "invalid.json.fileHref",
+                  type: "ERROR",
+                  message: "an attachment can not be moved onto itself",
+                },
+              ],
+            });
+          }
+
+          checkAttachmentsFileTypes(
+            movedAttachmentsWithFileObj,
+            sriRequest,
+            fileTypeRestrictions
+          );
+          await checkAttachmentsFileExistence(
+            movedAttachmentsWithFileObj,
+            sriRequest
+          );
+          await checkIfMatchForAttachments(
+            sriRequest,
+            movedAttachmentsWithFileObj
+          );
+
+          await applyRunAfterUploadFun(
+            fullPluginConfig,
+            sriRequest,
+            runAfterUpload,
+            movedAttachmentsWithFileObj
+          );
+
+          // the originals are about to be deleted, so the application can remove them as well
+          for (const att of movedAttachmentsWithFileObj) {
+            // eslint-disable-next-line no-await-in-loop
+            const meta = await getFileMeta(getS3FileNameByHref(att.fileHref));
+            const movedAttachmentKey = meta?.Metadata?.attachmentkey;
+            if (!movedAttachmentKey) {
+              throw new sriRequest.SriError({
+                status: 409,
+                errors: [
+                  {
+                    code: "file.to.move.not.found",
+                    type: "ERROR",
+                    message: `the attachment of ${att.fileHref} can not be found`,
+                  },
+                ],
+              });
+            }
+            // eslint-disable-next-line no-await-in-loop
+            await afterDelete(
+              tx,
+              sriRequest,
+              hrefToKey(getResourceForCopy(att.fileHref)),
+              movedAttachmentKey
+            );
+          }
+        } catch (err) {
+          await handleErrorDuringUploadOrCopy(
+            err,
+            sriRequest,
+            movedAttachmentsWithFileObj
+          );
+        }
+
+        /// all went well, rename the files to their real names now.
+        await renameAttachmentsToRealNames(movedAttachmentsWithFileObj);
+
+        // the moved files are in their new place, only now the originals can be deleted
+        const originals = movedAttachmentsWithFileObj.map((att) =>
+          getS3FileNameByHref(att.fileHref)
+        );
+        if (originals.length) {
+          try {
+            await deleteFromS3(originals);
+          } catch (err) {
+            error(`Unable to delete the moved files [${originals.join(", ")}]`);
+            error(err);
+            // the transaction is rolled back, so the attachments stay where they were and their
+            // new files have to go, except the ones whose original has been deleted anyway
+            await removeMovedFilesWithoutOriginal(movedAttachmentsWithFileObj);
+            throw new sriRequest.SriError({
+              status: 500,
+              errors: [
+                {
+                  code: "delete.failed",
+                  type: "ERROR",
+                  message: "Unable to delete the moved files",
+                },
+              ],
+            });
+          }
+        }
+
+        return {
+          status: 200,
+          body: movedAttachmentsWithFileObj.map((file) => ({
+            status: 200,
+            href: `${file.resource.href}/attachments/${file.attachment.key}`,
+          })),
+        };
+      },
+    };
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a POST /resource/attachments/base64
+   * route, for clients that can only send json (like workflow engines and low-code tools).
+   *
+   * The body of the request should be an array of objects or a single object with
+   * the following structure (same as body in multipart upload but with the content of
+   * the file, base64 encoded):
+   * ```javascript
+   *  {
+   *    file: "hello.txt",
+   *    content: "aGVsbG8gd29ybGQ=",
+   *    mimetype: "text/plain", // optional, derived from the filename when omitted
+   *    attachment: {
+   *      key: attachmentKey,
+   *      description: "this is MY file",
+   *    },
+   *    resource: {
+   *      href: resourceHref,
+   *    },
+   *  },
+   * ```
+   * Otherwise it works like customRouteForUpload. Keep in mind that the whole request has to
+   * fit within the json body limit of the server.
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions,
+   *  rejectMimeTypeMismatch)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForUploadBase64(runAfterUpload, options = {}) {
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+    const rejectMimeTypeMismatch =
+      options.rejectMimeTypeMismatch !== undefined
+        ? options.rejectMimeTypeMismatch
+        : fullPluginConfig.rejectMimeTypeMismatch;
+
+    return {
+      routePostfix: "/attachments/base64",
+      httpMethods: ["POST"],
+      readOnly: false,
+
+      /**
+       *
+       * @param {IDatabase} tx
+       * @param {TSriRequest} sriRequest
+       * @returns {Promise<import("sri4node").TSriResult>}
+       */
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        /** @type { Array<TMultiPartSingleBodyForFileUploadsWithFileObj> } */
+        let uploadedAttachmentsWithFileObj = [];
+
+        try {
+          throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+
+          /** @type { Array<TBodyForBase64Upload> } */
+          const bodyJsonArray = Array.isArray(sriRequest.body)
+            ? sriRequest.body
+            : [sriRequest.body];
+
+          validateUploadBase64Body(bodyJsonArray, sriRequest);
+
+          const safeBodyJsonArray =
+            await convertFilenamesInAttachmentsBodyToSafeFilenames(
+              bodyJsonArray
+            );
+
+          await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+
+          // the size is known without decoding: every 4 characters are 3 bytes, minus the padding
+          safeBodyJsonArray.forEach(({ file, content }) => {
+            const size =
+              (content.length / 4) * 3 -
+              (content.match(/=*$/)?.[0].length || 0);
+            if (maxFileSize !== undefined && size > maxFileSize) {
+              throw fileTooLargeError(sriRequest, file, maxFileSize);
+            }
+          });
+
+          uploadedAttachmentsWithFileObj = safeBodyJsonArray.map(
+            ({ content, mimetype, ...att }) => ({
+              ...att,
+              fileObj: createFileObjForTmpUpload(
+                sriRequest,
+                Readable.from([Buffer.from(content, "base64")]),
+                att.originalFilename,
+                mimetype ||
+                  mime.contentType(att.file) ||
+                  "application/octet-stream",
+                maxFileSize
+              ),
+            })
+          );
+          const tmpUploadResults = await Promise.allSettled(
+            uploadedAttachmentsWithFileObj.map(({ fileObj }) =>
+              uploadTmpFile(sriRequest, fileObj)
+            )
+          );
+          const failedTmpUpload = tmpUploadResults.find(isRejected);
+          if (failedTmpUpload) {
+            throw failedTmpUpload.reason;
+          }
+
+          checkAttachmentsFileTypes(
+            uploadedAttachmentsWithFileObj,
+            sriRequest,
+            fileTypeRestrictions
+          );
+          if (rejectMimeTypeMismatch) {
+            checkAttachmentsMimeTypeMismatch(
+              uploadedAttachmentsWithFileObj,
+              sriRequest
+            );
+          }
+          await checkAttachmentsFileExistence(
+            uploadedAttachmentsWithFileObj,
+            sriRequest
+          );
+          await checkIfMatchForAttachments(
+            sriRequest,
+            uploadedAttachmentsWithFileObj
+          );
+
+          await applyRunAfterUploadFun(
+            fullPluginConfig,
+            sriRequest,
+            runAfterUpload,
+            uploadedAttachmentsWithFileObj
+          );
+        } catch (err) {
+          await handleErrorDuringUploadOrCopy(
+            err,
+            sriRequest,
+            uploadedAttachmentsWithFileObj
+          );
+        }
+
+        /// all went well, rename the files to their real names now.
+        await renameAttachmentsToRealNames(uploadedAttachmentsWithFileObj);
+
+        return {
+          status: 200,
+          body: uploadedAttachmentsWithFileObj.map((file) => ({
+            status: 200,
+            href: `${file.resource.href}/attachments/${file.attachment.key}`,
+          })),
+        };
+      },
+    };
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a POST
+   * /resource/attachments/presigned route.
+   * This allows to upload a file directly to S3 (without proxying through the api server):
+   * the client announces the file(s) it wants to upload, with the same json as in the body of
+   * a multipart upload plus the size of the file:
+   * ```javascript
+   * {
+   *    file: 'profile.png',
+   *    size: 10483, // in bytes
+   *    mimetype: 'image/png', // optional, derived from the filename when omitted
+   *    attachment: { key: attachmentKey, description: 'this is MY file' },
+   *    resource: { href: resourceHref },
+   * }
+   * ```
+   * After the security check and the checks on size and type, it returns for each file the
+   * url and form fields of a presigned POST that only accepts exactly that file, and an
+   * uploadKey. Once the file has been uploaded, the client calls the finalize route
+   * (customRouteForPreSignedUploadFinalize) to turn it into an attachment.
+   *
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions,
+   *  presignedUploadExpiresInSeconds)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForPreSignedUpload(options = {}) {
+    if (!storage.createPresignedPost) {
+      throw new Error(
+        `presigned uploads are not supported by the ${storage.name} storage`
+      );
+    }
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+    const expiresInSeconds = getPresignedUploadExpiresInSeconds(options);
+
+    return {
+      routePostfix: "/attachments/presigned",
+      httpMethods: ["POST"],
+      readOnly: true,
+      /**
+       * @type { TNonStreamingCustomRoute['handler'] }
+       */
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+
+        /** @type { Array<TBodyForPresignedUpload> } */
+        const bodyJsonArray = Array.isArray(sriRequest.body)
+          ? sriRequest.body
+          : [sriRequest.body];
+
+        validatePresignedUploadBody(bodyJsonArray, sriRequest);
+
+        const safeBodyJsonArray =
+          await convertFilenamesInAttachmentsBodyToSafeFilenames(bodyJsonArray);
+
+        await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+
+        /** @type { Array<TMultiPartSingleBodyForFileUploadsWithFileObj> } */
+        const attachmentsWithFileObj = safeBodyJsonArray.map((att) => ({
+          ...att,
+          fileObj: {
+            filename: att.file,
+            originalFilename: att.originalFilename,
+            mimetype:
+              att.mimetype ||
+              mime.contentType(att.file) ||
+              "application/octet-stream",
+            size: att.size,
+          },
+        }));
+
+        checkAttachmentsFileSize(
+          attachmentsWithFileObj,
+          sriRequest,
+          maxFileSize
+        );
+        checkAttachmentsFileTypes(
+          attachmentsWithFileObj,
+          sriRequest,
+          fileTypeRestrictions
+        );
+        await checkAttachmentsFileExistence(attachmentsWithFileObj, sriRequest);
+
+        const body = await Promise.all(
+          attachmentsWithFileObj.map(async (att) => {
+            const uploadKey = getPresignedTmpFilename(att.fileObj.filename);
+            const { url, fields } = await getPreSigned(
+              uploadKey,
+              att,
+              expiresInSeconds
+            );
+            return {
+              href: `${att.resource.href}/attachments/${att.attachment.key}`,
+              uploadKey,
+              url,
+              fields,
+            };
+          })
+        );
+
+        return {
+          body,
+          status: 200,
+        };
+      },
+    };
+  }
+
+  /**
+   * Turns files that have been uploaded directly to the storage (with a presigned POST or a
+   * multipart upload) into attachments: it verifies that each file exists and was uploaded for
+   * exactly this attachment and resource, does the same checks as the upload route, calls
+   * runAfterUpload and renames the files to their real names.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {Array<TBodyForPresignedUploadFinalize>} safeBodyJsonArray
+   * @param {TRunAfterUploadFun} runAfterUpload
+   * @param {number} maxFileSize
+   * @param {TFileTypeRestrictions} fileTypeRestrictions
+   * @returns {Promise<import("sri4node").TSriResult>}
+   */
+  async function finalizePresignedUploads(
+    sriRequest,
+    safeBodyJsonArray,
+    runAfterUpload,
+    maxFileSize,
+    fileTypeRestrictions
+  ) {
+    // when something goes wrong, all the uploaded files of the request are removed again, also
+    // when one of them is missing or was not uploaded for this attachment
+    /** @type { Array<TMultiPartSingleBodyForFileUploadsWithFileObj> } */
+    let uploadedAttachmentsWithFileObj = safeBodyJsonArray.map((att) => ({
+      ...att,
+      fileObj: {
+        filename: att.file,
+        tmpFileName: att.uploadKey,
+        mimetype: mime.contentType(att.file) || "application/octet-stream",
+      },
+    }));
+
+    try {
+      // only files that have been uploaded for exactly this attachment can be finalized
+      uploadedAttachmentsWithFileObj = await Promise.all(
+        safeBodyJsonArray.map(async (att) => {
+          const meta = await getFileMeta(att.uploadKey);
+          if (!meta) {
+            throw new sriRequest.SriError({
+              status: 409,
+              errors: [
+                {
+                  code: "missing.file",
+                  type: "ERROR",
+                  message: `file ${att.file} was expected but not found`,
+                },
+              ],
+            });
+          }
+          if (
+            meta.Metadata?.attachmentkey !== att.attachment.key ||
+            meta.Metadata?.resourcehref !== att.resource.href
+          ) {
+            throw new sriRequest.SriError({
+              status: 409,
+              errors: [
+                {
+                  code: "presigned.upload.mismatch",
+                  type: "ERROR",
+                  message: `file ${att.file} was not uploaded for this attachment`,
+                },
+              ],
+            });
+          }
+          return {
+            ...att,
+            fileObj: {
+              filename: att.file,
+              originalFilename: att.originalFilename,
+              tmpFileName: att.uploadKey,
+              mimetype:
+                meta.ContentType ||
+                mime.contentType(att.file) ||
+                "application/octet-stream",
+              size: meta.ContentLength,
+            },
+          };
+        })
+      );
+
+      checkAttachmentsFileSize(
+        uploadedAttachmentsWithFileObj,
+        sriRequest,
+        maxFileSize
+      );
+      checkAttachmentsFileTypes(
+        uploadedAttachmentsWithFileObj,
+        sriRequest,
+        fileTypeRestrictions
+      );
+      await checkAttachmentsFileExistence(
+        uploadedAttachmentsWithFileObj,
+        sriRequest
+      );
+      await checkIfMatchForAttachments(
+        sriRequest,
+        uploadedAttachmentsWithFileObj
+      );
+
+      await applyRunAfterUploadFun(
+        fullPluginConfig,
+        sriRequest,
+        runAfterUpload,
+        uploadedAttachmentsWithFileObj
+      );
+    } catch (err) {
+      await handleErrorDuringUploadOrCopy(
+        err,
+        sriRequest,
+        uploadedAttachmentsWithFileObj
+      );
+    }
+
+    /// all went well, rename the files to their real names now.
+    await renameAttachmentsToRealNames(uploadedAttachmentsWithFileObj);
+
+    return {
+      status: 200,
+      body: uploadedAttachmentsWithFileObj.map((file) => ({
+        status: 200,
+        href: `${file.resource.href}/attachments/${file.attachment.key}`,
+      })),
+    };
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a POST
+   * /resource/attachments/presigned/finalize route.
+   *
+   * After a file has been uploaded with a presigned POST (see customRouteForPreSignedUpload),
+   * the client sends the same json again with the uploadKey it got (and without size).
+   * This route verifies that the uploaded file exists and that it was uploaded for this
+   * attachment and resource, does the same checks as the upload route, calls runAfterUpload
+   * and renames the file to its real name.
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions)
+   * @returns {TCustomRoute}
+   */
+  function customRouteForPreSignedUploadFinalize(runAfterUpload, options = {}) {
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+
+    return {
+      routePostfix: "/attachments/presigned/finalize",
+      httpMethods: ["POST"],
+      readOnly: false,
+
+      /**
+       *
        * @param {IDatabase} tx
        * @param {TSriRequest} sriRequest
-       * @param {import('stream').Readable} stream
+       * @returns {Promise<import("sri4node").TSriResult>}
        */
-      streamingHandler: async (tx, sriRequest, stream, _internalUtils) => {
-        let copiedAttachmentsWithFileObj = [];
-        let uploadedAttachmentsWithFileObj = [];
-        let allAttachmentsWithFileObj = [];
-        let allAttachmentsToHandle = [];
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+
+        /** @type { Array<TBodyForPresignedUploadFinalize> } */
+        const bodyJsonArray = Array.isArray(sriRequest.body)
+          ? sriRequest.body
+          : [sriRequest.body];
+
+        validatePresignedUploadFinalizeBody(bodyJsonArray, sriRequest);
+
+        const safeBodyJsonArray =
+          await convertFilenamesInAttachmentsBodyToSafeFilenames(bodyJsonArray);
+
+        await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+
+        return await finalizePresignedUploads(
+          sriRequest,
+          safeBodyJsonArray,
+          runAfterUpload,
+          maxFileSize,
+          fileTypeRestrictions
+        );
+      },
+    };
+  }
+
+  /**
+   * A multipart upload is always started for exactly one attachment, so the multipart upload
+   * routes expect a single json object as body.
+   *
+   * @param {TSriRequest} sriRequest
+   * @throws {SriError}
+   * @returns {any} the body of the request
+   */
+  function getSingleAttachmentBody(sriRequest) {
+    throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+
+    if (Array.isArray(sriRequest.body)) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.multiple.files",
+            type: "ERROR",
+            message: "a multipart upload is for exactly one file",
+          },
+        ],
+      });
+    }
+    return sriRequest.body;
+  }
+
+  /**
+   * Calls the storage for a started multipart upload, and translates the error the storage
+   * throws when it does not know the upload (anymore) into a 404.
+   *
+   * @template T
+   * @param {TSriRequest} sriRequest
+   * @param {{ file: string, uploadId: string }} att the (stored) multipart upload
+   * @param {() => Promise<T>} fun
+   * @returns {Promise<T>}
+   */
+  async function callStorageForMultipartUpload(sriRequest, att, fun) {
+    try {
+      return await fun();
+    } catch (err) {
+      if (err.$metadata?.httpStatusCode === 404) {
+        throw new sriRequest.SriError({
+          status: 404,
+          errors: [
+            {
+              code: "multipart.upload.not.found",
+              type: "ERROR",
+              message: `multipart upload ${att.uploadId} of file ${att.file} not found`,
+            },
+          ],
+        });
+      }
+      if (err.$metadata?.httpStatusCode === 400) {
+        throw new sriRequest.SriError({
+          status: 400,
+          errors: [
+            {
+              code: "invalid.multipart.upload",
+              type: "ERROR",
+              message: `multipart upload ${att.uploadId} of file ${att.file} was refused by the storage: ${err.message}`,
+            },
+          ],
+        });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * The state of a multipart (or tus) upload is kept in a small json object on the storage,
+   * next to the parts, so any instance of the api can handle the next request for that upload.
+   *
+   * @param {string} uploadKey
+   * @returns {string}
+   */
+  function getMultipartUploadInfoKey(uploadKey) {
+    return `${uploadKey}.info`;
+  }
+
+  /**
+   * @param {string} uploadKey
+   * @returns {Promise<TStoredMultipartUpload | undefined>} undefined if there is no upload in
+   *  progress with this key
+   */
+  async function readMultipartUploadInfo(uploadKey) {
+    if (!isPresignedTmpFilename(uploadKey)) {
+      return undefined;
+    }
+    try {
+      const info = await storage.getStream(
+        getMultipartUploadInfoKey(uploadKey)
+      );
+      return JSON.parse((await streamToBuffer(info)).toString());
+    } catch (err) {
+      if (err.$metadata?.httpStatusCode !== 404) {
+        throw err;
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Starts a multipart upload on the storage for the announced file, after the same checks as
+   * a presigned upload (security, size, type and existence).
+   *
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @param {TBodyForPresignedUpload} body
+   * @param {number | undefined} maxFileSize
+   * @param {TFileTypeRestrictions} fileTypeRestrictions
+   * @param {{ uploadLength?: number }} [extraInfo] extra state to keep with the upload
+   * @returns {Promise<{ upload: TStoredMultipartUpload, href: string, uploadKey: string, uploadId: string }>}
+   */
+  async function startMultipartUpload(
+    tx,
+    sriRequest,
+    body,
+    maxFileSize,
+    fileTypeRestrictions,
+    extraInfo = {}
+  ) {
+    validatePresignedUploadBody([body], sriRequest);
+
+    const [safeBody] = await convertFilenamesInAttachmentsBodyToSafeFilenames([
+      body,
+    ]);
+    await checkSecurity(tx, sriRequest, [safeBody], "create");
+
+    /** @type { TMultiPartSingleBodyForFileUploadsWithFileObj } */
+    const att = {
+      ...safeBody,
+      fileObj: {
+        filename: safeBody.file,
+        originalFilename: safeBody.originalFilename,
+        mimetype:
+          safeBody.mimetype ||
+          mime.contentType(safeBody.file) ||
+          "application/octet-stream",
+        size: safeBody.size,
+      },
+    };
+
+    checkAttachmentsFileSize([att], sriRequest, maxFileSize);
+    checkAttachmentsFileTypes([att], sriRequest, fileTypeRestrictions);
+    await checkAttachmentsFileExistence([att], sriRequest);
+
+    // the metadata binds the upload to the attachment, which is verified on completion
+    const uploadKey = getPresignedTmpFilename(att.fileObj.filename);
+    const uploadId = await storage.createMultipartUpload(uploadKey, {
+      contentType: att.fileObj.mimetype,
+      metadata: {
+        attachmentkey: att.attachment.key,
+        resourcehref: att.resource.href,
+      },
+    });
+    // the parts of an upload in progress have no metadata, so the attachment the upload is
+    // for is stored next to them, to verify the next calls for this upload
+    /** @type {TStoredMultipartUpload} */
+    const upload = {
+      file: safeBody.file,
+      originalFilename: safeBody.originalFilename,
+      attachment: safeBody.attachment,
+      resource: safeBody.resource,
+      uploadKey,
+      uploadId,
+      ...extraInfo,
+    };
+    await storage.putStream(
+      getMultipartUploadInfoKey(uploadKey),
+      Readable.from([Buffer.from(JSON.stringify(upload))]),
+      { contentType: "application/json" }
+    );
+
+    return {
+      upload,
+      href: `${att.resource.href}/attachments/${att.attachment.key}`,
+      uploadKey,
+      uploadId,
+    };
+  }
+
+  /**
+   * A function that will generate a list of json objects that can be used in
+   * sriConfig.resources.*.customRoutes (customRoutes: [ ...customRoutesForMultipartUpload(f) ])
+   * in order to upload (very) large files directly to S3 in parts, which allows for files
+   * larger than the 5GB of a presigned POST and for resuming an interrupted upload.
+   *
+   * All routes are POST routes with a json body, and need the 'create' ability on the resource:
+   * - /resource/attachments/multipart starts the upload, the body is the same as for
+   *   customRouteForPreSignedUpload (but a single object), it returns
+   *   { href, uploadKey, uploadId }.
+   * - /resource/attachments/multipart/parts returns { parts: [{ partNumber, url }] } with a
+   *   presigned url to PUT each of the requested partNumbers to (the ETag header of the
+   *   response of each PUT is needed to complete the upload).
+   * - /resource/attachments/multipart/list returns the parts that have been uploaded so far as
+   *   { parts: [{ partNumber, etag, size }] }, to resume an interrupted upload.
+   * - /resource/attachments/multipart/complete assembles the parts (the given
+   *   parts: [{ partNumber, etag }] or else all uploaded parts) and does the same as
+   *   customRouteForPreSignedUploadFinalize: checks, runAfterUpload and renaming.
+   * - /resource/attachments/multipart/abort throws away the parts uploaded so far.
+   *
+   * Besides the started upload, each call sends the json of the start again with the uploadKey
+   * and uploadId that were returned by the start.
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for these
+   *  routes (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions,
+   *  deniedExtensions, presignedUploadExpiresInSeconds)
+   * @returns {Array<TCustomRoute>}
+   */
+  function customRoutesForMultipartUpload(runAfterUpload, options = {}) {
+    if (!storage.createMultipartUpload) {
+      throw new Error(
+        `multipart uploads are not supported by the ${storage.name} storage`
+      );
+    }
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+    const expiresInSeconds = getPresignedUploadExpiresInSeconds(options);
+
+    /**
+     * Validation, conversion to a safe filename and security check of the body of the routes
+     * that act on a started multipart upload, which must have been started for the same
+     * attachment of the same resource.
+     *
+     * @param {IDatabase} tx
+     * @param {TSriRequest} sriRequest
+     * @param {boolean} [partNumbersRequired]
+     * @returns {Promise<TBodyForMultipartUpload>}
+     */
+    async function getStartedMultipartUpload(
+      tx,
+      sriRequest,
+      partNumbersRequired = false
+    ) {
+      /** @type { TBodyForMultipartUpload } */
+      const body = getSingleAttachmentBody(sriRequest);
+      validateMultipartUploadBody([body], sriRequest, partNumbersRequired);
+
+      const [safeBody] = await convertFilenamesInAttachmentsBodyToSafeFilenames(
+        [body]
+      );
+      await checkSecurity(tx, sriRequest, [safeBody], "create");
+
+      const upload = await readMultipartUploadInfo(safeBody.uploadKey);
+      if (!upload || upload.uploadId !== safeBody.uploadId) {
+        throw new sriRequest.SriError({
+          status: 404,
+          errors: [
+            {
+              code: "multipart.upload.not.found",
+              type: "ERROR",
+              message: `multipart upload ${safeBody.uploadId} of file ${safeBody.file} not found`,
+            },
+          ],
+        });
+      }
+      if (
+        upload.attachment.key !== safeBody.attachment.key ||
+        upload.resource.href !== safeBody.resource.href
+      ) {
+        throw new sriRequest.SriError({
+          status: 409,
+          errors: [
+            {
+              code: "multipart.upload.mismatch",
+              type: "ERROR",
+              message: `multipart upload ${safeBody.uploadId} was not started for this attachment`,
+            },
+          ],
+        });
+      }
+      return safeBody;
+    }
+
+    return [
+      {
+        routePostfix: "/attachments/multipart",
+        httpMethods: ["POST"],
+        readOnly: true,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const { href, uploadKey, uploadId } = await startMultipartUpload(
+            tx,
+            sriRequest,
+            getSingleAttachmentBody(sriRequest),
+            maxFileSize,
+            fileTypeRestrictions
+          );
+
+          return {
+            status: 200,
+            body: { href, uploadKey, uploadId },
+          };
+        },
+      },
+      {
+        routePostfix: "/attachments/multipart/parts",
+        httpMethods: ["POST"],
+        readOnly: true,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const att = await getStartedMultipartUpload(tx, sriRequest, true);
+
+          const parts = await callStorageForMultipartUpload(
+            sriRequest,
+            att,
+            () =>
+              Promise.all(
+                [...new Set(att.partNumbers)].map(async (partNumber) => ({
+                  partNumber,
+                  url: await storage.createPresignedPartUrl(
+                    att.uploadKey,
+                    att.uploadId,
+                    partNumber,
+                    expiresInSeconds
+                  ),
+                }))
+              )
+          );
+
+          return { status: 200, body: { parts } };
+        },
+      },
+      {
+        routePostfix: "/attachments/multipart/list",
+        httpMethods: ["POST"],
+        readOnly: true,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const att = await getStartedMultipartUpload(tx, sriRequest);
+
+          const storageParts = await callStorageForMultipartUpload(
+            sriRequest,
+            att,
+            () => storage.listParts(att.uploadKey, att.uploadId)
+          );
+
+          return {
+            status: 200,
+            body: {
+              parts: storageParts.map(({ PartNumber, ETag, Size }) => ({
+                partNumber: PartNumber,
+                etag: ETag,
+                size: Size,
+              })),
+            },
+          };
+        },
+      },
+      {
+        routePostfix: "/attachments/multipart/complete",
+        httpMethods: ["POST"],
+        readOnly: false,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const att = await getStartedMultipartUpload(tx, sriRequest);
+
+          const parts = att.parts
+            ? att.parts.map(({ partNumber, etag }) => ({
+                PartNumber: partNumber,
+                ETag: etag,
+              }))
+            : await callStorageForMultipartUpload(sriRequest, att, () =>
+                storage.listParts(att.uploadKey, att.uploadId)
+              );
+          if (parts.length === 0) {
+            throw new sriRequest.SriError({
+              status: 409,
+              errors: [
+                {
+                  code: "missing.file",
+                  type: "ERROR",
+                  message: `no parts of file ${att.file} have been uploaded`,
+                },
+              ],
+            });
+          }
+
+          await callStorageForMultipartUpload(sriRequest, att, () =>
+            storage.completeMultipartUpload(
+              att.uploadKey,
+              att.uploadId,
+              parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag }))
+            )
+          );
+
+          try {
+            return await finalizePresignedUploads(
+              sriRequest,
+              [att],
+              runAfterUpload,
+              maxFileSize,
+              fileTypeRestrictions
+            );
+          } finally {
+            // the multipart upload does not exist anymore
+            await storage.delete([getMultipartUploadInfoKey(att.uploadKey)]);
+          }
+        },
+      },
+      {
+        routePostfix: "/attachments/multipart/abort",
+        httpMethods: ["POST"],
+        readOnly: false,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const att = await getStartedMultipartUpload(tx, sriRequest);
+
+          await callStorageForMultipartUpload(sriRequest, att, () =>
+            storage.abortMultipartUpload(att.uploadKey, att.uploadId)
+          );
+          await storage.delete([getMultipartUploadInfoKey(att.uploadKey)]);
+
+          return { status: 204 };
+        },
+      },
+    ];
+  }
+
+  /**
+   * All tus responses, including errors, tell the client which version of the protocol is
+   * used.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {number} status
+   * @param {string} code
+   * @param {string} message
+   * @param {Record<string, string>} [headers]
+   * @returns {Error}
+   */
+  function tusError(sriRequest, status, code, message, headers = {}) {
+    return new sriRequest.SriError({
+      status,
+      errors: [{ code, type: "ERROR", message }],
+      headers: { "Tus-Resumable": TUS_VERSION, ...headers },
+    });
+  }
+
+  /**
+   * @param {TSriRequest} sriRequest
+   * @throws {SriError} 412 if the client does not speak our version of the tus protocol
+   */
+  function checkTusResumable(sriRequest) {
+    if (sriRequest.headers["tus-resumable"] !== TUS_VERSION) {
+      throw tusError(
+        sriRequest,
+        412,
+        "tus.version.not.supported",
+        `only version ${TUS_VERSION} of the tus protocol is supported`,
+        { "Tus-Version": TUS_VERSION }
+      );
+    }
+  }
+
+  /**
+   * @param {TSriRequest} sriRequest
+   * @param {string} headerName (lowercase)
+   * @returns {number | undefined} the value of the header if it is a non-negative integer
+   */
+  function getIntegerHeader(sriRequest, headerName) {
+    const value = sriRequest.headers[headerName];
+    return /^\d+$/.test(value || "") ? parseInt(value, 10) : undefined;
+  }
+
+  /**
+   * Looks up the tus upload of the request (by the uploadKey in the url) and checks that the
+   * user can still create the attachment it is for.
+   *
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @returns {Promise<{ tusUpload: TTusUpload, parts: Array<TStoragePart>, offset: number }>}
+   *  the upload, the parts uploaded so far and the number of bytes they contain
+   */
+  async function getTusUpload(tx, sriRequest) {
+    checkTusResumable(sriRequest);
+    const { uploadKey } = sriRequest.params;
+
+    const tusUpload = /** @type {TTusUpload | undefined} */ (
+      await readMultipartUploadInfo(uploadKey)
+    );
+    if (!tusUpload) {
+      throw tusError(
+        sriRequest,
+        404,
+        "tus.upload.not.found",
+        `upload ${uploadKey} not found`
+      );
+    }
+
+    await checkSecurity(tx, sriRequest, [tusUpload], "create");
+
+    const parts = await callStorageForMultipartUpload(
+      sriRequest,
+      tusUpload,
+      () => storage.listParts(tusUpload.uploadKey, tusUpload.uploadId)
+    );
+    const offset = parts.reduce((sum, { Size }) => sum + (Size || 0), 0);
+    return { tusUpload, parts, offset };
+  }
+
+  /**
+   * When all bytes of a tus upload have been received, the parts are assembled and the file
+   * is turned into an attachment like a completed multipart upload.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {TTusUpload} tusUpload
+   * @param {Array<TStoragePart>} parts
+   * @param {TRunAfterUploadFun} runAfterUpload
+   * @param {number | undefined} maxFileSize
+   * @param {TFileTypeRestrictions} fileTypeRestrictions
+   * @returns {Promise<void>}
+   */
+  async function completeTusUpload(
+    sriRequest,
+    tusUpload,
+    parts,
+    runAfterUpload,
+    maxFileSize,
+    fileTypeRestrictions
+  ) {
+    await callStorageForMultipartUpload(sriRequest, tusUpload, () =>
+      storage.completeMultipartUpload(
+        tusUpload.uploadKey,
+        tusUpload.uploadId,
+        parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag }))
+      )
+    );
+    try {
+      await finalizePresignedUploads(
+        sriRequest,
+        [tusUpload],
+        runAfterUpload,
+        maxFileSize,
+        fileTypeRestrictions
+      );
+    } finally {
+      // the multipart upload does not exist anymore, so neither does the tus upload
+      await storage.delete([getMultipartUploadInfoKey(tusUpload.uploadKey)]);
+    }
+  }
+
+  /**
+   * A function that will generate a list of json objects that can be used in
+   * sriConfig.resources.*.customRoutes (customRoutes: [ ...customRoutesForTusUpload(f) ])
+   * in order to upload files with the tus protocol for resumable uploads
+   * (https://tus.io/protocols/resumable-upload, version 1.0.0 with the creation and
+   * termination extensions), so a dropped connection does not mean starting all over again.
+   * It is built on a multipart upload on the storage, of which each PATCH request is a part.
+   *
+   * - POST /resource/attachments/tus creates an upload. The Upload-Metadata header has the
+   *   json of the attachment (like the 'body' field of a multipart upload) as 'body', the
+   *   'filename' and 'filetype' (as sent by most tus clients) are used when the json has no
+   *   file or mimetype. After the same checks as a presigned upload, the url of the upload is
+   *   returned in the Location header.
+   * - HEAD /resource/attachments/tus/<uploadKey> returns the Upload-Offset to resume from.
+   * - PATCH /resource/attachments/tus/<uploadKey> appends the request body (all chunks except
+   *   the last need to be at least 5MB). The last one assembles the file, calls runAfterUpload
+   *   and renames the file to its real name.
+   * - DELETE /resource/attachments/tus/<uploadKey> terminates the upload.
+   *
+   * All requests need the 'create' ability on the resource.
+   *
+   * @param { TRunAfterUploadFun } runAfterUpload
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for these
+   *  routes (maximumFilesizeInMB, allowedMimeTypes, deniedMimeTypes, allowedExtensions,
+   *  deniedExtensions)
+   * @returns {Array<TCustomRoute>}
+   */
+  function customRoutesForTusUpload(runAfterUpload, options = {}) {
+    if (!storage.createMultipartUpload || !storage.uploadPart) {
+      throw new Error(
+        `tus uploads are not supported by the ${storage.name} storage`
+      );
+    }
+    const maxFileSize = getMaxFileSize(options);
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+
+    return [
+      {
+        routePostfix: "/attachments/tus",
+        httpMethods: ["POST"],
+        readOnly: true,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          checkTusResumable(sriRequest);
+
+          const uploadLength = getIntegerHeader(sriRequest, "upload-length");
+          if (!uploadLength) {
+            throw tusError(
+              sriRequest,
+              400,
+              "invalid.upload.length",
+              "the Upload-Length header with the size of the file (> 0) is required"
+            );
+          }
+
+          const metadata = parseTusMetadata(
+            sriRequest.headers["upload-metadata"]
+          );
+          let json;
+          try {
+            json = metadata && JSON.parse(metadata.body || "{}");
+          } catch (err) {
+            json = undefined;
+          }
+          if (!json || typeof json !== "object" || Array.isArray(json)) {
+            throw tusError(
+              sriRequest,
+              400,
+              "invalid.upload.metadata",
+              "the Upload-Metadata header should contain the json of one attachment as body"
+            );
+          }
+
+          const { uploadKey } = await startMultipartUpload(
+            tx,
+            sriRequest,
+            {
+              ...json,
+              file: json.file || metadata.filename,
+              mimetype: json.mimetype || metadata.filetype,
+              size: uploadLength,
+            },
+            maxFileSize,
+            fileTypeRestrictions,
+            { uploadLength }
+          );
+
+          const uploadUrl = `${sriRequest.sriType}/attachments/tus/${uploadKey}`;
+          return {
+            status: 201,
+            headers: {
+              "Tus-Resumable": TUS_VERSION,
+              Location: encodeURI(uploadUrl),
+            },
+          };
+        },
+      },
+      {
+        routePostfix: "/attachments/tus/:uploadKey",
+        httpMethods: ["HEAD"],
+        readOnly: true,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const { tusUpload, offset } = await getTusUpload(tx, sriRequest);
+
+          return {
+            status: 200,
+            headers: {
+              "Tus-Resumable": TUS_VERSION,
+              "Upload-Offset": `${offset}`,
+              "Upload-Length": `${tusUpload.uploadLength}`,
+              "Cache-Control": "no-store",
+            },
+          };
+        },
+      },
+      {
+        routePostfix: "/attachments/tus/:uploadKey",
+        httpMethods: ["PATCH"],
+        readOnly: false,
+        binaryStream: true,
+
+        /**
+         * @type { TStreamingCustomRoute['beforeStreamingHandler'] }
+         */
+        beforeStreamingHandler: async (
+          tx,
+          sriRequest,
+          _customMapping,
+          _internalUtils
+        ) => {
+          checkTusResumable(sriRequest);
+          if (
+            sriRequest.headers["content-type"] !==
+            "application/offset+octet-stream"
+          ) {
+            throw tusError(
+              sriRequest,
+              415,
+              "invalid.content.type",
+              "the Content-Type should be application/offset+octet-stream"
+            );
+          }
+          const uploadOffset = getIntegerHeader(sriRequest, "upload-offset");
+          const contentLength = getIntegerHeader(sriRequest, "content-length");
+          if (uploadOffset === undefined || contentLength === undefined) {
+            throw tusError(
+              sriRequest,
+              400,
+              "invalid.upload.offset",
+              "the Upload-Offset and Content-Length headers are required"
+            );
+          }
+
+          const { tusUpload, parts, offset } = await getTusUpload(
+            tx,
+            sriRequest
+          );
+          if (uploadOffset !== offset) {
+            throw tusError(
+              sriRequest,
+              409,
+              "upload.offset.mismatch",
+              `the upload is at offset ${offset}, not at ${uploadOffset}`
+            );
+          }
+          const newOffset = offset + contentLength;
+          if (newOffset > tusUpload.uploadLength) {
+            throw tusError(
+              sriRequest,
+              400,
+              "upload.length.exceeded",
+              `the upload is only ${tusUpload.uploadLength} bytes long`
+            );
+          }
+          const complete = newOffset === tusUpload.uploadLength;
+          if (
+            contentLength > 0 &&
+            (parts.length >= MAX_MULTIPART_PARTS ||
+              (!complete && contentLength < MIN_MULTIPART_PART_SIZE))
+          ) {
+            throw tusError(
+              sriRequest,
+              400,
+              "upload.chunk.too.small",
+              `all chunks except the last one should be at least ${MIN_MULTIPART_PART_SIZE} bytes (and there can be at most ${MAX_MULTIPART_PARTS})`
+            );
+          }
+
+          // the response tells the client which offset has been stored, so the part is stored
+          // (and the upload completed) before the response is sent. If the connection drops,
+          // the part is not stored and the client resumes from the previous offset.
+          let storedParts = parts;
+          if (contentLength > 0) {
+            const partNumber =
+              Math.max(0, ...parts.map(({ PartNumber }) => PartNumber)) + 1;
+            await callStorageForMultipartUpload(sriRequest, tusUpload, () =>
+              storage.uploadPart(
+                tusUpload.uploadKey,
+                tusUpload.uploadId,
+                partNumber,
+                sriRequest.inStream,
+                { contentLength }
+              )
+            );
+            storedParts = await callStorageForMultipartUpload(
+              sriRequest,
+              tusUpload,
+              () => storage.listParts(tusUpload.uploadKey, tusUpload.uploadId)
+            );
+          }
+          const storedOffset = storedParts.reduce(
+            (sum, { Size }) => sum + (Size || 0),
+            0
+          );
+          if (storedOffset === tusUpload.uploadLength) {
+            await completeTusUpload(
+              sriRequest,
+              tusUpload,
+              storedParts,
+              runAfterUpload,
+              maxFileSize,
+              fileTypeRestrictions
+            );
+          }
+
+          return {
+            status: 204,
+            headers: [
+              ["Tus-Resumable", TUS_VERSION],
+              ["Upload-Offset", `${storedOffset}`],
+            ],
+          };
+        },
+        /**
+         * @type { TStreamingCustomRoute['streamingHandler'] }
+         */
+        streamingHandler: async (_tx, sriRequest, _stream, _internalUtils) => {
+          sriRequest.logDebug(logChannel, "tus upload done");
+          return null;
+        },
+      },
+      {
+        routePostfix: "/attachments/tus/:uploadKey",
+        httpMethods: ["DELETE"],
+        readOnly: false,
+        /**
+         * @type { TNonStreamingCustomRoute['handler'] }
+         */
+        handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+          const { tusUpload } = await getTusUpload(tx, sriRequest);
+
+          await callStorageForMultipartUpload(sriRequest, tusUpload, () =>
+            storage.abortMultipartUpload(
+              tusUpload.uploadKey,
+              tusUpload.uploadId
+            )
+          );
+          await storage.delete([
+            getMultipartUploadInfoKey(tusUpload.uploadKey),
+          ]);
+
+          return {
+            status: 204,
+            headers: { "Tus-Resumable": TUS_VERSION },
+          };
+        },
+      },
+    ];
+  }
+
+  /**
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @param {TCheckDownloadFun | undefined} checkDownload
+   * @returns {Promise<void>}
+   */
+  async function checkDownloadAllowed(tx, sriRequest, checkDownload) {
+    await checkSecurity(tx, sriRequest, null, "read");
+    sriRequest.logDebug(logChannel, sriRequest.params.filename);
+    if (checkDownload)
+      await checkDownload(
+        tx,
+        sriRequest,
+        sriRequest.params.key,
+        sriRequest.params.filename
+      );
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {{ contentDisposition: string, contentType: string }}
+   */
+  function getContentHeaders(filename) {
+    return {
+      // was (deprecated) 'escape' instead of 'encodeURIComponent'
+      contentDisposition: `inline; filename="${encodeURIComponent(filename)}"`,
+      contentType: mime.lookup(filename) || "application/octet-stream",
+    };
+  }
+
+  /**
+   * Does the checks for a download (security, checkDownload, existence of the file) and
+   * redirects to a short-lived presigned url on the storage, so the file does not have to be
+   * streamed through this process.
+   *
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @param {TCheckDownloadFun | undefined} checkDownload
+   * @param {number} expiresInSeconds
+   * @returns {Promise<{ status: number, headers: Array<[string, string]>, remoteFilename: string }>}
+   */
+  async function prepareRedirectToPresignedUrl(
+    tx,
+    sriRequest,
+    checkDownload,
+    expiresInSeconds
+  ) {
+    await checkDownloadAllowed(tx, sriRequest, checkDownload);
+
+    const { remoteFilename } = await getFileToDownload(sriRequest);
+    const { contentDisposition, contentType } = getContentHeaders(
+      sriRequest.params.filename
+    );
+    const url = await storage.createPresignedGetUrl(remoteFilename, {
+      expiresInSeconds,
+      contentDisposition,
+      contentType,
+    });
+    return {
+      status: 302,
+      headers: [
+        ["Location", url],
+        // the url will expire, so the redirect itself should never be cached
+        ["Cache-Control", "no-store"],
+      ],
+      remoteFilename,
+    };
+  }
+
+  /**
+   * Does the checks for a download (security, checkDownload, existence of the file) and
+   * determines the status and headers of the response, which depend on the conditional and
+   * range headers of the request.
+   *
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @param {TCheckDownloadFun | undefined} checkDownload
+   * @param {{ cacheControl?: string | false, allowRange: boolean }} options
+   * @returns {Promise<{
+   *    status: number,
+   *    headers: Array<[string, string]>,
+   *    remoteFilename: string,
+   *    meta: TStorageObjectMeta,
+   *    range?: TByteRange,
+   *    noBody?: boolean,
+   * }>}
+   * @throws {SriError} 404 if the file does not exist, 416 if the range cannot be satisfied
+   */
+  async function prepareDownload(
+    tx,
+    sriRequest,
+    checkDownload,
+    { cacheControl, allowRange }
+  ) {
+    await checkDownloadAllowed(tx, sriRequest, checkDownload);
+
+    const { remoteFilename, meta } = await getFileToDownload(sriRequest);
+    const size = meta.ContentLength;
+    const requestHeaders = sriRequest.headers || {};
+    const fileHeaders = getFileHeaders(meta, cacheControl);
+
+    if (isNotModified(requestHeaders, meta)) {
+      return {
+        status: 304,
+        headers: fileHeaders,
+        remoteFilename,
+        meta,
+        noBody: true,
+      };
+    }
+
+    /** @type {TByteRange | null | undefined} */
+    let range;
+    if (
+      allowRange &&
+      requestHeaders.range &&
+      size !== undefined &&
+      isIfRangeSatisfied(requestHeaders["if-range"], meta)
+    ) {
+      range = parseRangeHeader(requestHeaders.range, size);
+      if (range === null) {
+        throw new sriRequest.SriError({
+          status: 416,
+          errors: [
+            {
+              code: "range.not.satisfiable",
+              type: "ERROR",
+              message: `The requested range [${requestHeaders.range}] is not satisfiable for a file of ${size} bytes`,
+            },
+          ],
+          headers: { "Content-Range": `bytes */${size}` },
+        });
+      }
+    }
+
+    const { contentDisposition, contentType } = getContentHeaders(
+      sriRequest.params.filename
+    );
+    /** @type {Array<[string, string]>} */
+    let sizeHeaders = [];
+    if (range) {
+      sizeHeaders = [
+        ["Content-Range", `bytes ${range.start}-${range.end}/${size}`],
+        ["Content-Length", `${range.end - range.start + 1}`],
+      ];
+    } else if (size !== undefined) {
+      sizeHeaders = [["Content-Length", `${size}`]];
+    }
+
+    return {
+      remoteFilename,
+      meta,
+      range,
+      status: range ? 206 : 200,
+      headers: [
+        ["Content-Disposition", contentDisposition],
+        ["Content-Type", contentType],
+        ["Accept-Ranges", "bytes"],
+        ...fileHeaders,
+        ...sizeHeaders,
+      ],
+    };
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a GET
+   * /resource/attachments/<filename> route to download an attachment.
+   *
+   * @param { TCheckDownloadFun } checkDownload
+   * @param { TDownloadRouteOptions } [options] overrides of the plugin configuration for this route
+   * @returns {TCustomRoute}
+   */
+  function customRouteForDownload(checkDownload, options = {}) {
+    const {
+      cacheControl,
+      redirectToPresignedUrl,
+      presignedUrlExpiresInSeconds,
+    } = { ...fullPluginConfig, ...options };
+    if (redirectToPresignedUrl && !storage.createPresignedGetUrl) {
+      throw new Error(
+        `presigned downloads are not supported by the ${storage.name} storage`
+      );
+    }
+
+    return {
+      routePostfix: "/:key/attachments/:filename([^/]*.[A-Za-z0-9]{1,})",
+      httpMethods: ["GET"],
+      readOnly: true,
+      binaryStream: true,
 
-        try {
-          const { attachmentsRcvd, fieldsRcvd } =
-            await receiveFilesAndMetadataFromBusboyAndUploadToS3(sriRequest);
+      /**
+       * @type { TStreamingCustomRoute['beforeStreamingHandler'] }
+       */
+      beforeStreamingHandler: async (
+        tx,
+        sriRequest,
+        _customMapping,
+        _internalUtils
+      ) => {
+        if (redirectToPresignedUrl) {
+          const { status, headers, remoteFilename } =
+            await prepareRedirectToPresignedUrl(
+              tx,
+              sriRequest,
+              checkDownload,
+              presignedUrlExpiresInSeconds
+            );
+          downloadsByRequest.set(sriRequest, { remoteFilename, noBody: true });
+          return { status, headers };
+        }
 
-          throwErrorWhenBodyIsMissing(fieldsRcvd.body, sriRequest);
+        const { status, headers, ...download } = await prepareDownload(
+          tx,
+          sriRequest,
+          checkDownload,
+          { cacheControl, allowRange: true }
+        );
+        downloadsByRequest.set(sriRequest, download);
+        return { status, headers };
+      },
+      /**
+       * @type { TStreamingCustomRoute['streamingHandler'] }
+       */
+      streamingHandler: async (_tx, sriRequest, stream, _internalUtils) => {
+        /** @type {{ remoteFilename: string, meta?: TStorageObjectMeta, range?: TByteRange, noBody?: boolean }} */
+        const { remoteFilename, meta, range, noBody } =
+          downloadsByRequest.get(sriRequest) ||
+          (await getFileToDownload(sriRequest));
+        downloadsByRequest.delete(sriRequest);
+        if (noBody) {
+          return null;
+        }
+        await handleFileDownload(
+          sriRequest,
+          stream,
+          remoteFilename,
+          meta,
+          range
+        );
+        sriRequest.logDebug(logChannel, "streaming download done");
+        return null;
+      },
+    };
+  }
 
-          const bodyParsed = JSON.parse(fieldsRcvd.body);
-          /** @type {Array<TMultiPartSingleBodyForFileUploads>} */
-          const bodyJsonArray = Array.isArray(bodyParsed)
-            ? bodyParsed
-            : [bodyParsed];
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a HEAD
+   * /resource/attachments/<filename> route, that returns the same headers as the download
+   * route (Content-Length, Content-Type, ETag, Last-Modified, ...) without the file itself.
+   *
+   * It should be added before the download route, otherwise HEAD requests will be handled by
+   * the (GET) download route.
+   *
+   * @param { TCheckDownloadFun } checkDownload
+   * @param { TDownloadRouteOptions } [options] overrides of the plugin configuration for this route
+   * @returns {TCustomRoute}
+   */
+  function customRouteForDownloadHead(checkDownload, options = {}) {
+    const { cacheControl } = { ...fullPluginConfig, ...options };
 
-          validateUploadMultipartBody(bodyJsonArray, sriRequest);
+    return {
+      routePostfix: "/:key/attachments/:filename([^/]*.[A-Za-z0-9]{1,})",
+      httpMethods: ["HEAD"],
+      readOnly: true,
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        const { status, headers } = await prepareDownload(
+          tx,
+          sriRequest,
+          checkDownload,
+          { cacheControl, allowRange: false }
+        );
+        return { status, headers: Object.fromEntries(headers) };
+      },
+    };
+  }
 
-          const safeBodyJsonArray =
-            await convertFilenamesInAttachmentsBodyToSafeFilenames(
-              bodyJsonArray
-            );
+  /**
+   * The files to put in the zip archive, as determined by the beforeStreamingHandler of the
+   * zip download routes, for use in their streamingHandler.
+   *
+   * @type {WeakMap<TSriRequest, Array<{ remoteFilename: string, name: string, modified?: Date }>>}
+   */
+  const zipDownloadsByRequest = new WeakMap();
 
-          const attachmentsWithoutFileOrCopy = safeBodyJsonArray.filter(
-            (e) => !e.file && !e.fileHref
-          );
+  /**
+   * Finds the files for a zip download from the hrefs of the attachments
+   * (/resource/<key>/attachments/<filename>), after checking the 'read' ability on their
+   * resources.
+   *
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @param {string | undefined} hrefs comma separated
+   * @param {TCheckDownloadFun | undefined} checkDownload
+   * @returns {Promise<Array<{ remoteFilename: string, name: string, modified?: Date }>>}
+   */
+  async function getZipDownloadFilesByHrefs(
+    tx,
+    sriRequest,
+    hrefs,
+    checkDownload
+  ) {
+    const files = (hrefs || "")
+      .split(",")
+      .filter((href) => href)
+      .map((href) => {
+        const match = /^(\/.+\/([^/]+))\/attachments\/([^/]+)$/.exec(href);
+        if (!match) {
+          return undefined;
+        }
+        const [, resourceHref, key, filename] = match;
+        try {
+          return { resourceHref, key, name: decodeURIComponent(filename) };
+        } catch (err) {
+          return undefined;
+        }
+      });
+    if (!files.length || files.some((file) => !file)) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.hrefs",
+            type: "ERROR",
+            message:
+              "hrefs should be a comma separated list of attachment hrefs (/resource/<key>/attachments/<filename>)",
+          },
+        ],
+      });
+    }
+    await checkSecurityForResources(
+      tx,
+      sriRequest,
+      "read",
+      new Set(files.map(({ resourceHref }) => resourceHref))
+    );
 
-          // copy attachments in case there are fileHrefs in the multipart
-          const copiedAttachmentsWithFileObj = await copyAttachments(
-            tx,
-            sriRequest,
-            safeBodyJsonArray.filter((e) => e.fileHref),
-            getResourceForCopy
-          );
+    return Promise.all(
+      files.map(async ({ key, name }) => {
+        const remoteFilename = `${key}-${getSafeFilename(name)}`;
+        const meta = await getFileMeta(remoteFilename);
+        if (!meta) {
+          throw new sriRequest.SriError({
+            status: 404,
+            errors: [
+              {
+                code: "file.not.found",
+                type: "ERROR",
+                message: `Unable to find file [${name}]`,
+              },
+            ],
+          });
+        }
+        if (checkDownload) {
+          await checkDownload(tx, sriRequest, key, name);
+        }
+        return { remoteFilename, name, modified: meta.LastModified };
+      })
+    );
+  }
 
-          const uploadedAttachmentsWithFileObj =
-            checkIfUploadedMetaDataMatchesUploadedAttachmentsAndGenerateAttachmentsListWithFileObj(
-              safeBodyJsonArray,
-              sriRequest,
-              attachmentsRcvd
-            );
+  /**
+   * Finds the files for the zip download of all attachments of a resource, named after the
+   * original filenames of the attachments when they are known.
+   *
+   * @param {IDatabase} tx
+   * @param {TSriRequest} sriRequest
+   * @param {string} key the key of the resource
+   * @param {TCheckDownloadFun | undefined} checkDownload
+   * @param {TListAttachmentsFun | undefined} listAttachments
+   * @returns {Promise<Array<{ remoteFilename: string, name: string, modified?: Date }>>}
+   */
+  async function getZipDownloadFilesOfResource(
+    tx,
+    sriRequest,
+    key,
+    checkDownload,
+    listAttachments
+  ) {
+    const attachments = listAttachments
+      ? await listAttachments(tx, sriRequest, key)
+      : await listAttachmentsOnStorage(sriRequest, key);
+
+    if (checkDownload) {
+      for (const { name } of attachments) {
+        // eslint-disable-next-line no-await-in-loop
+        await checkDownload(tx, sriRequest, key, name);
+      }
+    }
 
-          const addMimeType = (file) => ({
-            ...file,
-            mimetype: mime.contentType(file.filename),
+    return Promise.all(
+      attachments.map(async (att) => {
+        const remoteFilename = `${key}-${att.name}`;
+        const meta = await getFileMeta(remoteFilename);
+        if (!meta) {
+          throw new sriRequest.SriError({
+            status: 404,
+            errors: [
+              {
+                code: "file.not.found",
+                type: "ERROR",
+                message: `Unable to find file [${att.name}]`,
+              },
+            ],
           });
+        }
+        return {
+          remoteFilename,
+          name: att.originalFilename || att.name,
+          modified: meta.LastModified,
+        };
+      })
+    );
+  }
 
-          /** @type { Array<TMultiPartSingleBodyForFileUploads & { fileObj: TFileObj; }> } */
-          allAttachmentsWithFileObj = [
-            ...copiedAttachmentsWithFileObj.map(addMimeType),
-            ...uploadedAttachmentsWithFileObj.map(addMimeType),
-          ];
+  /**
+   * Streams the files to the client in a zip archive.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {import("stream").Writable} stream
+   * @param {Array<{ remoteFilename: string, name: string, modified?: Date }>} files
+   * @returns {Promise<void>}
+   */
+  async function handleZipDownload(sriRequest, stream, files) {
+    try {
+      await pipelineAsync(
+        createZipStream(
+          files.map(({ remoteFilename, name, modified }) => ({
+            name,
+            modified,
+            open: () => storage.getStream(remoteFilename),
+          }))
+        ),
+        stream
+      );
+      sriRequest.logDebug(logChannel, "streaming zip download done");
+    } catch (err) {
+      error("[handleZipDownload] the zip download failed:");
+      error(err);
+      throw new sriRequest.SriError({
+        status: 500,
+        errors: [
+          {
+            code: "download.failed",
+            type: "ERROR",
+            message: "unable to download the files",
+          },
+        ],
+      });
+    }
+  }
 
-          allAttachmentsToHandle = [
-            ...allAttachmentsWithFileObj,
-            ...attachmentsWithoutFileOrCopy,
-          ];
+  /**
+   * A function that will generate a list of json objects that can be used in
+   * sriConfig.resources.*.customRoutes (use the spread operator) in order to download
+   * attachments in a zip archive:
+   * * GET /resource/:key/attachments.zip for all attachments of a resource
+   * * GET /resource/attachments.zip?hrefs=<comma separated hrefs> for a list of attachments
+   *   (/resource/<key>/attachments/<filename>), which can belong to different resources
+   *
+   * The 'read' ability is checked for every resource. The archive is streamed while the files
+   * are read from the storage, and contains them with the filenames of the attachments (a
+   * number is added to a name that occurs more than once). For all attachments of a resource
+   * the original filename (originalFilename in the json of listAttachments) is used if known.
+   *
+   * @param { TCheckDownloadFun } [checkDownload] called for every file, like for
+   *  customRouteForDownload
+   * @param { TListAttachmentsFun } [listAttachments] returns the attachments of a resource
+   *  (like for customRouteForList), when omitted the files of the resource on the storage are
+   *  put in the archive
+   * @returns {Array<TCustomRoute>}
+   */
+  function customRoutesForZipDownload(checkDownload, listAttachments) {
+    /**
+     * @param {string} filename
+     * @returns {Array<[string, string]>}
+     */
+    const zipHeaders = (filename) => [
+      ["Content-Type", "application/zip"],
+      ["Content-Disposition", `attachment; filename="${filename}"`],
+    ];
+    /**
+     * @type { TStreamingCustomRoute['streamingHandler'] }
+     */
+    const streamingHandler = async (
+      _tx,
+      sriRequest,
+      stream,
+      _internalUtils
+    ) => {
+      const files = zipDownloadsByRequest.get(sriRequest) || [];
+      zipDownloadsByRequest.delete(sriRequest);
+      await handleZipDownload(sriRequest, stream, files);
+      return null;
+    };
 
-          await checkAttachmentsFileExistence(
-            allAttachmentsWithFileObj,
-            sriRequest
+    return [
+      {
+        routePostfix: "/:key/attachments.zip",
+        httpMethods: ["GET"],
+        readOnly: true,
+        binaryStream: true,
+
+        /**
+         * @type { TStreamingCustomRoute['beforeStreamingHandler'] }
+         */
+        beforeStreamingHandler: async (
+          tx,
+          sriRequest,
+          _customMapping,
+          _internalUtils
+        ) => {
+          await checkSecurity(tx, sriRequest, null, "read");
+          const { key } = sriRequest.params;
+          const files = await getZipDownloadFilesOfResource(
+            tx,
+            sriRequest,
+            key,
+            checkDownload,
+            listAttachments
           );
-          await applyRunAfterUploadFun(
-            fullPluginConfig,
+          zipDownloadsByRequest.set(sriRequest, files);
+          return { status: 200, headers: zipHeaders(`${key}.zip`) };
+        },
+        streamingHandler,
+      },
+      {
+        routePostfix: "/attachments.zip",
+        httpMethods: ["GET"],
+        readOnly: true,
+        binaryStream: true,
+
+        /**
+         * @type { TStreamingCustomRoute['beforeStreamingHandler'] }
+         */
+        beforeStreamingHandler: async (
+          tx,
+          sriRequest,
+          _customMapping,
+          _internalUtils
+        ) => {
+          const files = await getZipDownloadFilesByHrefs(
+            tx,
             sriRequest,
-            runAfterUpload,
-            allAttachmentsToHandle
+            (sriRequest.query || {}).hrefs,
+            checkDownload
           );
-
-          // now that we validated the json body resource requirement, we can finally check security
-          await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
-
-          // all files are now uploaded into their TMP versions.
-        } catch (err) {
-          await handleErrorDuringUploadOrCopy(err, sriRequest, [
-            ...copiedAttachmentsWithFileObj,
-            ...uploadedAttachmentsWithFileObj,
-          ]);
-        }
-        /// all went well, rename the files to their real names now.
-        await renameAttachmentsToRealNames(allAttachmentsWithFileObj);
-
-        const response = allAttachmentsToHandle.map((file) => ({
-          status: 200,
-          href: `${file.resource.href}/attachments/${file.attachment.key}`,
-        }));
-        stream.push(response);
+          zipDownloadsByRequest.set(sriRequest, files);
+          return { status: 200, headers: zipHeaders("attachments.zip") };
+        },
+        streamingHandler,
       },
-    };
+    ];
   }
 
   /**
-   * A function that will generate a json object that can be used in
-   * sriConfig.resources.*.customRoutes in order to add a POST /resource/attachments/copy route.
-   *
-   * Creates a copy of attachments directly on S3 based on their attachment href to avoid
-   * downloading and uploading attachments.
+   * THIS FUNCTION DOES A FEW CHECKS and throw an SriError if something is wrong.
+   * It validates the body of the PATCH route, which can only contain metadata.
    *
-   * [ used by activityplans-api and content-api when an activityplan or content item is copied ]
+   * @param {TBodyForMetadataUpdate} bodyJson
+   * @param {TSriRequest} sriRequest
+   * @throws {SriError}
+   * @returns {void}
+   */
+  function validateUpdateBody(bodyJson, sriRequest) {
+    throwErrorWhenBodyIsMissing(bodyJson, sriRequest);
+
+    if (
+      typeof bodyJson !== "object" ||
+      Array.isArray(bodyJson) ||
+      ["content", "fileHref", "sourceUrl", "resource"].some(
+        (p) => p in bodyJson
+      )
+    ) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.metadata",
+            type: "ERROR",
+            message:
+              "only the file name and the attachment json of one attachment can be updated",
+          },
+        ],
+      });
+    }
+    if (
+      bodyJson.file !== undefined &&
+      (typeof bodyJson.file !== "string" || !bodyJson.file)
+    ) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.file",
+            type: "ERROR",
+            message: "file should be a filename",
+          },
+        ],
+      });
+    }
+    if (
+      bodyJson.attachment?.key !== undefined &&
+      bodyJson.attachment.key !== sriRequest.params.attachmentKey
+    ) {
+      throw new sriRequest.SriError({
+        status: 400,
+        errors: [
+          {
+            code: "invalid.json.attachment.key",
+            type: "ERROR",
+            message: "the key of the attachment can not be changed",
+          },
+        ],
+      });
+    }
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a PATCH
+   * /resource/:key/attachments/:attachmentKey route to update the metadata of an attachment
+   * without uploading it again.
    *
-   * The body of the request should be an array of objects or a single object with
-   * the following structure (same as body in multipart upload but with fileHref property):
+   * The body of the request is a single object with the properties to change:
    * ```javascript
    *  {
-   *    fileHref: "/things/1/attachments/profile1.png", // the url of the attachment to copy
-   *    file: "profile1.png",
+   *    file: "new-name.pdf", // optional, renames the file on the storage
    *    attachment: {
-   *      key: attachmentCopyKey1,
-   *      description: `this is MY file with key ${attachmentCopyKey1}`,
-   *    },
-   *    resource: {
-   *      href: resourceCopyHref,
+   *      name: "New name", // optional
+   *      description: "this is MY file", // optional
    *    },
    *  },
    * ```
+   * runAfterUpdate is called with the new metadata (and the current filename as previousFile)
+   * to store it. Only when the filename changes, the file is renamed on the storage afterwards.
    *
-   * @param { TRunAfterUploadFun } runAfterUpload
-   * @param { TGetResourceForCopyFun } [getResourceForCopy] turns the href of the resource to copy the attachment from into the href of the resource to copy the attachment to
+   * @param {TGetFileNameHandlerFun} getFileNameHandler an (async) function that will return the
+   *  current filename of the attachment
+   * @param {TRunAfterUpdateFun} runAfterUpdate
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions for the new filename)
    * @returns {TCustomRoute}
    */
-  function customRouteForUploadCopy(
-    runAfterUpload,
-    getResourceForCopy = defaultGetResourceForCopy
+  function customRouteForUpdate(
+    getFileNameHandler,
+    runAfterUpdate,
+    options = {}
   ) {
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+
     return {
-      routePostfix: "/attachments/copy",
-      httpMethods: ["POST"],
+      routePostfix:
+        "/:key/attachments/:attachmentKey([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})",
+      httpMethods: ["PATCH"],
       readOnly: false,
-
       /**
-       *
-       * @param {IDatabase} tx
-       * @param {TSriRequest} sriRequest
-       * @returns {Promise<import("sri4node").TSriResult>}
+       * @type { TNonStreamingCustomRoute['beforeHandler'] }
+       */
+      beforeHandler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        await checkSecurity(tx, sriRequest, null, "update");
+      },
+      /**
+       * @type { TNonStreamingCustomRoute['handler'] }
        */
       handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
-        /** @type { Array<TMultiPartSingleBodyForFileUploadsWithFileObj & TBodyForFileCopy> } */
-        let copiedAttachmentsWithFileObj = [];
-
-        try {
-          throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
-
-          /** @type { Array<TBodyForFileCopy> } */
-          const bodyJsonArray = Array.isArray(sriRequest.body)
-            ? sriRequest.body
-            : [sriRequest.body];
-
-          validateUploadForCopyBody(bodyJsonArray, sriRequest);
-
-          const safeBodyJsonArray =
-            await convertFilenamesInAttachmentsBodyToSafeFilenames(
-              bodyJsonArray
-            );
-
-          copiedAttachmentsWithFileObj = await copyAttachments(
-            tx,
-            sriRequest,
-            safeBodyJsonArray,
-            getResourceForCopy
-          );
-
-          await checkAttachmentsFileExistence(
-            copiedAttachmentsWithFileObj,
-            sriRequest
-          );
+        /** @type {TBodyForMetadataUpdate} */
+        const body = sriRequest.body;
+        validateUpdateBody(body, sriRequest);
 
-          await applyRunAfterUploadFun(
-            fullPluginConfig,
+        const { key, attachmentKey } = sriRequest.params;
+        const href = `${sriRequest.sriType}/${key}`;
+        const filename = await getFileNameHandler(
+          tx,
+          sriRequest,
+          key,
+          attachmentKey
+        );
+        if (sriRequest.headers["if-match"]) {
+          checkIfMatch(sriRequest, [await getFileMeta(`${key}-${filename}`)]);
+        }
+        const newFilename = body.file ? getSafeFilename(body.file) : filename;
+        if (newFilename !== filename) {
+          checkAttachmentsFileTypes(
+            [
+              {
+                fileObj: {
+                  filename: newFilename,
+                  mimetype:
+                    mime.contentType(newFilename) || "application/octet-stream",
+                },
+              },
+            ],
             sriRequest,
-            runAfterUpload,
-            copiedAttachmentsWithFileObj
+            fileTypeRestrictions
           );
+        }
 
-          // now that we validated the json body resource requirement, we can finally check security
-          await checkSecurity(tx, sriRequest, safeBodyJsonArray, "create");
+        await runAfterUpdate(tx, sriRequest, {
+          file: newFilename,
+          previousFile: filename,
+          originalFilename: body.file,
+          attachment: {
+            ...body.attachment,
+            ...(body.attachment?.name
+              ? { name: getSafeFilename(body.attachment.name) }
+              : {}),
+            key: attachmentKey,
+          },
+          resource: { href, key },
+        });
 
-          /// all files are now uploaded into their TMP versions.
-        } catch (err) {
-          await handleErrorDuringUploadOrCopy(
-            err,
+        // when this fails, sri4node will roll back what runAfterUpdate has done in tx
+        if (newFilename !== filename) {
+          await renameAttachmentFile(
             sriRequest,
-            copiedAttachmentsWithFileObj
+            key,
+            attachmentKey,
+            filename,
+            newFilename
           );
         }
 
-        /// all went well, rename the files to their real names now.
-        await renameAttachmentsToRealNames(copiedAttachmentsWithFileObj);
-
         return {
           status: 200,
-          body: copiedAttachmentsWithFileObj.map((file) => ({
-            status: 200,
-            href: `${file.resource.href}/attachments/${file.attachment.key}`,
-          })),
+          body: { status: 200, href: `${href}/attachments/${attachmentKey}` },
         };
       },
     };
@@ -1521,108 +5656,104 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
 
   /**
    * A function that will generate a json object that can be used in
-   * sriConfig.resources.*.customRoutes in order to add a GET
-   * /resource/attachments/prsegignedupload route.
-   * This is something specific to upload a file directly to S3 or something
-   * (without proxying through the api server) by requesting some kind of token first
-   * and then using that to be allowed to upload something directly to S3.
-   *
-   * [ Currently not used ]
+   * sriConfig.resources.*.customRoutes in order to add a POST
+   * /resource/:key/attachments/:attachmentKey/rename route to change the filename of an
+   * attachment. The body is a single object with the new filename:
+   * ```javascript
+   *  { file: "new-name.pdf" }
+   * ```
+   * runAfterRename is called with the new (safe) filename and the current one (previousFile),
+   * so the filename in the database can be kept in sync. When it succeeds, the file is
+   * renamed on the storage.
    *
+   * @param {TGetFileNameHandlerFun} getFileNameHandler an (async) function that will return the
+   *  current filename of the attachment
+   * @param {TRunAfterRenameFun} runAfterRename
+   * @param { TUploadRouteOptions } [options] overrides of the plugin configuration for this route
+   *  (allowedMimeTypes, deniedMimeTypes, allowedExtensions, deniedExtensions for the new filename)
    * @returns {TCustomRoute}
    */
-  function customRouteForPreSignedUpload() {
+  function customRouteForRename(
+    getFileNameHandler,
+    runAfterRename,
+    options = {}
+  ) {
+    const fileTypeRestrictions = getFileTypeRestrictions(options);
+
     return {
-      routePostfix: "/attachments/presigned",
-      httpMethods: ["GET"],
-      readOnly: true,
+      routePostfix:
+        "/:key/attachments/:attachmentKey([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/rename",
+      httpMethods: ["POST"],
+      readOnly: false,
       /**
        * @type { TNonStreamingCustomRoute['beforeHandler'] }
        */
-      beforeHandler: async (
-        _tx,
-        _sriRequest,
-        _customMapping,
-        _internalUtils
-      ) => {
-        // await checkSecurity(tx, sriRequest, null, 'create');
+      beforeHandler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        await checkSecurity(tx, sriRequest, null, "update");
       },
       /**
        * @type { TNonStreamingCustomRoute['handler'] }
        */
-      handler: async (_tx, _sriRequest, _customMapping, _internalUtils) => {
-        /// do the presigned request to s3
-        const json = await getPreSigned();
-        return {
-          body: json,
-          status: 200,
-        };
-      },
-    };
-  }
-
-  /**
-   * A function that will generate a json object that can be used in
-   * sriConfig.resources.*.customRoutes in order to add a GET
-   * /resource/attachments/<filename> route to download an attachment.
-   *
-   * @param { TCheckDownloadFun } checkDownload
-   * @returns {TCustomRoute}
-   */
-  function customRouteForDownload(checkDownload) {
-    return {
-      routePostfix: "/:key/attachments/:filename([^/]*.[A-Za-z0-9]{1,})",
-      httpMethods: ["GET"],
-      readOnly: true,
-      binaryStream: true,
-
-      /**
-       * @type { TStreamingCustomRoute['beforeStreamingHandler'] }
-       */
-      beforeStreamingHandler: async (
-        tx,
-        sriRequest,
-        _customMapping,
-        _internalUtils
-      ) => {
-        await checkSecurity(tx, sriRequest, null, "read");
-        sriRequest.logDebug(logChannel, sriRequest.params.filename);
-        if (checkDownload)
-          await checkDownload(
-            tx,
-            sriRequest,
-            sriRequest.params.key,
-            sriRequest.params.filename
-          );
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        throwErrorWhenBodyIsMissing(sriRequest.body, sriRequest);
+        const { file } = sriRequest.body;
+        if (typeof file !== "string" || !file) {
+          throw new sriRequest.SriError({
+            status: 400,
+            errors: [
+              {
+                code: "missing.json.file",
+                type: "ERROR",
+                message: "the new filename is required",
+              },
+            ],
+          });
+        }
 
-        let contentType = "application/octet-stream";
+        const { key, attachmentKey } = sriRequest.params;
+        const href = `${sriRequest.sriType}/${key}`;
+        const filename = await getFileNameHandler(
+          tx,
+          sriRequest,
+          key,
+          attachmentKey
+        );
+        const newFilename = getSafeFilename(file);
+        checkAttachmentsFileTypes(
+          [
+            {
+              fileObj: {
+                filename: newFilename,
+                mimetype:
+                  mime.contentType(newFilename) || "application/octet-stream",
+              },
+            },
+          ],
+          sriRequest,
+          fileTypeRestrictions
+        );
 
-        if (mime.lookup(sriRequest.params.filename)) {
-          contentType = mime.lookup(sriRequest.params.filename);
-        }
+        await runAfterRename(tx, sriRequest, {
+          file: newFilename,
+          previousFile: filename,
+          originalFilename: file,
+          attachment: { key: attachmentKey },
+          resource: { href, key },
+        });
+        // when this fails, sri4node will roll back what runAfterRename has done in tx
+        await renameAttachment(
+          sriRequest,
+          key,
+          attachmentKey,
+          filename,
+          newFilename
+        );
 
         return {
           status: 200,
-          headers: [
-            // was (deprecated) 'escape' instead of 'encodeURIComponent'
-            [
-              "Content-Disposition",
-              `inline; filename="${encodeURIComponent(
-                sriRequest.params.filename
-              )}"`,
-            ],
-            ["Content-Type", contentType],
-          ],
+          body: { status: 200, href: `${href}/attachments/${attachmentKey}` },
         };
       },
-      /**
-       * @type { TStreamingCustomRoute['streamingHandler'] }
-       */
-      streamingHandler: async (tx, sriRequest, stream, _internalUtils) => {
-        await handleFileDownload(tx, sriRequest, stream, false);
-        sriRequest.logDebug(logChannel, "streaming download done");
-        return null;
-      },
     };
   }
 
@@ -1657,6 +5788,16 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
           sriRequest.params.key,
           sriRequest.params.attachmentKey
         );
+        if (sriRequest.headers["if-match"]) {
+          checkIfMatch(sriRequest, [
+            await getFileMeta(
+              getS3FileNameBySriRequestAndAttachmentFilename(
+                sriRequest,
+                filename
+              )
+            ),
+          ]);
+        }
         await handleFileDelete(sriRequest, filename);
         return {
           status: 204,
@@ -1689,33 +5830,262 @@ async function sri4nodeAttachmentUtilsFactory(pluginConfig, sri4node) {
       beforeHandler: async (tx, sriRequest, _customMapping, _internalUtils) => {
         await checkSecurity(tx, sriRequest, null, "read");
       },
-      handler: async (tx, sriRequest, _customMapping, _internalUtils) => ({
-        body: await getAttJson(
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        const attJson = await getAttJson(
           tx,
           sriRequest,
           sriRequest.params.key,
           sriRequest.params.attachmentKey
-        ),
-        status: 200,
-      }),
+        );
+        // the ETag of the file, to be used in an If-Match header when changing the attachment
+        const meta = attJson.name
+          ? await getFileMeta(
+              getS3FileNameBySriRequestAndAttachmentFilename(
+                sriRequest,
+                getSafeFilename(attJson.name)
+              )
+            )
+          : undefined;
+        return {
+          body: attJson,
+          status: 200,
+          ...(meta?.ETag ? { headers: { ETag: meta.ETag } } : {}),
+        };
+      },
+    };
+  }
+
+  /**
+   * Lists the files of a resource on the storage (the objects named <resourceKey>-<filename>),
+   * as attachment json. The href uses the attachment key that was stored with the file, or the
+   * filename (the download url) for a file without one.
+   *
+   * @param {TSriRequest} sriRequest
+   * @param {string} resourceKey
+   * @returns {Promise<Array<{ href: string, [prop: string]: any }>>}
+   */
+  async function listAttachmentsOnStorage(sriRequest, resourceKey) {
+    const resourceHref = `${sriRequest.sriType}/${resourceKey}`;
+    const items = await storage.list(`${resourceKey}-`);
+    const attachments = await Promise.all(
+      items.map(async ({ Key, Size, LastModified }) => {
+        const name = Key.substring(resourceKey.length + 1);
+        const meta = await getFileMeta(Key);
+        const key = meta?.Metadata?.attachmentkey;
+        const href = `${resourceHref}/attachments/${
+          key || encodeURIComponent(name)
+        }`;
+        return {
+          $$meta: {
+            permalink: href,
+            modified: (meta?.LastModified || LastModified)?.toISOString(),
+          },
+          href,
+          key,
+          name,
+          contentType:
+            meta?.ContentType ||
+            mime.contentType(name) ||
+            "application/octet-stream",
+          size: meta?.ContentLength !== undefined ? meta.ContentLength : Size,
+        };
+      })
+    );
+    return attachments.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A function that will generate a json object that can be used in
+   * sriConfig.resources.*.customRoutes in order to add a GET /resource/:key/attachments route
+   * to list the attachments of a resource, after checking the 'read' ability on it.
+   *
+   * The response is an sri list:
+   * ```
+   * {
+   *   $$meta: { count: 1 },
+   *   results: [
+   *     { href: "/resource/<key>/attachments/<attachmentKey>", $$expanded: { href, key, name, ... } }
+   *   ]
+   * }
+   * ```
+   *
+   * @param { TListAttachmentsFun } [listAttachments] returns the attachments of the resource
+   *  (f.e. from your database), when omitted the files of the resource on the storage are listed
+   * @returns {TCustomRoute}
+   */
+  function customRouteForList(listAttachments) {
+    return {
+      routePostfix: "/:key/attachments",
+      httpMethods: ["GET"],
+      readOnly: true,
+      beforeHandler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        await checkSecurity(tx, sriRequest, null, "read");
+      },
+      handler: async (tx, sriRequest, _customMapping, _internalUtils) => {
+        const { key } = sriRequest.params;
+        const attachments = listAttachments
+          ? await listAttachments(tx, sriRequest, key)
+          : await listAttachmentsOnStorage(sriRequest, key);
+        return {
+          status: 200,
+          body: {
+            $$meta: { count: attachments.length },
+            results: attachments.map((att) => ({
+              href: att.href,
+              $$expanded: att,
+            })),
+          },
+        };
+      },
+    };
+  }
+
+  // FIRST CHECK IF THE STORAGE IS OK (f.e. the S3 bucket exists), otherwise it makes no sense
+  // to return an instance of the utils if we are going to get in trouble later on
+  if (storage.init) {
+    await storage.init();
+  }
+
+  /**
+   * Generates a function for the afterDelete hooks of a resource
+   * (sriConfig.resources.*.afterDelete) that removes the attachments of the deleted resources:
+   * the files that listAttachments (or persistence.listAttachments) returns for them (named
+   * <resourceKey>-<name> on the storage), or with deleteByPrefix all the files on the storage
+   * that are named <resourceKey>-*, and, when a persistence (like postgresPersistenceFactory)
+   * is given, its rows.
+   *
+   * By default (softDelete) the resources are only marked as $$meta.deleted (and can be
+   * restored), so their files are kept, and the rows of the persistence are only marked as
+   * deleted. Set softDelete to false to really remove them.
+   *
+   * The rows are deleted in the transaction of the request, the files only after that
+   * succeeded (but before the transaction is committed).
+   *
+   * @param {TCascadeDeleteOptions} options
+   * @returns {TAfterDeleteResourceFun}
+   * @throws {Error} when there is no way to find the files of a resource, or when softDelete is
+   *  on with a persistence that can not mark its rows as deleted
+   */
+  function afterDeleteForCascade({
+    persistence,
+    listAttachments = persistence?.listAttachments,
+    deleteByPrefix = false,
+    softDelete = true,
+  }) {
+    /** @type {TListAttachmentsFun | undefined} */
+    const listFiles = deleteByPrefix
+      ? async (_tx, sriRequest, resourceKey) =>
+          listAttachmentsOnStorage(sriRequest, resourceKey)
+      : listAttachments;
+    if (!listFiles) {
+      throw new Error(
+        "afterDeleteForCascade needs listAttachments (or a persistence with listAttachments) or deleteByPrefix to find the files of a deleted resource"
+      );
+    }
+    if (softDelete && persistence?.softDeletes === false) {
+      // otherwise every delete of a resource would fail
+      throw new Error(
+        "afterDeleteForCascade: the persistence can not mark the attachments of a resource as deleted (f.e. postgresPersistenceFactory without a deleted column), set softDelete to false or add a deleted column"
+      );
+    }
+    return async (tx, sriRequest, elements) => {
+      const resourceKeys = elements.map(({ permalink }) =>
+        hrefToKey(permalink)
+      );
+      // list the files before the rows of the persistence are removed
+      const filenames = [];
+      if (!softDelete) {
+        for (const resourceKey of resourceKeys) {
+          // eslint-disable-next-line no-await-in-loop
+          const attachments = await listFiles(tx, sriRequest, resourceKey);
+          filenames.push(
+            ...attachments
+              .filter(({ name }) => name)
+              .map(({ name }) => `${resourceKey}-${name}`)
+          );
+        }
+      }
+      if (persistence) {
+        for (const resourceKey of resourceKeys) {
+          // eslint-disable-next-line no-await-in-loop
+          await persistence.deleteAttachmentsOfResource(tx, resourceKey, {
+            soft: softDelete,
+          });
+        }
+      }
+      if (filenames.length) {
+        // This is lossy: sri4node has no hook after the commit, so the files are deleted before
+        // the transaction is committed. When anything after this hook fails (a later afterDelete
+        // hook, the commit), the resource and its rows are rolled back, but its files are gone.
+        await deleteFromS3(filenames);
+        sriRequest.logDebug(
+          logChannel,
+          `${filenames.join(" & ")} deleted with their resources`
+        );
+      }
     };
   }
 
-  // FIRST CHECK IF THE BUCKET EXISTS, otherwise it makes no sense to return an instance
-  // of the utils if we are going to get in trouble later on
-  await checkOrCreateBucket();
+  /**
+   * Adds afterDeleteForCascade to the afterDelete hooks of the resources in the sri4node
+   * configuration whose type is in options.types.
+   *
+   * @param {TSriConfig} sriConfig
+   * @param {TInstallCascadeDeleteOptions} options
+   * @returns {void}
+   */
+  function installCascadeDelete(sriConfig, options) {
+    const { types, ...cascadeOptions } = options;
+    /** @type {Array<{ type: string, afterDelete?: Array<TAfterDeleteResourceFun> }>} */
+    const resources = sriConfig.resources;
+    const unknownTypes = types.filter(
+      (type) => !resources.some((resource) => resource.type === type)
+    );
+    if (unknownTypes.length) {
+      throw new Error(
+        `installCascadeDelete: there are no resources of type ${unknownTypes.join(
+          ", "
+        )}`
+      );
+    }
+    const afterDelete = afterDeleteForCascade(cascadeOptions);
+    resources
+      .filter(({ type }) => types.includes(type))
+      .forEach((resource) => {
+        resource.afterDelete = [...(resource.afterDelete || []), afterDelete];
+      });
+  }
 
   // RETURN AN OBJECT CONTAINING UTILITY FUNCTIONS
   return {
     customRouteForUpload,
     customRouteForUploadCopy,
+    customRouteForUploadMove,
+    customRouteForUploadBase64,
+    customRouteForRawUpload,
     customRouteForPreSignedUpload,
+    customRouteForPreSignedUploadFinalize,
+    customRoutesForMultipartUpload,
+    customRoutesForTusUpload,
     customRouteForDownload,
+    customRouteForDownloadHead,
+    customRoutesForZipDownload,
+    customRouteForUpdate,
+    customRouteForRename,
     customRouteForDelete,
     customRouteForGet,
+    customRouteForList,
+    afterDeleteForCascade,
+    installCascadeDelete,
+    renameAttachment,
   };
 }
 
 module.exports = {
   sri4nodeAttachmentUtilsFactory,
+  s3StorageFactory,
+  filesystemStorageFactory,
+  memoryStorageFactory,
+  postgresPersistenceFactory,
+  attachmentsTestKitFactory,
 };
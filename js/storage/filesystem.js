@@ -0,0 +1,272 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform, pipeline } = require("stream");
+const { promisify } = require("util");
+const { v4: uuidv4 } = require("uuid");
+const common = require("../common");
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * @typedef { import("../sri4node-attachments").TStorageAdapter } TStorageAdapter
+ * @typedef { import("../sri4node-attachments").TStorageObjectMeta } TStorageObjectMeta
+ * @typedef { import("../sri4node-attachments").TStorageLogger } TStorageLogger
+ *
+ * @typedef { {
+ *    root: string,
+ * } } TFilesystemStorageConfig
+ *
+ * The part of the metadata that cannot be derived from the file itself, and is stored
+ * next to it in a json file.
+ * @typedef { {
+ *    ETag?: string,
+ *    ContentType?: string,
+ *    Metadata?: Record<string, string>,
+ * } } TFilesystemMetaFile
+ */
+
+/**
+ * A storage adapter that stores all attachments in a directory on the local filesystem,
+ * intended for development and on-premise deployments.
+ *
+ * Inside the root directory the following directories are used:
+ *  * files: the actual objects, the key is used as filename
+ *  * meta: a json file per object with the metadata (ETag, ContentType, Metadata)
+ *  * partial: files that are still being written, they are moved to 'files' once complete
+ *    so other requests never see half-written files
+ *
+ * @param {TFilesystemStorageConfig} config
+ * @param {TStorageLogger} [logger]
+ * @returns {TStorageAdapter}
+ */
+function filesystemStorageFactory(config, logger = common) {
+  const { debug } = logger;
+  const root = path.resolve(config.root);
+  const filesDir = path.join(root, "files");
+  const metaDir = path.join(root, "meta");
+  const partialDir = path.join(root, "partial");
+
+  /**
+   * Keys are used as filenames, so they can not contain anything that would allow them
+   * to escape the root directory.
+   *
+   * @param {string} key
+   * @throws {Error} when the key is not a valid filename
+   */
+  function checkKey(key) {
+    if (!key || key === "." || key === ".." || /[/\\\0]/.test(key)) {
+      throw common.storageError(400, `Invalid storage key [${key}]`);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  function filePath(key) {
+    checkKey(key);
+    return path.join(filesDir, key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  function metaPath(key) {
+    checkKey(key);
+    return path.join(metaDir, `${key}.json`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  function partialPath(key) {
+    return path.join(partialDir, `${uuidv4()}-${key}`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<import("fs").Stats>}
+   */
+  async function statOrNotFound(key) {
+    try {
+      return await fs.promises.stat(filePath(key));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        throw common.storageError(404, `File [${key}] not found`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<TFilesystemMetaFile>}
+   */
+  async function readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(key), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return {};
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {TFilesystemMetaFile} meta
+   * @returns {Promise<void>}
+   */
+  async function writeMeta(key, meta) {
+    const tmpPath = partialPath(`${key}.json`);
+    await fs.promises.writeFile(tmpPath, JSON.stringify(meta));
+    await fs.promises.rename(tmpPath, metaPath(key));
+  }
+
+  /**
+   * @param {string} p
+   * @returns {Promise<void>}
+   */
+  async function unlinkIfExists(p) {
+    try {
+      await fs.promises.unlink(p);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * @type {TStorageAdapter['init']}
+   */
+  async function init() {
+    debug(`using local folder ${root} as storage`);
+    await Promise.all(
+      [filesDir, metaDir, partialDir].map((d) =>
+        fs.promises.mkdir(d, { recursive: true })
+      )
+    );
+  }
+
+  /**
+   * @type {TStorageAdapter['putStream']}
+   */
+  async function putStream(key, stream, { contentType, metadata } = {}) {
+    debug(`Storing file ${key}`);
+    const destinationPath = filePath(key);
+    const tmpPath = partialPath(key);
+    const hash = crypto.createHash("md5");
+    const hashingStream = new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipelineAsync(stream, hashingStream, fs.createWriteStream(tmpPath));
+      await writeMeta(key, {
+        ETag: `"${hash.digest("hex")}"`,
+        ContentType: contentType,
+        Metadata: metadata || {},
+      });
+      await fs.promises.rename(tmpPath, destinationPath);
+    } catch (err) {
+      await unlinkIfExists(tmpPath);
+      throw err;
+    }
+  }
+
+  /**
+   * @type {TStorageAdapter['head']}
+   */
+  async function head(key) {
+    debug(`get HEAD for ${key}`);
+    const stats = await statOrNotFound(key);
+    const meta = await readMeta(key);
+    return {
+      ETag: meta.ETag,
+      ContentLength: stats.size,
+      ContentType: meta.ContentType,
+      LastModified: stats.mtime,
+      Metadata: meta.Metadata || {},
+    };
+  }
+
+  /**
+   * @type {TStorageAdapter['getStream']}
+   */
+  async function getStream(key, { range } = {}) {
+    await statOrNotFound(key);
+    return fs.createReadStream(filePath(key), range);
+  }
+
+  /**
+   * @type {TStorageAdapter['copy']}
+   */
+  async function copy(destinationKey, sourceKey, metadata) {
+    await statOrNotFound(sourceKey);
+    const sourceMeta = await readMeta(sourceKey);
+    const tmpPath = partialPath(destinationKey);
+    try {
+      await fs.promises.copyFile(filePath(sourceKey), tmpPath);
+      await writeMeta(destinationKey, {
+        ...sourceMeta,
+        Metadata: metadata || {},
+      });
+      await fs.promises.rename(tmpPath, filePath(destinationKey));
+    } catch (err) {
+      await unlinkIfExists(tmpPath);
+      throw err;
+    }
+  }
+
+  /**
+   * Like S3, deleting a file that does not exist is not considered an error.
+   *
+   * @type {TStorageAdapter['delete']}
+   */
+  async function deleteObjects(keys) {
+    await Promise.all(
+      keys.map(async (key) => {
+        await unlinkIfExists(filePath(key));
+        await unlinkIfExists(metaPath(key));
+      })
+    );
+  }
+
+  /**
+   * @type {TStorageAdapter['list']}
+   */
+  async function list(prefix) {
+    const filenames = (await fs.promises.readdir(filesDir)).filter((f) =>
+      f.startsWith(prefix)
+    );
+    return Promise.all(
+      filenames.map(async (key) => {
+        const { ETag, ContentLength, LastModified } = await head(key);
+        return { Key: key, Size: ContentLength, LastModified, ETag };
+      })
+    );
+  }
+
+  return {
+    name: "filesystem",
+    init,
+    putStream,
+    head,
+    getStream,
+    copy,
+    delete: deleteObjects,
+    list,
+  };
+}
+
+module.exports = {
+  filesystemStorageFactory,
+};
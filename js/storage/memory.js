@@ -0,0 +1,282 @@
+/* eslint-env node */
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const common = require("../common");
+
+/**
+ * @typedef { import("../sri4node-attachments").TStorageAdapter } TStorageAdapter
+ * @typedef { import("../sri4node-attachments").TStorageObjectMeta } TStorageObjectMeta
+ * @typedef { import("../sri4node-attachments").TStorageLogger } TStorageLogger
+ *
+ * @typedef { Required<TStorageObjectMeta> & { Body: Buffer } } TMemoryStorageObject
+ *
+ * @typedef { {
+ *    key: string,
+ *    contentType?: string,
+ *    metadata?: Record<string, string>,
+ *    parts: Map<number, { Body: Buffer, ETag: string }>,
+ * } } TMemoryMultipartUpload
+ *
+ * @typedef { TStorageAdapter & {
+ *    getObject: (key: string) => TMemoryStorageObject | undefined,
+ *    keys: () => Array<string>,
+ *    clear: () => void,
+ * } } TMemoryStorageAdapter
+ */
+
+/**
+ * A storage adapter that keeps all attachments in memory. Everything is lost when the process
+ * stops, so this is only meant for (unit) tests.
+ *
+ * Next to the standard storage adapter methods, it has some extra methods to inspect what has
+ * been stored: getObject(key), keys() and clear().
+ * Multipart uploads are supported as well, in tests uploadPart(key, uploadId, partNumber, stream)
+ * can do what a client would do with a presigned part url.
+ *
+ * @param {TStorageLogger} [logger]
+ * @returns {TMemoryStorageAdapter}
+ */
+function memoryStorageFactory(logger = common) {
+  const { debug } = logger;
+
+  /** @type {Map<string, TMemoryStorageObject>} */
+  const objects = new Map();
+
+  /** @type {Map<string, TMemoryMultipartUpload>} */
+  const multipartUploads = new Map();
+
+  /**
+   * @param {Buffer} body
+   * @returns {string}
+   */
+  function etagOf(body) {
+    return `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {string | undefined} contentType
+   * @param {Record<string, string> | undefined} metadata
+   */
+  function storeObject(key, body, contentType, metadata) {
+    objects.set(key, {
+      Body: body,
+      ETag: etagOf(body),
+      ContentLength: body.length,
+      ContentType: contentType,
+      LastModified: new Date(),
+      Metadata: metadata || {},
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {TMemoryStorageObject}
+   */
+  function getOrNotFound(key) {
+    const object = objects.get(key);
+    if (!object) {
+      throw common.storageError(404, `File [${key}] not found`);
+    }
+    return object;
+  }
+
+  /**
+   * @type {TStorageAdapter['putStream']}
+   */
+  async function putStream(key, stream, { contentType, metadata } = {}) {
+    debug(`Storing file ${key} in memory`);
+    storeObject(
+      key,
+      await common.streamToBuffer(stream),
+      contentType,
+      metadata
+    );
+  }
+
+  /**
+   * @type {TStorageAdapter['head']}
+   */
+  async function head(key) {
+    const { Body: _body, ...meta } = getOrNotFound(key);
+    return { ...meta, Metadata: { ...meta.Metadata } };
+  }
+
+  /**
+   * @type {TStorageAdapter['getStream']}
+   */
+  async function getStream(key, { range } = {}) {
+    const { Body } = getOrNotFound(key);
+    return Readable.from([
+      range ? Body.subarray(range.start, range.end + 1) : Body,
+    ]);
+  }
+
+  /**
+   * @type {TStorageAdapter['copy']}
+   */
+  async function copy(destinationKey, sourceKey, metadata) {
+    const source = getOrNotFound(sourceKey);
+    objects.set(destinationKey, {
+      ...source,
+      LastModified: new Date(),
+      Metadata: metadata || {},
+    });
+  }
+
+  /**
+   * @type {TStorageAdapter['delete']}
+   */
+  async function deleteObjects(keys) {
+    keys.forEach((key) => objects.delete(key));
+  }
+
+  /**
+   * @type {TStorageAdapter['list']}
+   */
+  async function list(prefix) {
+    return [...objects.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, { ContentLength, LastModified, ETag }]) => ({
+        Key: key,
+        Size: ContentLength,
+        LastModified,
+        ETag,
+      }));
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} uploadId
+   * @returns {TMemoryMultipartUpload}
+   */
+  function getMultipartUpload(key, uploadId) {
+    const upload = multipartUploads.get(uploadId);
+    if (!upload || upload.key !== key) {
+      throw common.storageError(
+        404,
+        `Multipart upload [${uploadId}] of [${key}] not found`
+      );
+    }
+    return upload;
+  }
+
+  /**
+   * @type {TStorageAdapter['createMultipartUpload']}
+   */
+  async function createMultipartUpload(key, { contentType, metadata } = {}) {
+    const uploadId = crypto.randomUUID();
+    multipartUploads.set(uploadId, {
+      key,
+      contentType,
+      metadata,
+      parts: new Map(),
+    });
+    return uploadId;
+  }
+
+  /**
+   * @type {TStorageAdapter['createPresignedPartUrl']}
+   */
+  async function createPresignedPartUrl(key, uploadId, partNumber) {
+    getMultipartUpload(key, uploadId);
+    return `memory://${encodeURIComponent(
+      key
+    )}?uploadId=${uploadId}&partNumber=${partNumber}`;
+  }
+
+  /**
+   * @type {TStorageAdapter['uploadPart']}
+   */
+  async function uploadPart(
+    key,
+    uploadId,
+    partNumber,
+    stream,
+    { contentLength } = {}
+  ) {
+    const upload = getMultipartUpload(key, uploadId);
+    const body = await common.streamToBuffer(stream);
+    // like S3, a part that is not complete is not stored
+    if (contentLength !== undefined && body.length !== contentLength) {
+      throw common.storageError(
+        400,
+        `Part [${partNumber}] has ${body.length} bytes instead of ${contentLength}`
+      );
+    }
+    const part = { Body: body, ETag: etagOf(body) };
+    upload.parts.set(partNumber, part);
+    return part.ETag;
+  }
+
+  /**
+   * @type {TStorageAdapter['listParts']}
+   */
+  async function listParts(key, uploadId) {
+    return [...getMultipartUpload(key, uploadId).parts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([PartNumber, { ETag, Body }]) => ({
+        PartNumber,
+        ETag,
+        Size: Body.length,
+      }));
+  }
+
+  /**
+   * @type {TStorageAdapter['completeMultipartUpload']}
+   */
+  async function completeMultipartUpload(key, uploadId, parts) {
+    const upload = getMultipartUpload(key, uploadId);
+    const bodies = [...parts]
+      .sort((a, b) => a.PartNumber - b.PartNumber)
+      .map(({ PartNumber, ETag }) => {
+        const part = upload.parts.get(PartNumber);
+        if (!part || part.ETag !== ETag) {
+          throw common.storageError(400, `Invalid part [${PartNumber}]`);
+        }
+        return part.Body;
+      });
+    storeObject(
+      key,
+      Buffer.concat(bodies),
+      upload.contentType,
+      upload.metadata
+    );
+    multipartUploads.delete(uploadId);
+  }
+
+  /**
+   * @type {TStorageAdapter['abortMultipartUpload']}
+   */
+  async function abortMultipartUpload(key, uploadId) {
+    getMultipartUpload(key, uploadId);
+    multipartUploads.delete(uploadId);
+  }
+
+  return {
+    name: "memory",
+    putStream,
+    head,
+    getStream,
+    copy,
+    delete: deleteObjects,
+    list,
+    createMultipartUpload,
+    createPresignedPartUrl,
+    listParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
+    uploadPart,
+    getObject: (key) => objects.get(key),
+    keys: () => [...objects.keys()],
+    clear: () => {
+      objects.clear();
+      multipartUploads.clear();
+    },
+  };
+}
+
+module.exports = {
+  memoryStorageFactory,
+};
@@ -0,0 +1,427 @@
+const S3 = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const S3PresignedPost = require("@aws-sdk/s3-presigned-post");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const common = require("../common");
+
+/**
+ * @typedef { import("../sri4node-attachments").TStorageAdapter } TStorageAdapter
+ * @typedef { import("../sri4node-attachments").TStorageLogger } TStorageLogger
+ * @typedef { import("../sri4node-attachments").TPresignedGetUrlOptions } TPresignedGetUrlOptions
+ *
+ * @typedef { {
+ *    endpoint?: string,
+ *    s3key?: string,
+ *    s3secret?: string,
+ *    s3bucket: string,
+ *    s3region?: string,
+ *    maxRetries?: number,
+ *    createBucketIfNotExists?: boolean,
+ * } } TS3StorageConfig
+ */
+
+/**
+ * The default storage adapter: stores all attachments in an S3 bucket.
+ *
+ * @param {TS3StorageConfig} config
+ * @param {TStorageLogger} [logger]
+ * @returns {TStorageAdapter}
+ */
+function s3StorageFactory(config, logger = common) {
+  const fullConfig = {
+    endpoint: "",
+    s3key: "",
+    s3secret: "",
+    s3region: "eu-west-1",
+    maxRetries: 3,
+    createBucketIfNotExists: false,
+    ...config,
+  };
+  const { debug, error } = logger;
+
+  /** @type {S3.S3Client | undefined} */
+  let awss3client;
+
+  /**
+   * This method is stateful, as it will cache and return a previously existing client
+   * @returns {S3.S3Client} awss3client
+   */
+  function getAWSS3Client() {
+    if (!awss3client) {
+      // If accessKeyId and secretAccessKey are provided, use them; otherwise, let the SDK use the default credential provider chain (including IAM roles)
+      const credentials =
+        fullConfig.s3key && fullConfig.s3secret
+          ? {
+            accessKeyId: fullConfig.s3key,
+            secretAccessKey: fullConfig.s3secret,
+          }
+          : undefined;
+
+      awss3client = new S3.S3Client({
+        endpoint: fullConfig.endpoint, // essential to point to our localstack-on-docker
+        apiVersion: "2006-03-01",
+        region: fullConfig.s3region,
+        maxAttempts: fullConfig.maxRetries,
+        credentials,
+        forcePathStyle: true, // IMPORTANT cfr. https://qubyte.codes/blog/tip-connecting-to-localstack-s3-using-the-javascript-aws-sdk-v3
+      });
+    }
+    return awss3client;
+  }
+
+  /**
+   * This method will send a HeadBucketCommand, and wioll return true if it works,
+   * and false if any exception occurs.
+   *
+   * @param {string} bucket
+   * @returns
+   */
+  async function checkBucket(bucket) {
+    debug("checking if bucket exists");
+
+    const params = { Bucket: bucket };
+
+    try {
+      const awss3 = getAWSS3Client();
+
+      await awss3.send(new S3.HeadBucketCommand(params));
+      return true;
+    } catch (err) {
+      debug(
+        `[checkBucket] Checking if S3 bucket '${bucket}' exists failed with the following exception: ${err}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * This method will check if the S3 bucket exists.
+   * If fullConfig.createBucketIfNotExists it will try to create the bucket if it does not
+   * exsist, otherwise only an error will be printed (which is kind of stupid, it should probably
+   * throw an exception)
+   *
+   * @returns {Promise<void>}
+   */
+  async function checkOrCreateBucket() {
+    const exists = await checkBucket(fullConfig.s3bucket);
+    if (!exists && !fullConfig.createBucketIfNotExists) {
+      error(`S3 Bucket ${fullConfig.s3bucket} does not exist`);
+      error(fullConfig);
+    }
+
+    if (!exists && fullConfig.createBucketIfNotExists) {
+      debug("Creating new bucket");
+      try {
+        const awss3 = getAWSS3Client();
+        const s3cmd = new S3.CreateBucketCommand({
+          Bucket: fullConfig.s3bucket,
+          ACL: "private",
+          CreateBucketConfiguration: {
+            LocationConstraint: fullConfig.s3region,
+          },
+        });
+        await awss3.send(s3cmd);
+      } catch (ex) {
+        error(`[checkOrCreateBucket] bucket creation failed with error: ${ex}`);
+        debug(ex);
+        throw ex;
+      }
+    }
+  }
+
+  /**
+   * @type {TStorageAdapter['putStream']}
+   */
+  async function putStream(key, stream, { contentType, metadata } = {}) {
+    debug(`Uploading file ${key}`);
+    const params = {
+      Bucket: fullConfig.s3bucket,
+      Key: key,
+      ACL: "bucket-owner-full-control",
+      Body: stream,
+      ContentType: contentType,
+      Metadata: metadata,
+    };
+
+    await new Upload({
+      client: getAWSS3Client(),
+      params,
+      // when the stream fails (f.e. because the file is too large), lib-storage will abort the
+      // multipart upload so no orphaned parts are left behind in the bucket
+      leavePartsOnError: false,
+    }).done();
+  }
+
+  /**
+   * @type {TStorageAdapter['head']}
+   */
+  async function head(key) {
+    debug(`get HEAD for ${key}`);
+
+    const params = { Bucket: fullConfig.s3bucket, Key: key };
+    return await getAWSS3Client().send(new S3.HeadObjectCommand(params));
+  }
+
+  /**
+   * @type {TStorageAdapter['getStream']}
+   */
+  async function getStream(key, { range } = {}) {
+    const params = {
+      Bucket: fullConfig.s3bucket,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    };
+    const response = await getAWSS3Client().send(
+      new S3.GetObjectCommand(params)
+    );
+
+    // to be able to use transformToWebStream(), nodejs >= 18 is needed!
+    //  --> currently use response.Body with incorrect typescript types
+    // (see https://stackoverflow.com/a/67373050)
+    // const stream = response.Body.transformToWebStream();
+    // @ts-ignore - AWS SDK stream types
+    return response.Body;
+  }
+
+  /**
+   * @type {TStorageAdapter['copy']}
+   */
+  async function copy(destinationKey, sourceKey, metadata) {
+    const params = {
+      Bucket: fullConfig.s3bucket,
+      Key: destinationKey,
+      ACL: "bucket-owner-full-control",
+      CopySource: encodeURI(`/${fullConfig.s3bucket}/${sourceKey}`),
+      MetadataDirective: "REPLACE",
+      TaggingDirective: "COPY",
+      Metadata: metadata,
+    };
+
+    await getAWSS3Client().send(new S3.CopyObjectCommand(params));
+  }
+
+  /**
+   * @type {TStorageAdapter['delete']}
+   */
+  async function deleteObjects(keys) {
+    const params = {
+      Bucket: fullConfig.s3bucket,
+      Delete: {
+        Objects: keys.map((e) => ({ Key: e })),
+      },
+    };
+    const response = await getAWSS3Client().send(
+      new S3.DeleteObjectsCommand(params)
+    );
+    debug(response);
+  }
+
+  /**
+   * @type {TStorageAdapter['list']}
+   */
+  async function list(prefix) {
+    const objects = [];
+    let ContinuationToken;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await getAWSS3Client().send(
+        new S3.ListObjectsV2Command({
+          Bucket: fullConfig.s3bucket,
+          Prefix: prefix,
+          ContinuationToken,
+        })
+      );
+      (response.Contents || []).forEach(({ Key, Size, LastModified, ETag }) =>
+        objects.push({ Key, Size, LastModified, ETag })
+      );
+      ContinuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (ContinuationToken);
+    return objects;
+  }
+
+  /**
+   * Creates a presigned POST (url + form fields) that allows a client to upload directly
+   * to the bucket without proxying the file through the api server.
+   *
+   * @param {Omit<S3PresignedPost.PresignedPostOptions, 'Bucket'>} options
+   * @returns {Promise<S3PresignedPost.PresignedPost>}
+   */
+  async function createPresignedPost(options) {
+    debug("getting presigned post for s3");
+
+    return await S3PresignedPost.createPresignedPost(getAWSS3Client(), {
+      ...options,
+      Bucket: fullConfig.s3bucket,
+    });
+  }
+
+  /**
+   * Creates a presigned url that allows a client to download an object directly from the
+   * bucket during a short time.
+   *
+   * @param {string} key
+   * @param {TPresignedGetUrlOptions} options
+   * @returns {Promise<string>}
+   */
+  async function createPresignedGetUrl(
+    key,
+    { expiresInSeconds, contentDisposition, contentType }
+  ) {
+    debug(`getting presigned url for ${key}`);
+
+    const command = new S3.GetObjectCommand({
+      Bucket: fullConfig.s3bucket,
+      Key: key,
+      ResponseContentDisposition: contentDisposition,
+      ResponseContentType: contentType,
+    });
+    return await getSignedUrl(getAWSS3Client(), command, {
+      expiresIn: expiresInSeconds,
+    });
+  }
+
+  /**
+   * @type {TStorageAdapter['createMultipartUpload']}
+   */
+  async function createMultipartUpload(key, { contentType, metadata } = {}) {
+    debug(`Starting multipart upload of ${key}`);
+    const response = await getAWSS3Client().send(
+      new S3.CreateMultipartUploadCommand({
+        Bucket: fullConfig.s3bucket,
+        Key: key,
+        ACL: "bucket-owner-full-control",
+        ContentType: contentType,
+        Metadata: metadata,
+      })
+    );
+    return response.UploadId;
+  }
+
+  /**
+   * @type {TStorageAdapter['createPresignedPartUrl']}
+   */
+  async function createPresignedPartUrl(
+    key,
+    uploadId,
+    partNumber,
+    expiresInSeconds
+  ) {
+    const command = new S3.UploadPartCommand({
+      Bucket: fullConfig.s3bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+    });
+    return await getSignedUrl(getAWSS3Client(), command, {
+      expiresIn: expiresInSeconds,
+    });
+  }
+
+  /**
+   * @type {TStorageAdapter['uploadPart']}
+   */
+  async function uploadPart(
+    key,
+    uploadId,
+    partNumber,
+    stream,
+    { contentLength } = {}
+  ) {
+    debug(`Uploading part ${partNumber} of ${key}`);
+    const response = await getAWSS3Client().send(
+      new S3.UploadPartCommand({
+        Bucket: fullConfig.s3bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: stream,
+        // needed to upload a stream of unknown length
+        ContentLength: contentLength,
+      })
+    );
+    return response.ETag;
+  }
+
+  /**
+   * @type {TStorageAdapter['listParts']}
+   */
+  async function listParts(key, uploadId) {
+    const parts = [];
+    let PartNumberMarker;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await getAWSS3Client().send(
+        new S3.ListPartsCommand({
+          Bucket: fullConfig.s3bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker,
+        })
+      );
+      (response.Parts || []).forEach(({ PartNumber, ETag, Size }) =>
+        parts.push({ PartNumber, ETag, Size })
+      );
+      PartNumberMarker = response.IsTruncated
+        ? response.NextPartNumberMarker
+        : undefined;
+    } while (PartNumberMarker);
+    return parts;
+  }
+
+  /**
+   * @type {TStorageAdapter['completeMultipartUpload']}
+   */
+  async function completeMultipartUpload(key, uploadId, parts) {
+    debug(`Completing multipart upload of ${key}`);
+    await getAWSS3Client().send(
+      new S3.CompleteMultipartUploadCommand({
+        Bucket: fullConfig.s3bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag })),
+        },
+      })
+    );
+  }
+
+  /**
+   * @type {TStorageAdapter['abortMultipartUpload']}
+   */
+  async function abortMultipartUpload(key, uploadId) {
+    debug(`Aborting multipart upload of ${key}`);
+    await getAWSS3Client().send(
+      new S3.AbortMultipartUploadCommand({
+        Bucket: fullConfig.s3bucket,
+        Key: key,
+        UploadId: uploadId,
+      })
+    );
+  }
+
+  return {
+    name: "s3",
+    init: checkOrCreateBucket,
+    putStream,
+    head,
+    getStream,
+    copy,
+    delete: deleteObjects,
+    list,
+    createPresignedPost,
+    createPresignedGetUrl,
+    createMultipartUpload,
+    createPresignedPartUrl,
+    uploadPart,
+    listParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
+    getAWSS3Client,
+  };
+}
+
+module.exports = {
+  s3StorageFactory,
+};
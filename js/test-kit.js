@@ -0,0 +1,284 @@
+/* eslint-env node */
+const { EventEmitter } = require("events");
+const { PassThrough, Readable } = require("stream");
+const mime = require("mime-types");
+const common = require("./common");
+const { memoryStorageFactory } = require("./storage/memory");
+
+/**
+ * The test kit allows applications using this plugin to unit-test their own callbacks
+ * (runAfterUpload, getFileNameHandler, getAttJson, ...) without needing sri4node, a database
+ * or S3. The attachment utils are bound to an in-memory storage, and the routes they generate
+ * can be called directly with a minimal fake sriRequest.
+ *
+ * @typedef { import("./sri4node-attachments").TSri4NodeAttachmentUtils } TSri4NodeAttachmentUtils
+ * @typedef { import("./sri4node-attachments").TSri4NodeAttachmentUtilsConfig } TSri4NodeAttachmentUtilsConfig
+ * @typedef { import("./sri4node-attachments").TCustomRoute } TCustomRoute
+ * @typedef { import("./storage/memory").TMemoryStorageAdapter } TMemoryStorageAdapter
+ * @typedef { import("./storage/memory").TMemoryStorageObject } TMemoryStorageObject
+ *
+ * @typedef { {
+ *    sriType?: string,
+ *    params?: Record<string, string>,
+ *    query?: Record<string, string>,
+ *    headers?: Record<string, string>,
+ *    body?: any,
+ *    inStream?: import("stream").Readable,
+ *    tx?: any,
+ * } } TTestSriRequestProps
+ *
+ * @typedef { {
+ *    filename: string,
+ *    content: Buffer | string,
+ *    mimeType?: string,
+ * } } TTestUploadFile
+ *
+ * @typedef { {
+ *    status: number,
+ *    headers: Record<string, string>,
+ *    content: Buffer,
+ * } } TTestDownloadResult
+ *
+ * @typedef { {
+ *    status?: number,
+ *    headers: Record<string, string>,
+ *    body: Array<any>,
+ * } } TTestSendResult
+ */
+
+/**
+ * Mimics the SriError of sri4node closely enough for tests: status, body.errors and headers.
+ */
+class TestSriError extends Error {
+  /**
+   * @param {{ status?: number, errors?: Array<any>, headers?: Record<string, string>, document?: any }} param0
+   */
+  constructor({
+    status = 500,
+    errors = [],
+    headers = {},
+    document = undefined,
+  }) {
+    super(errors.map((e) => e.message).join(", ") || `SriError ${status}`);
+    this.status = status;
+    this.headers = headers;
+    this.body = { errors, status, document };
+  }
+}
+
+/**
+ * Creates an object that contains the properties of an sriRequest that this plugin uses.
+ *
+ * @param {TTestSriRequestProps} props
+ * @param {(x: any) => void} debug
+ * @returns {any}
+ */
+function createSriRequest(
+  {
+    sriType = "/things",
+    params = {},
+    query = {},
+    headers = {},
+    body,
+    inStream,
+    tx = {},
+  },
+  debug
+) {
+  return {
+    sriType,
+    params,
+    query,
+    headers,
+    body,
+    inStream,
+    dbT: tx,
+    SriError: TestSriError,
+    logDebug: (_channel, x) => debug(x),
+  };
+}
+
+/**
+ *
+ * @param {Partial<TSri4NodeAttachmentUtilsConfig>} [pluginConfig] the plugin config, any storage
+ *  in it will be replaced by the in-memory storage
+ * @param {{ debug: (x: any) => void, error: (x: any) => void }} [logger] by default only errors
+ *  are logged (and debug output when LOG_DEBUG is set)
+ */
+async function attachmentsTestKitFactory(pluginConfig = {}, logger = common) {
+  // required here because the main module also exports the test kit
+  const { sri4nodeAttachmentUtilsFactory } = require("./sri4node-attachments");
+  const storage = memoryStorageFactory(logger);
+  /** @type {TSri4NodeAttachmentUtils} */
+  const attachments = await sri4nodeAttachmentUtilsFactory(
+    { ...pluginConfig, storage },
+    {
+      debug: (_channel, x) => logger.debug(x),
+      error: (_channel, x) => logger.error(x),
+    }
+  );
+
+  /**
+   * Calls a non-streaming route (like customRouteForGet or customRouteForDelete) the way
+   * sri4node would: beforeHandler, handler and afterHandler.
+   *
+   * @param {TCustomRoute} route
+   * @param {TTestSriRequestProps} props
+   * @returns {Promise<any>} the result of the handler ({ status, body, headers })
+   */
+  async function callRoute(route, props = {}) {
+    const sriRequest = createSriRequest(props, logger.debug);
+    const tx = sriRequest.dbT;
+    if (route.beforeHandler) {
+      await route.beforeHandler(tx, sriRequest, {}, {});
+    }
+    const result = await route.handler(tx, sriRequest, {}, {});
+    if (route.afterHandler) {
+      await route.afterHandler(tx, sriRequest, {}, result);
+    }
+    return result;
+  }
+
+  /**
+   * Does a multipart upload with the given 'body' field and files, to a route created by
+   * customRouteForUpload.
+   *
+   * @param {TCustomRoute} route
+   * @param {TTestSriRequestProps & { files?: Array<TTestUploadFile> }} props
+   *  props.body is sent as the 'body' field of the multipart message
+   * @returns {Promise<Array<{ status: number, href: string }>>} the response of the upload
+   */
+  async function upload(route, { files = [], body, ...props } = {}) {
+    const sriRequest = createSriRequest(props, logger.debug);
+    const busBoy = new EventEmitter();
+    sriRequest.busBoy = busBoy;
+    const responses = [];
+    const stream = { push: (x) => responses.push(x) };
+
+    if (route.beforeStreamingHandler) {
+      await route.beforeStreamingHandler(sriRequest.dbT, sriRequest, {}, {});
+    }
+    const handlerPromise = route.streamingHandler(
+      sriRequest.dbT,
+      sriRequest,
+      stream,
+      {}
+    );
+
+    // give the handler the chance to register its busboy listeners
+    await new Promise((resolve) => setImmediate(resolve));
+    if (body !== undefined) {
+      busBoy.emit(
+        "field",
+        "body",
+        typeof body === "string" ? body : JSON.stringify(body),
+        {}
+      );
+    }
+    files.forEach(({ filename, content, mimeType }) => {
+      busBoy.emit("file", "data", Readable.from([Buffer.from(content)]), {
+        filename,
+        encoding: "7bit",
+        mimeType:
+          mimeType || mime.lookup(filename) || "application/octet-stream",
+      });
+    });
+    busBoy.emit("close");
+
+    await handlerPromise;
+    return responses.flat();
+  }
+
+  /**
+   * Downloads a file via a route created by customRouteForDownload.
+   *
+   * @param {TCustomRoute} route
+   * @param {TTestSriRequestProps} props use props.params.key and props.params.filename
+   * @returns {Promise<TTestDownloadResult>}
+   */
+  async function download(route, props = {}) {
+    const sriRequest = createSriRequest(props, logger.debug);
+    const tx = sriRequest.dbT;
+    const { status, headers = [] } = await route.beforeStreamingHandler(
+      tx,
+      sriRequest,
+      {},
+      {}
+    );
+    const stream = new PassThrough();
+    const [content] = await Promise.all([
+      common.streamToBuffer(stream),
+      route.streamingHandler(tx, sriRequest, stream, {}).then(
+        () => {
+          if (!stream.writableEnded) {
+            stream.end();
+          }
+        },
+        (err) => {
+          stream.destroy();
+          throw err;
+        }
+      ),
+    ]);
+    return { status, headers: Object.fromEntries(headers), content };
+  }
+
+  /**
+   * Sends content as the raw body of a request to a streaming route (like
+   * customRouteForRawUpload or the PATCH route of customRoutesForTusUpload).
+   *
+   * @param {TCustomRoute} route
+   * @param {TTestSriRequestProps & { content?: Buffer | string }} props
+   *  the Content-Length header is set to the length of props.content
+   * @returns {Promise<TTestSendResult>} the status and headers of the beforeStreamingHandler
+   *  (if any) and what the route has pushed to the stream
+   */
+  async function send(route, { content = "", headers = {}, ...props } = {}) {
+    const buffer = Buffer.from(content);
+    const sriRequest = createSriRequest(
+      {
+        ...props,
+        headers: { "content-length": `${buffer.length}`, ...headers },
+        inStream: Readable.from([buffer]),
+      },
+      logger.debug
+    );
+    const tx = sriRequest.dbT;
+    const { status, headers: responseHeaders = [] } =
+      route.beforeStreamingHandler
+        ? await route.beforeStreamingHandler(tx, sriRequest, {}, {})
+        : {};
+    const responses = [];
+    const stream = { push: (x) => responses.push(x) };
+    await route.streamingHandler(tx, sriRequest, stream, {});
+    return {
+      status,
+      headers: Object.fromEntries(responseHeaders),
+      body: responses.flat(),
+    };
+  }
+
+  return {
+    attachments,
+    storage,
+    /**
+     * @param {string} key the name of the object on the storage (<resourceKey>-<filename>)
+     * @returns {TMemoryStorageObject | undefined}
+     */
+    getObject: (key) => storage.getObject(key),
+    /** @returns {Array<string>} the names of all objects on the storage */
+    getObjectKeys: () => storage.keys(),
+    /** @returns {Array<string>} the names of the temporary files that are left on the storage */
+    getTmpObjectKeys: () => storage.keys().filter((k) => k.endsWith(".tmp")),
+    createSriRequest: (props) => createSriRequest(props, logger.debug),
+    callRoute,
+    upload,
+    download,
+    send,
+  };
+}
+
+module.exports = {
+  attachmentsTestKitFactory,
+  TestSriError,
+};
@@ -0,0 +1,171 @@
+/* eslint-env node */
+const { pipeline, PassThrough } = require("stream");
+const yazl = require("yazl");
+const yauzl = require("yauzl");
+
+/**
+ * Writes zip archives with yazl, streaming the archive while the files are read, so neither
+ * the files nor the archive have to be kept in memory.
+ *
+ * And reads zip archives with yauzl, from ranges of the archive on the storage, so an uploaded
+ * zip does not have to be downloaded first. The names of the files are returned as they are,
+ * it is up to the caller to refuse names with a path outside of the zip.
+ *
+ * @typedef { {
+ *    name: string,
+ *    modified?: Date,
+ *    open: () => Promise<import("stream").Readable>,
+ * } } TZipEntry
+ *
+ * @typedef { {
+ *    name: string,
+ *    size: number,
+ *    isDirectory: boolean,
+ *    isEncrypted: boolean,
+ *    open: () => Promise<import("stream").Readable>,
+ * } } TZipDirectoryEntry
+ *
+ * Opens a stream of a range of bytes (end included) of an archive, like the getStream of a
+ * storage adapter.
+ * @typedef { (range: { start: number, end: number }) => Promise<import("stream").Readable> } TOpenZipRange
+ */
+
+/**
+ * @param {string} name
+ * @param {Set<string>} usedNames the (lowercase) names already in the archive
+ * @returns {string} the name, with a number added when it is already in the archive
+ *  (f.e. "report (2).pdf")
+ */
+function getUniqueName(name, usedNames) {
+  const dot = name.lastIndexOf(".");
+  const [base, extension] =
+    dot > 0 ? [name.substring(0, dot), name.substring(dot)] : [name, ""];
+  let uniqueName = name;
+  for (let i = 2; usedNames.has(uniqueName.toLowerCase()); i += 1) {
+    uniqueName = `${base} (${i})${extension}`;
+  }
+  usedNames.add(uniqueName.toLowerCase());
+  return uniqueName;
+}
+
+/**
+ * Creates a zip archive of the given files. The files are only opened (one by one) when the
+ * archive is read, so it can be streamed to a client while the files are read from the storage.
+ * A file with the same name as a previous one (case insensitive) gets a number added to
+ * its name.
+ *
+ * @param {Array<TZipEntry> | AsyncIterable<TZipEntry>} entries
+ * @returns {PassThrough}
+ */
+function createZipStream(entries) {
+  const zipfile = new yazl.ZipFile();
+  const outputStream = /** @type {PassThrough} */ (zipfile.outputStream);
+  zipfile.on("error", (err) => outputStream.destroy(err));
+
+  (async () => {
+    const usedNames = new Set();
+    for await (const { name, modified = new Date(), open } of entries) {
+      zipfile.addReadStreamLazy(
+        getUniqueName(name, usedNames),
+        { mtime: modified },
+        (callback) => {
+          (async () => {
+            const stream = await open();
+            // yazl pipes the file without listening for its errors
+            stream.on("error", (err) => outputStream.destroy(err));
+            callback(null, stream);
+          })().catch((err) => outputStream.destroy(err));
+        }
+      );
+    }
+    zipfile.end();
+  })().catch((err) => outputStream.destroy(err));
+
+  return outputStream;
+}
+
+/**
+ * Lets yauzl read an archive through a TOpenZipRange.
+ */
+class ZipRangeReader extends yauzl.RandomAccessReader {
+  /**
+   * @param {TOpenZipRange} openRange
+   */
+  constructor(openRange) {
+    super();
+    this.openRange = openRange;
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end not included
+   * @returns {PassThrough}
+   */
+  _readStreamForRange(start, end) {
+    const stream = new PassThrough();
+    this.openRange({ start, end: end - 1 }).then(
+      (range) => pipeline(range, stream, () => {}),
+      (err) => stream.destroy(err)
+    );
+    return stream;
+  }
+}
+
+/**
+ * Reads the list of files (and folders) in a zip archive from its central directory. Throws an
+ * Error when the archive is not a (supported) zip file.
+ * The streams of the files fail when their content does not match the size in the central
+ * directory, so an archive can not produce more data than it declares.
+ *
+ * @param {number} size the size of the archive in bytes
+ * @param {TOpenZipRange} openRange
+ * @returns {Promise<Array<TZipDirectoryEntry>>}
+ */
+function readZipDirectory(size, openRange) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromRandomAccessReader(
+      new ZipRangeReader(openRange),
+      size,
+      // the names are decoded below, so yauzl does not refuse the unsafe ones itself
+      { lazyEntries: true, autoClose: false, decodeStrings: false },
+      (err, zipfile) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        /** @type {Array<TZipDirectoryEntry>} */
+        const entries = [];
+        zipfile.on("error", reject);
+        zipfile.on("end", () => resolve(entries));
+        zipfile.on("entry", (/** @type {yauzl.Entry} */ entry) => {
+          const name = yauzl.getFileNameLowLevel(
+            entry.generalPurposeBitFlag,
+            entry.fileNameRaw,
+            entry.extraFields,
+            false
+          );
+          entries.push({
+            name,
+            size: entry.uncompressedSize,
+            isDirectory: name.endsWith("/"),
+            isEncrypted: entry.isEncrypted(),
+            open: () =>
+              new Promise((resolveStream, rejectStream) => {
+                zipfile.openReadStream(entry, (openErr, stream) =>
+                  openErr ? rejectStream(openErr) : resolveStream(stream)
+                );
+              }),
+          });
+          zipfile.readEntry();
+        });
+        zipfile.readEntry();
+      }
+    );
+  });
+}
+
+module.exports = {
+  getUniqueName,
+  createZipStream,
+  readZipDirectory,
+};
@@ -1,6 +1,8 @@
 /* Configuration for sri4node, used for our server.js, but also for mocha tests */
+const os = require("os");
+const path = require("path");
 const sri4node = require("sri4node");
-const { sri4nodeAttachmentUtilsFactory } = require("../../js/sri4node-attachments.js");
+const { sri4nodeAttachmentUtilsFactory, filesystemStorageFactory } = require("../../js/sri4node-attachments.js");
 const partiesFactory = require("./parties");
 
 /**
@@ -22,6 +24,17 @@ module.exports = async function (handleMultipleUploadsTogether = false, uploadIn
     sri4node
   );
 
+  const attachmentUtilsForLocalFolder = await sri4nodeAttachmentUtilsFactory(
+    {
+      storage: filesystemStorageFactory({
+        root: path.join(os.tmpdir(), "sri4node-attachments-tests"),
+      }),
+      handleMultipleUploadsTogether,
+      uploadInSequence,
+    },
+    sri4node
+  );
+
   return {
     databaseConnectionParameters: {
       host: "localhost",
@@ -43,8 +56,7 @@ module.exports = async function (handleMultipleUploadsTogether = false, uploadIn
     },
     resources: [
       partiesFactory(sri4node, attachmentUtilsForS3, "/partiesS3", customStoreAttachment, customCheckDownload),
-      // Is storing files locally still supported?
-      // partiesFactory(sri4node, attachmentUtilsForLocalFolder, '/partiesFolder'),
+      partiesFactory(sri4node, attachmentUtilsForLocalFolder, "/partiesFolder", customStoreAttachment, customCheckDownload, "partiesfolder"),
     ],
   };
 };
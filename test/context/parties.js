@@ -5,9 +5,10 @@
  * @param {string} type
  * @param {*} customStoreAttachment optional argument to provide a custom store function for the attachments
  * @param {*} customCheckDownload optional argument to provide a custom check function for the downloads
+ * @param {string} [table] the table of the parties, so resources with another storage do not share their rows
  * @returns {import("sri4node").TResourceDefinition}
  */
-module.exports = function (sri4node, attachments, type, customStoreAttachment, customCheckDownload) {
+module.exports = function (sri4node, attachments, type, customStoreAttachment, customCheckDownload, table = "parties") {
   const $m = sri4node.mapUtils;
   const $s = sri4node.schemaUtils;
   const $q = sri4node.queryUtils;
@@ -57,7 +58,7 @@ module.exports = function (sri4node, attachments, type, customStoreAttachment, c
     // Same name, except the '/' is removed
     type,
     metaType: "ATTACHMENTS_TEST_PARTY",
-    table: "parties",
+    table,
     // Standard JSON Schema definition.
     // It uses utility functions, for compactness.
     schema: {
@@ -203,6 +204,12 @@ module.exports = function (sri4node, attachments, type, customStoreAttachment, c
           });
         }
       }),
+      attachments.customRouteForList(async (_tx, _sriRequest, resourceKey) =>
+        Object.entries(resourceMap[resourceKey] || {}).map(
+          ([attachmentKey, attFile]) =>
+            attachmentJson(attFile, resourceKey, attachmentKey)
+        )
+      ),
     ],
     afterRead: [
       (_tx, _sriRequest, data) => {
@@ -16,6 +16,25 @@ CREATE TABLE "parties" (
     "$$meta.created" timestamp with time zone not null default current_timestamp
 );
 
+-- the same parties, for the resource that stores its attachments in a local folder
+CREATE TABLE "partiesfolder" (
+    "key" uuid unique not null,
+    "type" text not null,
+    "name" text not null,
+    "alias" text,
+    "dateofbirth" timestamp with time zone,
+    "imageurl" text,
+    "login" text,
+    "password" text,
+    "secondsperunit" integer,
+    "currencyname" text,
+    "status" text not null, /* active, inactive, ... */
+  
+    "$$meta.deleted" boolean not null default false,
+    "$$meta.modified" timestamp with time zone not null default current_timestamp,
+    "$$meta.created" timestamp with time zone not null default current_timestamp
+);
+
 CREATE TABLE "partyattachments" (
     "key" uuid unique not null,
     "filename" text,
@@ -151,7 +151,7 @@ exports = module.exports = function (httpClient, type) {
 
         const getStream1 = await doGetStream(
           httpClient,
-          `/partiesS3/${resourceKey}/attachments/profile1.png`
+          `${type}/${resourceKey}/attachments/profile1.png`
         );
 
         checkStreamEqual(
@@ -161,7 +161,7 @@ exports = module.exports = function (httpClient, type) {
 
         const getStream2 = await doGetStream(
           httpClient,
-          `/partiesS3/${resourceKey}/attachments/profile2.png`
+          `${type}/${resourceKey}/attachments/profile2.png`
         );
 
         checkStreamEqual(
@@ -170,7 +170,7 @@ exports = module.exports = function (httpClient, type) {
         );
 
         const responseGet3 = await httpClient.get({
-          path: `/partiesS3/${resourceKey}/attachments/profile.png`
+          path: `${type}/${resourceKey}/attachments/profile.png`
         });
         assert.equal(responseGet3.status, 200);
       });
@@ -524,6 +524,65 @@ exports = module.exports = function (httpClient, type) {
       });
     });
 
+    describe("customRouteForList", function () {
+      it("/resource/:key/attachments should list the attachments of the resource", async () => {
+        const body = {
+          type: "person",
+          name: "test user",
+          status: "active",
+        };
+        const [resourceKey, attachmentKey1, attachmentKey2 ] = Array.from({ length: 3 }, () => uuid.v4());
+        const resourceHref = type + "/" + resourceKey;
+        const listUrl = `${resourceHref}/attachments`;
+        const attachmentUrl1 = `${resourceHref}/attachments/${attachmentKey1}`;
+        const attachmentUrl2 = `${resourceHref}/attachments/${attachmentKey2}`;
+
+        const responsePut = await httpClient.put({ path: resourceHref, body });
+        assert.equal(responsePut.status, 201);
+
+        const responseEmptyList = await httpClient.get({ path: listUrl });
+        assert.equal(responseEmptyList.status, 200);
+        assert.equal(responseEmptyList.body.$$meta.count, 0);
+        assert.deepEqual(responseEmptyList.body.results, []);
+
+        await uploadFilesAndCheck(httpClient, [
+          {
+            remotefileName: "profile1.png",
+            localFilename: "test/images/orange-boy-icon.png",
+            attachmentKey: attachmentKey1,
+            resourceHref,
+          },
+          {
+            remotefileName: "profile2.png",
+            localFilename: "test/images/little-boy-white.png",
+            attachmentKey: attachmentKey2,
+            resourceHref,
+          },
+        ]);
+
+        const responseList = await httpClient.get({ path: listUrl });
+        assert.equal(responseList.status, 200);
+        assert.equal(responseList.body.$$meta.count, 2);
+        assert.deepEqual(
+          responseList.body.results.map(({ href }) => href).sort(),
+          [attachmentUrl1, attachmentUrl2].sort()
+        );
+        const expanded1 = responseList.body.results.find(({ href }) => href === attachmentUrl1).$$expanded;
+        assert.equal(expanded1.key, attachmentKey1);
+        assert.equal(expanded1.name, "profile1.png");
+
+        // a deleted attachment is not listed anymore
+        const responseDelete = await httpClient.delete({ path: attachmentUrl1 });
+        assert.equal(responseDelete.status, 204);
+        const responseList2 = await httpClient.get({ path: listUrl });
+        assert.equal(responseList2.status, 200);
+        assert.deepEqual(
+          responseList2.body.results.map(({ href }) => href),
+          [attachmentUrl2]
+        );
+      });
+    });
+
     describe("customRouteForUploadCopy", function () {
       it("copy attachments should work", async () => {
         const body = {
@@ -1022,7 +1081,8 @@ exports = module.exports = function (httpClient, type) {
 // TODO: test rollback (delete of temp files) in case of error
 // TODO: check if mimetype is set as expected
 
-// No testcase for customRouteForPreSignedUpload provided yet as it is not used
+// customRouteForPreSignedUpload(Finalize) is tested with the test kit in testTestKit.js, as
+// localstack is not reachable from the client in these tests
 // TODO : test security??
 
 // TODO : Define resource with S3 and file storage to test both
@@ -0,0 +1,2423 @@
+/* eslint-env node, mocha */
+const assert = require("assert");
+const uuid = require("uuid");
+const fs = require("fs");
+const http = require("http");
+const { Readable } = require("stream");
+
+const {
+  attachmentsTestKitFactory,
+  postgresPersistenceFactory,
+} = require("../js/sri4node-attachments.js");
+const { createZipStream, readZipDirectory } = require("../js/zip.js");
+
+/**
+ * Tests that only use the in-memory storage via the exported test kit, so they do not need
+ * localstack, postgres or a running sri4node server.
+ */
+describe("attachmentsTestKitFactory", () => {
+  const type = "/things";
+
+  /**
+   * @param {number} status
+   * @param {string} code
+   * @returns {(err: any) => boolean} whether a rejection is an SriError with the status and
+   *  the code of its first error
+   */
+  const isSriError = (status, code) => (err) =>
+    err.status === status && err.body.errors[0].code === code;
+
+  /**
+   * @param {number} status
+   * @returns {(err: any) => boolean} whether a rejection is an SriError with the status
+   */
+  const hasStatus = (status) => (err) => err.status === status;
+  const localFilename = "test/images/orange-boy-icon.png";
+  let kit;
+  let stored;
+  let routes;
+
+  beforeEach(async () => {
+    kit = await attachmentsTestKitFactory();
+    stored = {};
+    const runAfterUpload = async (_tx, _sriRequest, file) => {
+      stored[file.attachment.key] = file;
+    };
+    routes = {
+      upload: kit.attachments.customRouteForUpload(runAfterUpload),
+      copy: kit.attachments.customRouteForUploadCopy(runAfterUpload),
+      download: kit.attachments.customRouteForDownload(),
+      delete: kit.attachments.customRouteForDelete(
+        async (_tx, _sriRequest, _resourceKey, attachmentKey) =>
+          stored[attachmentKey].file.filename,
+        async (_tx, _sriRequest, _resourceKey, attachmentKey) => {
+          delete stored[attachmentKey];
+        }
+      ),
+    };
+  });
+
+  const uploadBody = (resourceKey, attachmentKey, file) => [
+    {
+      file,
+      attachment: { key: attachmentKey, description: "a file" },
+      resource: { href: `${type}/${resourceKey}` },
+    },
+  ];
+
+  it("should store uploaded files and pass them to runAfterUpload", async () => {
+    const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+    const content = fs.readFileSync(localFilename);
+
+    const response = await kit.upload(routes.upload, {
+      body: uploadBody(resourceKey, attachmentKey, "profile.png"),
+      files: [{ filename: "profile.png", content }],
+    });
+
+    assert.deepEqual(response, [
+      {
+        status: 200,
+        href: `${type}/${resourceKey}/attachments/${attachmentKey}`,
+      },
+    ]);
+    assert.equal(stored[attachmentKey].file.filename, "profile.png");
+    assert.equal(stored[attachmentKey].file.size, content.length);
+    assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-profile.png`]);
+    assert.deepEqual(kit.getTmpObjectKeys(), []);
+
+    const object = kit.getObject(`${resourceKey}-profile.png`);
+    assert.equal(object.Metadata.attachmentkey, attachmentKey);
+    assert.equal(Buffer.compare(object.Body, content), 0);
+  });
+
+  it("should download an uploaded file", async () => {
+    const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+    await kit.upload(routes.upload, {
+      body: uploadBody(resourceKey, attachmentKey, "hello.txt"),
+      files: [{ filename: "hello.txt", content: "hello world" }],
+    });
+
+    const { status, headers, content } = await kit.download(routes.download, {
+      params: { key: resourceKey, filename: "hello.txt" },
+    });
+    assert.equal(status, 200);
+    assert.equal(headers["Content-Type"], "text/plain");
+    assert.equal(content.toString(), "hello world");
+  });
+
+  it("should only fetch the metadata of the file once per download", async () => {
+    const resourceKey = uuid.v4();
+    await kit.upload(routes.upload, {
+      body: uploadBody(resourceKey, uuid.v4(), "hello.txt"),
+      files: [{ filename: "hello.txt", content: "hello world" }],
+    });
+    const heads = [];
+    const { head } = kit.storage;
+    kit.storage.head = async (key) => {
+      heads.push(key);
+      return head(key);
+    };
+
+    const { content } = await kit.download(routes.download, {
+      params: { key: resourceKey, filename: "hello.txt" },
+    });
+    assert.equal(content.toString(), "hello world");
+    assert.deepEqual(heads, [`${resourceKey}-hello.txt`]);
+  });
+
+  it("should remove the tmp files when runAfterUpload fails", async () => {
+    const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+    const failingRoute = kit.attachments.customRouteForUpload(async () => {
+      throw new Error("runAfterUpload failed");
+    });
+
+    await assert.rejects(
+      kit.upload(failingRoute, {
+        body: uploadBody(resourceKey, attachmentKey, "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      }),
+      /runAfterUpload failed/
+    );
+    assert.deepEqual(kit.getObjectKeys(), []);
+  });
+
+  it("should copy and delete attachments", async () => {
+    const [resourceKey, copyResourceKey, attachmentKey, copyAttachmentKey] =
+      Array.from({ length: 4 }, () => uuid.v4());
+    await kit.upload(routes.upload, {
+      body: uploadBody(resourceKey, attachmentKey, "hello.txt"),
+      files: [{ filename: "hello.txt", content: "hello world" }],
+    });
+
+    const copyResult = await kit.callRoute(routes.copy, {
+      body: {
+        ...uploadBody(copyResourceKey, copyAttachmentKey, undefined)[0],
+        fileHref: `${type}/${resourceKey}/attachments/hello.txt`,
+      },
+    });
+    assert.equal(copyResult.status, 200);
+    assert.equal(
+      kit.getObject(`${copyResourceKey}-hello.txt`).Body.toString(),
+      "hello world"
+    );
+
+    const deleteResult = await kit.callRoute(routes.delete, {
+      params: { key: resourceKey, attachmentKey },
+    });
+    assert.equal(deleteResult.status, 204);
+    assert.equal(stored[attachmentKey], undefined);
+    assert.deepEqual(kit.getObjectKeys(), [`${copyResourceKey}-hello.txt`]);
+  });
+
+  describe("maximumFilesizeInMB", () => {
+    // 20 bytes
+    const maximumFilesizeInMB = 20 / (1024 * 1024);
+
+    it("should refuse files that are too large and remove all tmp files", async () => {
+      const sizeKit = await attachmentsTestKitFactory({ maximumFilesizeInMB });
+      const route = sizeKit.attachments.customRouteForUpload(async () => {});
+      const resourceKey = uuid.v4();
+
+      await assert.rejects(
+        sizeKit.upload(route, {
+          body: [
+            ...uploadBody(resourceKey, uuid.v4(), "small.txt"),
+            ...uploadBody(resourceKey, uuid.v4(), "large.txt"),
+          ],
+          files: [
+            { filename: "small.txt", content: "01234567890123456789" },
+            { filename: "large.txt", content: "012345678901234567890" },
+          ],
+        }),
+        isSriError(413, "file.too.large")
+      );
+      assert.deepEqual(sizeKit.getObjectKeys(), []);
+    });
+
+    it("should allow overriding the limit per route", async () => {
+      const sizeKit = await attachmentsTestKitFactory({ maximumFilesizeInMB });
+      const route = sizeKit.attachments.customRouteForUpload(
+        async () => {},
+        undefined,
+        { maximumFilesizeInMB: 1 }
+      );
+      assert.equal(route.busBoyConfig.limits.fileSize, 1024 * 1024 + 1);
+      const resourceKey = uuid.v4();
+
+      await sizeKit.upload(route, {
+        body: uploadBody(resourceKey, uuid.v4(), "large.txt"),
+        files: [{ filename: "large.txt", content: "012345678901234567890" }],
+      });
+      assert.deepEqual(sizeKit.getObjectKeys(), [`${resourceKey}-large.txt`]);
+    });
+  });
+
+  describe("allowed file types", () => {
+    it("should refuse files with a type that is not allowed before calling runAfterUpload", async () => {
+      const typeKit = await attachmentsTestKitFactory({
+        allowedMimeTypes: ["image/*"],
+      });
+      let runAfterUploadCalled = false;
+      const route = typeKit.attachments.customRouteForUpload(
+        async () => {
+          runAfterUploadCalled = true;
+        },
+        undefined,
+        { deniedExtensions: ["svg"] }
+      );
+      const resourceKey = uuid.v4();
+
+      await assert.rejects(
+        typeKit.upload(route, {
+          body: [
+            ...uploadBody(resourceKey, uuid.v4(), "profile.png"),
+            ...uploadBody(resourceKey, uuid.v4(), "notes.txt"),
+          ],
+          files: [
+            { filename: "profile.png", content: "png" },
+            { filename: "notes.txt", content: "hello" },
+          ],
+        }),
+        (/** @type {any} */ err) =>
+          err.status === 415 &&
+          err.body.errors.length === 1 &&
+          err.body.errors[0].code === "file.type.not.allowed"
+      );
+      await assert.rejects(
+        typeKit.upload(route, {
+          body: uploadBody(resourceKey, uuid.v4(), "logo.svg"),
+          files: [{ filename: "logo.svg", content: "<svg/>" }],
+        }),
+        hasStatus(415)
+      );
+      assert.equal(runAfterUploadCalled, false);
+      assert.deepEqual(typeKit.getObjectKeys(), []);
+    });
+  });
+
+  describe("content sniffing", () => {
+    const exeContent = Buffer.from("MZ\x90\x00\x03\x00\x00\x00", "latin1");
+
+    it("should pass the detected type to runAfterUpload", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, attachmentKey, "profile.png"),
+        files: [
+          { filename: "profile.png", content: fs.readFileSync(localFilename) },
+        ],
+      });
+      assert.equal(stored[attachmentKey].file.detectedMimetype, "image/png");
+    });
+
+    it("should only refuse mismatches when configured", async () => {
+      const resourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "innocent.png"),
+        files: [{ filename: "innocent.png", content: exeContent }],
+      });
+
+      const route = kit.attachments.customRouteForUpload(
+        async () => {},
+        undefined,
+        { rejectMimeTypeMismatch: true }
+      );
+      await assert.rejects(
+        kit.upload(route, {
+          body: uploadBody(resourceKey, uuid.v4(), "innocent2.png"),
+          files: [{ filename: "innocent2.png", content: exeContent }],
+        }),
+        isSriError(415, "file.type.mismatch")
+      );
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-innocent.png`]);
+    });
+  });
+
+  describe("range requests", () => {
+    let resourceKey;
+    const download = (headers) =>
+      kit.download(routes.download, {
+        params: { key: resourceKey, filename: "hello.txt" },
+        headers,
+      });
+
+    beforeEach(async () => {
+      resourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      });
+    });
+
+    it("should only send the requested range", async () => {
+      const { status, headers, content } = await download({
+        range: "bytes=6-",
+      });
+      assert.equal(status, 206);
+      assert.equal(headers["Accept-Ranges"], "bytes");
+      assert.equal(headers["Content-Range"], "bytes 6-10/11");
+      assert.equal(headers["Content-Length"], "5");
+      assert.equal(content.toString(), "world");
+
+      const suffix = await download({ range: "bytes=-3" });
+      assert.equal(suffix.content.toString(), "rld");
+      const start = await download({ range: "bytes=0-4" });
+      assert.equal(start.content.toString(), "hello");
+    });
+
+    it("should send the whole file when the range is ignored", async () => {
+      const { ETag } = await kit.storage.head(`${resourceKey}-hello.txt`);
+      for (const headers of [
+        {},
+        { range: "bytes=0-1,4-5" },
+        { range: "bytes=0-4", "if-range": '"some-old-etag"' },
+      ]) {
+        // eslint-disable-next-line no-await-in-loop
+        const {
+          status,
+          headers: responseHeaders,
+          content,
+        } = await download(headers);
+        assert.equal(status, 200);
+        assert.equal(responseHeaders["Accept-Ranges"], "bytes");
+        assert.equal(responseHeaders["Content-Range"], undefined);
+        assert.equal(content.toString(), "hello world");
+      }
+
+      const { status } = await download({
+        range: "bytes=0-4",
+        "if-range": ETag,
+      });
+      assert.equal(status, 206);
+    });
+
+    it("should return 416 for an unsatisfiable range", async () => {
+      await assert.rejects(
+        download({ range: "bytes=11-" }),
+        (/** @type {any} */ err) =>
+          err.status === 416 &&
+          err.headers["Content-Range"] === "bytes */11" &&
+          err.body.errors[0].code === "range.not.satisfiable"
+      );
+    });
+  });
+
+  describe("conditional requests", () => {
+    let resourceKey;
+    const download = (headers, route = routes.download) =>
+      kit.download(route, {
+        params: { key: resourceKey, filename: "hello.txt" },
+        headers,
+      });
+
+    beforeEach(async () => {
+      resourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      });
+    });
+
+    it("should send the caching headers", async () => {
+      const { ETag, LastModified } = await kit.storage.head(
+        `${resourceKey}-hello.txt`
+      );
+      const { headers } = await download({});
+      assert.equal(headers.ETag, ETag);
+      assert.equal(headers["Last-Modified"], LastModified.toUTCString());
+      assert.equal(headers["Content-Length"], "11");
+      assert.equal(headers["Cache-Control"], "private, no-cache");
+
+      const route = kit.attachments.customRouteForDownload(undefined, {
+        cacheControl: "private, max-age=3600",
+      });
+      const { headers: routeHeaders } = await download({}, route);
+      assert.equal(routeHeaders["Cache-Control"], "private, max-age=3600");
+    });
+
+    it("should answer 304 without a body when the file did not change", async () => {
+      const { ETag, LastModified } = await kit.storage.head(
+        `${resourceKey}-hello.txt`
+      );
+      for (const headers of [
+        { "if-none-match": ETag },
+        { "if-none-match": `"other", W/${ETag}` },
+        { "if-modified-since": LastModified.toUTCString() },
+      ]) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await download(headers);
+        assert.equal(result.status, 304);
+        assert.equal(result.headers.ETag, ETag);
+        assert.equal(result.content.length, 0);
+      }
+    });
+
+    it("should send the file when it changed", async () => {
+      const past = new Date(Date.now() - 60 * 1000).toUTCString();
+      for (const headers of [
+        { "if-none-match": '"other"' },
+        { "if-modified-since": past },
+        // If-None-Match takes precedence over If-Modified-Since
+        {
+          "if-none-match": '"other"',
+          "if-modified-since": new Date().toUTCString(),
+        },
+      ]) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await download(headers);
+        assert.equal(result.status, 200);
+        assert.equal(result.content.toString(), "hello world");
+      }
+    });
+  });
+
+  describe("HEAD", () => {
+    it("should return the headers of the download without the file", async () => {
+      const resourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      });
+      const { ETag } = await kit.storage.head(`${resourceKey}-hello.txt`);
+      const route = kit.attachments.customRouteForDownloadHead();
+      const props = { params: { key: resourceKey, filename: "hello.txt" } };
+
+      const result = await kit.callRoute(route, {
+        ...props,
+        headers: { range: "bytes=0-4" },
+      });
+      assert.equal(result.status, 200);
+      assert.equal(result.body, undefined);
+      assert.equal(result.headers["Content-Length"], "11");
+      assert.equal(result.headers["Content-Type"], "text/plain");
+      assert.equal(result.headers.ETag, ETag);
+      assert.ok(result.headers["Last-Modified"]);
+
+      const notModified = await kit.callRoute(route, {
+        ...props,
+        headers: { "if-none-match": ETag },
+      });
+      assert.equal(notModified.status, 304);
+    });
+
+    it("should return 404 for a missing file", async () => {
+      let checked = false;
+      const route = kit.attachments.customRouteForDownloadHead(async () => {
+        checked = true;
+      });
+      await assert.rejects(
+        kit.callRoute(route, {
+          params: { key: uuid.v4(), filename: "missing.txt" },
+        }),
+        hasStatus(404)
+      );
+      assert.equal(checked, true);
+    });
+  });
+
+  describe("redirectToPresignedUrl", () => {
+    it("should refuse storages that cannot create presigned urls", () => {
+      assert.throws(
+        () =>
+          kit.attachments.customRouteForDownload(undefined, {
+            redirectToPresignedUrl: true,
+          }),
+        /not supported by the memory storage/
+      );
+    });
+
+    it("should redirect to a presigned url after the checks", async () => {
+      const presigned = [];
+      kit.storage.createPresignedGetUrl = async (key, options) => {
+        presigned.push({ key, options });
+        return `https://storage.example.com/${key}?signature=x`;
+      };
+      const checked = [];
+      const route = kit.attachments.customRouteForDownload(
+        async (_tx, _sriRequest, _key, filename) => {
+          checked.push(filename);
+        },
+        { redirectToPresignedUrl: true, presignedUrlExpiresInSeconds: 30 }
+      );
+      const resourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "report.pdf"),
+        files: [{ filename: "report.pdf", content: "%PDF-1.4" }],
+      });
+
+      const { status, headers, content } = await kit.download(route, {
+        params: { key: resourceKey, filename: "report.pdf" },
+      });
+      assert.equal(status, 302);
+      assert.equal(
+        headers.Location,
+        `https://storage.example.com/${resourceKey}-report.pdf?signature=x`
+      );
+      assert.equal(headers["Cache-Control"], "no-store");
+      assert.equal(content.length, 0);
+      assert.deepEqual(checked, ["report.pdf"]);
+      assert.deepEqual(presigned[0].options, {
+        expiresInSeconds: 30,
+        contentDisposition: 'inline; filename="report.pdf"',
+        contentType: "application/pdf",
+      });
+
+      await assert.rejects(
+        kit.download(route, {
+          params: { key: resourceKey, filename: "missing.pdf" },
+        }),
+        hasStatus(404)
+      );
+      assert.equal(presigned.length, 1);
+    });
+  });
+
+  describe("base64 uploads", () => {
+    let failUpload;
+    let base64Route;
+
+    beforeEach(() => {
+      failUpload = false;
+      base64Route = kit.attachments.customRouteForUploadBase64(
+        async (_tx, _sriRequest, file) => {
+          if (failUpload) {
+            throw new Error("runAfterUpload failed");
+          }
+          stored[file.attachment.key] = file;
+        },
+        { maximumFilesizeInMB: 1 }
+      );
+    });
+
+    const base64Body = (resourceKey, attachmentKey, file, content) => ({
+      ...uploadBody(resourceKey, attachmentKey, file)[0],
+      content: Buffer.from(content).toString("base64"),
+    });
+
+    it("should store base64 encoded files from a json body", async () => {
+      const [resourceKey, key1, key2] = [uuid.v4(), uuid.v4(), uuid.v4()];
+      const png = fs.readFileSync(localFilename);
+
+      const response = await kit.callRoute(base64Route, {
+        body: [
+          base64Body(resourceKey, key1, "hello.txt", "hello world"),
+          base64Body(resourceKey, key2, "profile.png", png),
+        ],
+      });
+
+      assert.deepEqual(
+        response.body.map(({ href }) => href),
+        [key1, key2].map((k) => `${type}/${resourceKey}/attachments/${k}`)
+      );
+      assert.equal(stored[key1].file.size, 11);
+      assert.equal(stored[key1].content, undefined);
+      assert.equal(stored[key2].file.detectedMimetype, "image/png");
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "hello world"
+      );
+      assert.ok(kit.getObject(`${resourceKey}-profile.png`).Body.equals(png));
+      assert.deepEqual(kit.getTmpObjectKeys(), []);
+    });
+
+    it("should refuse invalid or too large content", async () => {
+      const resourceKey = uuid.v4();
+      await assert.rejects(
+        kit.callRoute(base64Route, {
+          body: {
+            ...uploadBody(resourceKey, uuid.v4(), "hello.txt")[0],
+            content: "not base64!",
+          },
+        }),
+        isSriError(400, "invalid.json.content")
+      );
+      await assert.rejects(
+        kit.callRoute(base64Route, {
+          body: base64Body(
+            resourceKey,
+            uuid.v4(),
+            "big.txt",
+            Buffer.alloc(1024 * 1024 + 1)
+          ),
+        }),
+        isSriError(413, "file.too.large")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+
+    it("should remove all tmp files when runAfterUpload fails", async () => {
+      const resourceKey = uuid.v4();
+      failUpload = true;
+
+      await assert.rejects(
+        kit.callRoute(base64Route, {
+          body: [
+            base64Body(resourceKey, uuid.v4(), "hello.txt", "hello"),
+            base64Body(resourceKey, uuid.v4(), "world.txt", "world"),
+          ],
+        }),
+        /runAfterUpload failed/
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+      assert.deepEqual(stored, {});
+    });
+  });
+
+  describe("raw uploads", () => {
+    let rawUploadRoute;
+
+    beforeEach(() => {
+      rawUploadRoute = kit.attachments.customRouteForRawUpload(
+        async (_tx, _sriRequest, file) => {
+          stored[file.attachment.key] = file;
+        },
+        { maximumFilesizeInMB: 1, rejectMimeTypeMismatch: true }
+      );
+    });
+
+    it("should store the body of a PUT as an attachment", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      const content = fs.readFileSync(localFilename);
+
+      const response = await kit.send(rawUploadRoute, {
+        params: { key: resourceKey, attachmentKey },
+        headers: {
+          "content-type": "image/png",
+          "content-disposition": `attachment; filename="orange boy.png"`,
+          "content-description": "an orange boy",
+        },
+        content,
+      });
+
+      assert.deepEqual(response.body, [
+        {
+          status: 200,
+          href: `${type}/${resourceKey}/attachments/${attachmentKey}`,
+        },
+      ]);
+      const { file, attachment, resource } = stored[attachmentKey];
+      assert.equal(file.originalFilename, "orange boy.png");
+      assert.equal(file.detectedMimetype, "image/png");
+      assert.equal(file.size, content.length);
+      assert.equal(attachment.description, "an orange boy");
+      assert.equal(resource.href, `${type}/${resourceKey}`);
+      assert.deepEqual(kit.getObjectKeys(), [
+        `${resourceKey}-${file.filename}`,
+      ]);
+    });
+
+    it("should take the filename and description from the query", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+
+      await kit.send(rawUploadRoute, {
+        params: { key: resourceKey, attachmentKey },
+        query: { filename: "hello.txt", description: "hello" },
+        content: "hello world",
+      });
+
+      assert.equal(stored[attachmentKey].file.filename, "hello.txt");
+      assert.equal(stored[attachmentKey].attachment.description, "hello");
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "hello world"
+      );
+    });
+
+    it("should refuse raw uploads without filename, too large or of the wrong type", async () => {
+      const params = { key: uuid.v4(), attachmentKey: uuid.v4() };
+      await assert.rejects(
+        kit.send(rawUploadRoute, { params, content: "hello world" }),
+        isSriError(400, "missing.filename")
+      );
+      await assert.rejects(
+        kit.send(rawUploadRoute, {
+          params,
+          query: { filename: "big.txt" },
+          content: Buffer.alloc(1024 * 1024 + 1),
+        }),
+        hasStatus(413)
+      );
+      await assert.rejects(
+        kit.send(rawUploadRoute, {
+          params,
+          query: { filename: "fake.png" },
+          content: "MZ this is not an image",
+        }),
+        isSriError(415, "file.type.mismatch")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+      assert.deepEqual(stored, {});
+    });
+  });
+
+  describe("presigned uploads", () => {
+    let presignedPosts;
+    let presignRoute;
+    let finalizeRoute;
+
+    beforeEach(() => {
+      presignedPosts = [];
+      kit.storage.createPresignedPost = async (options) => {
+        presignedPosts.push(options);
+        return {
+          url: "https://storage.example.com/bucket",
+          fields: { key: options.Key, ...options.Fields },
+        };
+      };
+      presignRoute = kit.attachments.customRouteForPreSignedUpload({
+        maximumFilesizeInMB: 1,
+        deniedExtensions: ["exe"],
+      });
+      finalizeRoute = kit.attachments.customRouteForPreSignedUploadFinalize(
+        async (_tx, _sriRequest, file) => {
+          stored[file.attachment.key] = file;
+        }
+      );
+    });
+
+    // does what the storage does with a presigned POST
+    const uploadWithPresignedPost = ({ fields }, content) =>
+      kit.storage.putStream(fields.key, Readable.from([Buffer.from(content)]), {
+        contentType: fields["Content-Type"],
+        metadata: {
+          attachmentkey: fields["x-amz-meta-attachmentkey"],
+          resourcehref: fields["x-amz-meta-resourcehref"],
+        },
+      });
+
+    it("should presign, upload and finalize an attachment", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      const [attachmentJson] = uploadBody(
+        resourceKey,
+        attachmentKey,
+        "hello.txt"
+      );
+
+      const presigned = await kit.callRoute(presignRoute, {
+        body: { ...attachmentJson, size: 11 },
+      });
+      assert.equal(presigned.status, 200);
+      const [{ href, uploadKey, url }] = presigned.body;
+      assert.equal(href, `${type}/${resourceKey}/attachments/${attachmentKey}`);
+      assert.equal(url, "https://storage.example.com/bucket");
+      assert.ok(uploadKey.startsWith("presigned-"));
+      assert.deepEqual(presignedPosts[0].Conditions, [
+        { key: uploadKey },
+        ["content-length-range", 11, 11],
+        { "Content-Type": "text/plain; charset=utf-8" },
+        { "x-amz-meta-attachmentkey": attachmentKey },
+        { "x-amz-meta-resourcehref": `${type}/${resourceKey}` },
+      ]);
+      assert.equal(presignedPosts[0].Expires, 600);
+
+      await uploadWithPresignedPost(presigned.body[0], "hello world");
+      const finalized = await kit.callRoute(finalizeRoute, {
+        body: { ...attachmentJson, uploadKey },
+      });
+      assert.deepEqual(finalized.body, [{ status: 200, href }]);
+      assert.equal(stored[attachmentKey].file.filename, "hello.txt");
+      assert.equal(stored[attachmentKey].file.size, 11);
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Metadata.attachmentkey,
+        attachmentKey
+      );
+    });
+
+    it("should refuse to presign files that are too large or not allowed", async () => {
+      const resourceKey = uuid.v4();
+      await assert.rejects(
+        kit.callRoute(presignRoute, {
+          body: {
+            ...uploadBody(resourceKey, uuid.v4(), "big.txt")[0],
+            size: 2 * 1024 * 1024,
+          },
+        }),
+        hasStatus(413)
+      );
+      await assert.rejects(
+        kit.callRoute(presignRoute, {
+          body: {
+            ...uploadBody(resourceKey, uuid.v4(), "setup.exe")[0],
+            size: 10,
+          },
+        }),
+        hasStatus(415)
+      );
+      await assert.rejects(
+        kit.callRoute(presignRoute, {
+          body: uploadBody(resourceKey, uuid.v4(), "hello.txt")[0],
+        }),
+        isSriError(400, "invalid.json.size")
+      );
+      assert.equal(presignedPosts.length, 0);
+    });
+
+    it("should only finalize files uploaded for the same attachment", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      const [attachmentJson] = uploadBody(
+        resourceKey,
+        attachmentKey,
+        "hello.txt"
+      );
+      const presigned = await kit.callRoute(presignRoute, {
+        body: { ...attachmentJson, size: 11 },
+      });
+      const [{ uploadKey }] = presigned.body;
+
+      await assert.rejects(
+        kit.callRoute(finalizeRoute, {
+          body: { ...attachmentJson, uploadKey },
+        }),
+        isSriError(409, "missing.file")
+      );
+      await uploadWithPresignedPost(presigned.body[0], "hello world");
+
+      await assert.rejects(
+        kit.callRoute(finalizeRoute, {
+          body: { ...attachmentJson, uploadKey: `${resourceKey}-other.txt` },
+        }),
+        isSriError(400, "invalid.json.uploadKey")
+      );
+      await assert.rejects(
+        kit.callRoute(finalizeRoute, {
+          body: {
+            ...uploadBody(uuid.v4(), uuid.v4(), "hello.txt")[0],
+            uploadKey,
+          },
+        }),
+        isSriError(409, "presigned.upload.mismatch")
+      );
+      // the refused upload is not left behind on the storage
+      assert.deepEqual(kit.getObjectKeys(), []);
+      assert.deepEqual(stored, {});
+    });
+  });
+
+  describe("multipart uploads", () => {
+    let multipartRoutes;
+
+    beforeEach(() => {
+      const routesByPostfix = Object.fromEntries(
+        kit.attachments
+          .customRoutesForMultipartUpload(
+            async (_tx, _sriRequest, file) => {
+              stored[file.attachment.key] = file;
+            },
+            { deniedExtensions: ["exe"] }
+          )
+          .map((route) => [route.routePostfix, route])
+      );
+      multipartRoutes = {
+        start: routesByPostfix["/attachments/multipart"],
+        parts: routesByPostfix["/attachments/multipart/parts"],
+        list: routesByPostfix["/attachments/multipart/list"],
+        complete: routesByPostfix["/attachments/multipart/complete"],
+        abort: routesByPostfix["/attachments/multipart/abort"],
+      };
+    });
+
+    const startUpload = async (resourceKey, attachmentKey, filename, size) => {
+      const [attachmentJson] = uploadBody(resourceKey, attachmentKey, filename);
+      const started = await kit.callRoute(multipartRoutes.start, {
+        body: { ...attachmentJson, size },
+      });
+      const { uploadKey, uploadId } = started.body;
+      return { started, body: { ...attachmentJson, uploadKey, uploadId } };
+    };
+
+    const uploadPart = ({ uploadKey, uploadId }, partNumber, content) =>
+      kit.storage.uploadPart(
+        uploadKey,
+        uploadId,
+        partNumber,
+        Readable.from([Buffer.from(content)])
+      );
+
+    it("should upload an attachment in parts", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      const { started, body } = await startUpload(
+        resourceKey,
+        attachmentKey,
+        "hello.txt",
+        11
+      );
+      assert.equal(started.status, 200);
+      assert.equal(
+        started.body.href,
+        `${type}/${resourceKey}/attachments/${attachmentKey}`
+      );
+      assert.ok(body.uploadKey.startsWith("presigned-"));
+
+      const presigned = await kit.callRoute(multipartRoutes.parts, {
+        body: { ...body, partNumbers: [1, 2] },
+      });
+      assert.deepEqual(
+        presigned.body.parts.map(({ partNumber }) => partNumber),
+        [1, 2]
+      );
+      assert.ok(presigned.body.parts.every(({ url }) => url));
+
+      // upload the parts in the wrong order, as parallel uploads might do
+      await uploadPart(body, 2, "world");
+      await uploadPart(body, 1, "hello ");
+      const listed = await kit.callRoute(multipartRoutes.list, { body });
+      assert.deepEqual(
+        listed.body.parts.map(({ partNumber, size }) => [partNumber, size]),
+        [
+          [1, 6],
+          [2, 5],
+        ]
+      );
+
+      const completed = await kit.callRoute(multipartRoutes.complete, {
+        body,
+      });
+      assert.deepEqual(completed.body, [
+        { status: 200, href: started.body.href },
+      ]);
+      assert.equal(stored[attachmentKey].file.size, 11);
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "hello world"
+      );
+    });
+
+    it("should only complete with the given parts", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      const { body } = await startUpload(
+        resourceKey,
+        attachmentKey,
+        "hello.txt",
+        5
+      );
+      const etag = await uploadPart(body, 1, "hello");
+      await uploadPart(body, 2, " world");
+
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.complete, {
+          body: { ...body, parts: [{ partNumber: 1, etag: '"wrong"' }] },
+        }),
+        isSriError(400, "invalid.multipart.upload")
+      );
+      await kit.callRoute(multipartRoutes.complete, {
+        body: { ...body, parts: [{ partNumber: 1, etag }] },
+      });
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "hello"
+      );
+    });
+
+    it("should abort an upload", async () => {
+      const { body } = await startUpload(uuid.v4(), uuid.v4(), "hello.txt", 5);
+      await uploadPart(body, 1, "hello");
+
+      const aborted = await kit.callRoute(multipartRoutes.abort, { body });
+      assert.equal(aborted.status, 204);
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.list, { body }),
+        isSriError(404, "multipart.upload.not.found")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+
+    it("should only act on uploads started for the same attachment", async () => {
+      const { body } = await startUpload(uuid.v4(), uuid.v4(), "hello.txt", 5);
+      await uploadPart(body, 1, "hello");
+      const { uploadKey, uploadId } = body;
+      const otherBody = {
+        ...uploadBody(uuid.v4(), uuid.v4(), "hello.txt")[0],
+        uploadKey,
+        uploadId,
+      };
+
+      for (const route of [
+        multipartRoutes.parts,
+        multipartRoutes.list,
+        multipartRoutes.complete,
+        multipartRoutes.abort,
+      ]) {
+        // eslint-disable-next-line no-await-in-loop
+        await assert.rejects(
+          kit.callRoute(route, { body: { ...otherBody, partNumbers: [2] } }),
+          isSriError(409, "multipart.upload.mismatch")
+        );
+      }
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.abort, {
+          body: { ...body, uploadId: "some-other-upload" },
+        }),
+        isSriError(404, "multipart.upload.not.found")
+      );
+
+      const listed = await kit.callRoute(multipartRoutes.list, { body });
+      assert.equal(listed.body.parts.length, 1);
+    });
+
+    it("should refuse invalid multipart upload requests", async () => {
+      const resourceKey = uuid.v4();
+      await assert.rejects(
+        startUpload(resourceKey, uuid.v4(), "setup.exe", 10),
+        hasStatus(415)
+      );
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.start, {
+          body: uploadBody(resourceKey, uuid.v4(), "hello.txt"),
+        }),
+        isSriError(400, "invalid.json.multiple.files")
+      );
+
+      const { body } = await startUpload(
+        resourceKey,
+        uuid.v4(),
+        "hello.txt",
+        5
+      );
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.parts, { body }),
+        isSriError(400, "invalid.json.partNumbers")
+      );
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.parts, {
+          body: { ...body, uploadId: undefined, partNumbers: [1] },
+        }),
+        isSriError(400, "invalid.json.uploadId")
+      );
+      await assert.rejects(
+        kit.callRoute(multipartRoutes.complete, { body }),
+        isSriError(409, "missing.file")
+      );
+    });
+  });
+
+  describe("tus uploads", () => {
+    const tusResumable = { "tus-resumable": "1.0.0" };
+    let tusRoutes;
+
+    beforeEach(() => {
+      const routesByMethod = Object.fromEntries(
+        kit.attachments
+          .customRoutesForTusUpload(async (_tx, _sriRequest, file) => {
+            stored[file.attachment.key] = file;
+          })
+          .map((route) => [route.httpMethods[0], route])
+      );
+      tusRoutes = {
+        create: routesByMethod.POST,
+        head: routesByMethod.HEAD,
+        patch: routesByMethod.PATCH,
+        terminate: routesByMethod.DELETE,
+      };
+    });
+
+    const encodeMetadata = (metadata) =>
+      Object.entries(metadata)
+        .map(([k, v]) => `${k} ${Buffer.from(v).toString("base64")}`)
+        .join(",");
+
+    const createUpload = async (resourceKey, attachmentKey, uploadLength) => {
+      const { attachment, resource } = uploadBody(
+        resourceKey,
+        attachmentKey,
+        "hello.txt"
+      )[0];
+      const created = await kit.callRoute(tusRoutes.create, {
+        headers: {
+          ...tusResumable,
+          "upload-length": `${uploadLength}`,
+          "upload-metadata": encodeMetadata({
+            filename: "hello.txt",
+            filetype: "text/plain",
+            body: JSON.stringify({ attachment, resource }),
+          }),
+        },
+      });
+      const uploadKey = decodeURI(created.headers.Location.split("/").pop());
+      return { created, params: { uploadKey } };
+    };
+
+    const patch = (params, offset, content) =>
+      kit.send(tusRoutes.patch, {
+        params,
+        headers: {
+          ...tusResumable,
+          "content-type": "application/offset+octet-stream",
+          "upload-offset": `${offset}`,
+        },
+        content,
+      });
+
+    it("should upload an attachment in chunks and resume from the offset", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      const firstChunk = Buffer.alloc(5 * 1024 * 1024, "a");
+      const { created, params } = await createUpload(
+        resourceKey,
+        attachmentKey,
+        firstChunk.length + 5
+      );
+      assert.equal(created.status, 201);
+      assert.ok(
+        created.headers.Location.startsWith(`${type}/attachments/tus/`)
+      );
+
+      const head = await kit.callRoute(tusRoutes.head, {
+        params,
+        headers: tusResumable,
+      });
+      assert.equal(head.headers["Upload-Offset"], "0");
+      assert.equal(head.headers["Upload-Length"], `${firstChunk.length + 5}`);
+
+      const first = await patch(params, 0, firstChunk);
+      assert.equal(first.status, 204);
+      assert.equal(first.headers["Upload-Offset"], `${firstChunk.length}`);
+      assert.deepEqual(stored, {});
+
+      await assert.rejects(
+        patch(params, 0, "hello"),
+        isSriError(409, "upload.offset.mismatch")
+      );
+      const resumed = await kit.callRoute(tusRoutes.head, {
+        params,
+        headers: tusResumable,
+      });
+      const last = await patch(
+        params,
+        resumed.headers["Upload-Offset"],
+        "hello"
+      );
+      assert.equal(last.headers["Upload-Offset"], `${firstChunk.length + 5}`);
+
+      assert.equal(stored[attachmentKey].file.size, firstChunk.length + 5);
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.subarray(-5).toString(),
+        "hello"
+      );
+      await assert.rejects(
+        kit.callRoute(tusRoutes.head, { params, headers: tusResumable }),
+        hasStatus(404)
+      );
+    });
+
+    it("should only report the offset once the chunk has been stored", async () => {
+      const { params } = await createUpload(uuid.v4(), uuid.v4(), 5);
+      const { uploadPart } = kit.storage;
+      kit.storage.uploadPart = async () => {
+        throw new Error("storage unavailable");
+      };
+
+      await assert.rejects(patch(params, 0, "hello"), /storage unavailable/);
+      kit.storage.uploadPart = uploadPart;
+      const head = await kit.callRoute(tusRoutes.head, {
+        params,
+        headers: tusResumable,
+      });
+      assert.equal(head.headers["Upload-Offset"], "0");
+      assert.deepEqual(stored, {});
+
+      const retried = await patch(params, 0, "hello");
+      assert.equal(retried.headers["Upload-Offset"], "5");
+      assert.equal(Object.keys(stored).length, 1);
+    });
+
+    it("should terminate an upload", async () => {
+      const { params } = await createUpload(uuid.v4(), uuid.v4(), 5);
+
+      const terminated = await kit.callRoute(tusRoutes.terminate, {
+        params,
+        headers: tusResumable,
+      });
+      assert.equal(terminated.status, 204);
+      await assert.rejects(
+        kit.callRoute(tusRoutes.head, { params, headers: tusResumable }),
+        isSriError(404, "tus.upload.not.found")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+
+    it("should refuse invalid tus requests", async () => {
+      await assert.rejects(
+        kit.callRoute(tusRoutes.create, {
+          headers: { "upload-length": "5" },
+        }),
+        (/** @type {any} */ err) =>
+          err.status === 412 && err.headers["Tus-Version"] === "1.0.0"
+      );
+      await assert.rejects(
+        kit.callRoute(tusRoutes.create, {
+          headers: {
+            ...tusResumable,
+            "upload-length": "5",
+            "upload-metadata": "body notbase64!",
+          },
+        }),
+        isSriError(400, "invalid.upload.metadata")
+      );
+
+      const { params } = await createUpload(uuid.v4(), uuid.v4(), 10);
+      await assert.rejects(
+        patch(params, 0, "hello"),
+        isSriError(400, "upload.chunk.too.small")
+      );
+      await assert.rejects(
+        patch(params, 0, "hello world"),
+        isSriError(400, "upload.length.exceeded")
+      );
+      await assert.rejects(
+        kit.callRoute(tusRoutes.head, {
+          params: { uploadKey: `${uuid.v4()}-hello.txt` },
+          headers: tusResumable,
+        }),
+        hasStatus(404)
+      );
+    });
+  });
+
+  describe("source url imports", () => {
+    let server;
+    let baseUrl;
+    let importRoute;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === "/files/hello.txt") {
+          res.writeHead(200, { "Content-Type": "text/plain" });
+          res.end("hello world");
+        } else if (req.url === "/files/big.txt") {
+          // no Content-Length, so the size is only known while downloading
+          res.writeHead(200, { "Content-Type": "text/plain" });
+          res.write("0123456789");
+          res.end("0123456789!");
+        } else if (req.url === "/redirect") {
+          res.writeHead(302, { Location: "/files/hello.txt" });
+          res.end();
+        } else if (req.url === "/redirect-to-localhost") {
+          res.writeHead(302, {
+            Location: `http://localhost:${
+              server.address().port
+            }/files/hello.txt`,
+          });
+          res.end();
+        } else if (req.url === "/slow") {
+          // never answer
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      server.listen(0, "127.0.0.1");
+      await new Promise((resolve) => server.once("listening", resolve));
+      const { port } = /** @type {import("net").AddressInfo} */ (
+        server.address()
+      );
+      baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      importRoute = kit.attachments.customRouteForUpload(
+        async (_tx, _sriRequest, file) => {
+          stored[file.attachment.key] = file;
+        },
+        undefined,
+        {
+          maximumFilesizeInMB: 20 / (1024 * 1024),
+          sourceUrlAllowedHosts: ["127.0.0.1"],
+          sourceUrlTimeoutInSeconds: 0.2,
+        }
+      );
+    });
+
+    const importBody = (resourceKey, attachmentKey, sourceUrl) => ({
+      sourceUrl,
+      attachment: { key: attachmentKey, description: "an imported file" },
+      resource: { href: `${type}/${resourceKey}` },
+    });
+
+    it("should download the file and pass it to runAfterUpload", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+
+      const response = await kit.upload(importRoute, {
+        body: [importBody(resourceKey, attachmentKey, `${baseUrl}/redirect`)],
+      });
+
+      assert.deepEqual(response, [
+        {
+          status: 200,
+          href: `${type}/${resourceKey}/attachments/${attachmentKey}`,
+        },
+      ]);
+      assert.equal(stored[attachmentKey].file.filename, "redirect");
+      assert.equal(stored[attachmentKey].file.mimetype, "text/plain");
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-redirect`]);
+      assert.equal(
+        kit.getObject(`${resourceKey}-redirect`).Body.toString(),
+        "hello world"
+      );
+    });
+
+    it("should name the file after the url or the given file", async () => {
+      const resourceKey = uuid.v4();
+
+      await kit.upload(importRoute, {
+        body: [
+          importBody(resourceKey, uuid.v4(), `${baseUrl}/files/hello.txt`),
+          {
+            ...importBody(resourceKey, uuid.v4(), `${baseUrl}/redirect`),
+            file: "renamed.txt",
+          },
+        ],
+      });
+      assert.deepEqual(kit.getObjectKeys().sort(), [
+        `${resourceKey}-hello.txt`,
+        `${resourceKey}-renamed.txt`,
+      ]);
+    });
+
+    it("should only import from the allowed hosts", async () => {
+      const resourceKey = uuid.v4();
+      const defaultRoute = kit.attachments.customRouteForUpload(async () => {});
+
+      await assert.rejects(
+        kit.upload(defaultRoute, {
+          body: importBody(
+            resourceKey,
+            uuid.v4(),
+            `${baseUrl}/files/hello.txt`
+          ),
+        }),
+        isSriError(400, "source.url.not.allowed")
+      );
+      await assert.rejects(
+        kit.upload(importRoute, {
+          body: importBody(
+            resourceKey,
+            uuid.v4(),
+            `${baseUrl}/redirect-to-localhost`
+          ),
+        }),
+        isSriError(400, "source.url.not.allowed")
+      );
+      await assert.rejects(
+        kit.upload(importRoute, {
+          body: importBody(resourceKey, uuid.v4(), "file:///etc/passwd"),
+        }),
+        isSriError(400, "invalid.json.sourceUrl")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+
+    it("should refuse files that fail to download and remove all tmp files", async () => {
+      const resourceKey = uuid.v4();
+      const importWith = (sourceUrl) =>
+        kit.upload(importRoute, {
+          body: [
+            importBody(resourceKey, uuid.v4(), `${baseUrl}/files/hello.txt`),
+            importBody(resourceKey, uuid.v4(), sourceUrl),
+          ],
+        });
+
+      await assert.rejects(
+        importWith(`${baseUrl}/files/missing.txt`),
+        isSriError(502, "source.url.failed")
+      );
+      await assert.rejects(
+        importWith(`${baseUrl}/files/big.txt`),
+        isSriError(413, "file.too.large")
+      );
+      await assert.rejects(
+        importWith(`${baseUrl}/slow`),
+        isSriError(504, "source.url.timeout")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+      assert.deepEqual(stored, {});
+    });
+  });
+
+  describe("metadata updates", () => {
+    let updateRoute;
+    let resourceKey;
+    let attachmentKey;
+
+    beforeEach(async () => {
+      updateRoute = kit.attachments.customRouteForUpdate(
+        async (_tx, _sriRequest, _resourceKey, key) =>
+          stored[key].file.filename,
+        async (_tx, _sriRequest, att) => {
+          const { file, attachment } = stored[att.attachment.key];
+          stored[att.attachment.key] = {
+            ...stored[att.attachment.key],
+            file: { ...file, filename: att.file },
+            attachment: { ...attachment, ...att.attachment },
+            previousFile: att.previousFile,
+          };
+        },
+        { deniedExtensions: ["exe"] }
+      );
+      [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, attachmentKey, "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      });
+    });
+
+    it("should only update the metadata when the filename stays the same", async () => {
+      const object = kit.getObject(`${resourceKey}-hello.txt`);
+
+      const result = await kit.callRoute(updateRoute, {
+        params: { key: resourceKey, attachmentKey },
+        body: { file: "hello.txt", attachment: { description: "updated" } },
+      });
+
+      assert.deepEqual(result, {
+        status: 200,
+        body: {
+          status: 200,
+          href: `${type}/${resourceKey}/attachments/${attachmentKey}`,
+        },
+      });
+      assert.equal(stored[attachmentKey].attachment.description, "updated");
+      assert.equal(stored[attachmentKey].previousFile, "hello.txt");
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+      assert.equal(kit.getObject(`${resourceKey}-hello.txt`), object);
+    });
+
+    it("should rename the file on the storage when the filename changes", async () => {
+      await kit.callRoute(updateRoute, {
+        params: { key: resourceKey, attachmentKey },
+        body: { file: "hello world.txt" },
+      });
+
+      assert.equal(stored[attachmentKey].file.filename, "hello_world.txt");
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello_world.txt`]);
+      const object = kit.getObject(`${resourceKey}-hello_world.txt`);
+      assert.equal(object.Body.toString(), "hello world");
+      assert.equal(object.Metadata.attachmentkey, attachmentKey);
+    });
+
+    it("should refuse a filename of another attachment or of a type that is not allowed", async () => {
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "other.txt"),
+        files: [{ filename: "other.txt", content: "other" }],
+      });
+
+      await assert.rejects(
+        kit.callRoute(updateRoute, {
+          params: { key: resourceKey, attachmentKey },
+          body: { file: "other.txt" },
+        }),
+        isSriError(409, "file.already.exists")
+      );
+      await assert.rejects(
+        kit.callRoute(updateRoute, {
+          params: { key: resourceKey, attachmentKey },
+          body: { file: "hello.exe" },
+        }),
+        isSriError(415, "file.type.not.allowed")
+      );
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "hello world"
+      );
+    });
+
+    it("should refuse bodies that are not only metadata", async () => {
+      const update = (body) =>
+        kit.callRoute(updateRoute, {
+          params: { key: resourceKey, attachmentKey },
+          body,
+        });
+
+      await assert.rejects(
+        update({ file: "hello.txt", content: "aGVsbG8=" }),
+        isSriError(400, "invalid.json.metadata")
+      );
+      await assert.rejects(
+        update([{ file: "hello.txt" }]),
+        isSriError(400, "invalid.json.metadata")
+      );
+      await assert.rejects(
+        update({ attachment: { key: uuid.v4() } }),
+        isSriError(400, "invalid.json.attachment.key")
+      );
+      await assert.rejects(
+        update({ file: "" }),
+        isSriError(400, "invalid.json.file")
+      );
+    });
+  });
+
+  describe("renames", () => {
+    let renameRoute;
+    let resourceKey;
+    let attachmentKey;
+
+    beforeEach(async () => {
+      renameRoute = kit.attachments.customRouteForRename(
+        async (_tx, _sriRequest, _resourceKey, key) =>
+          stored[key].file.filename,
+        async (_tx, _sriRequest, att) => {
+          stored[att.attachment.key].file.filename = att.file;
+          stored[att.attachment.key].previousFile = att.previousFile;
+        }
+      );
+      [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, attachmentKey, "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      });
+    });
+
+    it("should rename the file and inform runAfterRename", async () => {
+      const result = await kit.callRoute(renameRoute, {
+        params: { key: resourceKey, attachmentKey },
+        body: { file: "hello world.txt" },
+      });
+
+      assert.equal(result.status, 200);
+      assert.equal(stored[attachmentKey].file.filename, "hello_world.txt");
+      assert.equal(stored[attachmentKey].previousFile, "hello.txt");
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello_world.txt`]);
+      const object = kit.getObject(`${resourceKey}-hello_world.txt`);
+      assert.equal(object.Body.toString(), "hello world");
+      assert.equal(object.Metadata.attachmentkey, attachmentKey);
+    });
+
+    it("should rename files via the programmatic api", async () => {
+      const sriRequest = kit.createSriRequest({});
+
+      const newFilename = await kit.attachments.renameAttachment(
+        sriRequest,
+        resourceKey,
+        attachmentKey,
+        "hello.txt",
+        "bonjour.txt"
+      );
+
+      assert.equal(newFilename, "bonjour.txt");
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-bonjour.txt`]);
+      await assert.rejects(
+        kit.attachments.renameAttachment(
+          sriRequest,
+          resourceKey,
+          attachmentKey,
+          "hello.txt",
+          "hallo.txt"
+        ),
+        isSriError(404, "file.not.found")
+      );
+    });
+
+    it("should refuse to overwrite another attachment", async () => {
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, uuid.v4(), "other.txt"),
+        files: [{ filename: "other.txt", content: "other" }],
+      });
+
+      await assert.rejects(
+        kit.callRoute(renameRoute, {
+          params: { key: resourceKey, attachmentKey },
+          body: { file: "other.txt" },
+        }),
+        isSriError(409, "file.already.exists")
+      );
+      await assert.rejects(
+        kit.callRoute(renameRoute, {
+          params: { key: resourceKey, attachmentKey },
+          body: {},
+        }),
+        isSriError(400, "missing.json.file")
+      );
+      assert.deepEqual(kit.getObjectKeys().sort(), [
+        `${resourceKey}-hello.txt`,
+        `${resourceKey}-other.txt`,
+      ]);
+    });
+  });
+
+  describe("moves", () => {
+    let checks;
+    let moveKit;
+    let moveRoute;
+    let moved;
+    let deleted;
+    let failMove;
+    const sourceAttachmentKey = uuid.v4();
+
+    beforeEach(async () => {
+      checks = [];
+      moved = {};
+      deleted = [];
+      failMove = false;
+      moveKit = await attachmentsTestKitFactory({
+        security: {
+          plugin: {
+            check: async (_tx, _sriRequest, elements, ability) => {
+              elements.forEach(({ permalink }) =>
+                checks.push(`${ability} ${permalink}`)
+              );
+            },
+          },
+          abilityPrepend: "",
+          abilityAppend: "",
+        },
+      });
+      moveRoute = moveKit.attachments.customRouteForUploadMove(
+        async (_tx, _sriRequest, att) => {
+          if (failMove) {
+            throw new Error("runAfterUpload failed");
+          }
+          for (const file of Array.isArray(att) ? att : [att]) {
+            moved[file.attachment.key] = file;
+          }
+        },
+        undefined,
+        {
+          afterDelete: async (_tx, _sriRequest, resourceKey, attachmentKey) => {
+            deleted.push([resourceKey, attachmentKey]);
+          },
+        }
+      );
+      await moveKit.storage.putStream(
+        "source-hello.txt",
+        Readable.from(["hello world"]),
+        { metadata: { attachmentkey: sourceAttachmentKey } }
+      );
+    });
+
+    const moveBody = (resourceKey, attachmentKey) => ({
+      ...uploadBody(resourceKey, attachmentKey, undefined)[0],
+      fileHref: `${type}/source/attachments/hello.txt`,
+    });
+
+    it("should move the file after runAfterUpload and check the abilities", async () => {
+      const [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+
+      const result = await moveKit.callRoute(moveRoute, {
+        body: moveBody(resourceKey, attachmentKey),
+      });
+
+      assert.deepEqual(result.body, [
+        {
+          status: 200,
+          href: `${type}/${resourceKey}/attachments/${attachmentKey}`,
+        },
+      ]);
+      assert.equal(moved[attachmentKey].file.filename, "hello.txt");
+      assert.deepEqual(deleted, [["source", sourceAttachmentKey]]);
+      assert.deepEqual(moveKit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+      assert.equal(
+        moveKit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "hello world"
+      );
+      assert.deepEqual(checks.sort(), [
+        `create ${type}/${resourceKey}`,
+        `delete ${type}/source`,
+        `read ${type}/source`,
+      ]);
+    });
+
+    it("should leave the original in place when the move fails", async () => {
+      failMove = true;
+
+      await assert.rejects(
+        moveKit.callRoute(moveRoute, { body: moveBody(uuid.v4(), uuid.v4()) }),
+        /runAfterUpload failed/
+      );
+      await assert.rejects(
+        moveKit.callRoute(moveRoute, { body: moveBody("source", uuid.v4()) }),
+        isSriError(400, "invalid.json.fileHref")
+      );
+      assert.deepEqual(moveKit.getObjectKeys(), ["source-hello.txt"]);
+      assert.deepEqual(deleted, []);
+    });
+
+    it("should remove the moved file when the original can not be deleted", async () => {
+      const { delete: deleteObjects } = moveKit.storage;
+      moveKit.storage.delete = async (keys) => {
+        if (keys.includes("source-hello.txt")) {
+          throw new Error("storage unavailable");
+        }
+        return deleteObjects(keys);
+      };
+
+      await assert.rejects(
+        moveKit.callRoute(moveRoute, { body: moveBody(uuid.v4(), uuid.v4()) }),
+        isSriError(500, "delete.failed")
+      );
+      assert.deepEqual(moveKit.getObjectKeys(), ["source-hello.txt"]);
+      assert.deepEqual(moveKit.getTmpObjectKeys(), []);
+    });
+
+    it("should require an afterDelete", () => {
+      assert.throws(
+        () =>
+          moveKit.attachments.customRouteForUploadMove(
+            async () => {},
+            undefined,
+            {}
+          ),
+        /afterDelete is required/
+      );
+    });
+  });
+
+  describe("If-Match", () => {
+    let resourceKey;
+    let attachmentKey;
+    let etag;
+
+    beforeEach(async () => {
+      [resourceKey, attachmentKey] = [uuid.v4(), uuid.v4()];
+      await kit.upload(routes.upload, {
+        body: uploadBody(resourceKey, attachmentKey, "hello.txt"),
+        files: [{ filename: "hello.txt", content: "hello world" }],
+      });
+      const getRoute = kit.attachments.customRouteForGet(
+        async (_tx, _sriRequest, _resourceKey, key) => ({
+          key,
+          name: stored[key].file.filename,
+        })
+      );
+      const result = await kit.callRoute(getRoute, {
+        params: { key: resourceKey, attachmentKey },
+      });
+      etag = result.headers.ETag;
+    });
+
+    const isPreconditionFailed = isSriError(412, "precondition.failed");
+
+    it("should expose the ETag in the get route", () => {
+      assert.equal(etag, kit.getObject(`${resourceKey}-hello.txt`).ETag);
+    });
+
+    it("should only replace an attachment with a matching ETag", async () => {
+      const replace = (headers, filename) =>
+        kit.upload(routes.upload, {
+          headers,
+          body: uploadBody(resourceKey, attachmentKey, filename),
+          files: [{ filename, content: `new ${filename}` }],
+        });
+
+      await assert.rejects(
+        replace({ "if-match": '"outdated"' }, "hello2.txt"),
+        isPreconditionFailed
+      );
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+
+      await replace({ "if-match": etag }, "hello.txt");
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "new hello.txt"
+      );
+      await assert.rejects(
+        replace({ "if-match": etag }, "hello.txt"),
+        isPreconditionFailed
+      );
+    });
+
+    it("should only replace with a matching ETag in the base64 and copy routes", async () => {
+      const base64Route = kit.attachments.customRouteForUploadBase64(
+        async (_tx, _sriRequest, file) => {
+          stored[file.attachment.key] = file;
+        }
+      );
+      const base64Upload = (headers) =>
+        kit.callRoute(base64Route, {
+          headers,
+          body: {
+            ...uploadBody(resourceKey, attachmentKey, "hello.txt")[0],
+            content: Buffer.from("base64").toString("base64"),
+          },
+        });
+
+      await assert.rejects(
+        base64Upload({ "if-match": '"outdated"' }),
+        isPreconditionFailed
+      );
+      await base64Upload({ "if-match": etag });
+      const { ETag } = kit.getObject(`${resourceKey}-hello.txt`);
+      assert.notEqual(ETag, etag);
+
+      const otherResourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(otherResourceKey, uuid.v4(), "hello.txt"),
+        files: [{ filename: "hello.txt", content: "copied" }],
+      });
+      const copy = (headers) =>
+        kit.callRoute(routes.copy, {
+          headers,
+          body: {
+            ...uploadBody(resourceKey, attachmentKey, undefined)[0],
+            fileHref: `${type}/${otherResourceKey}/attachments/hello.txt`,
+          },
+        });
+
+      await assert.rejects(copy({ "if-match": etag }), isPreconditionFailed);
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "base64"
+      );
+      await copy({ "if-match": ETag });
+      assert.equal(
+        kit.getObject(`${resourceKey}-hello.txt`).Body.toString(),
+        "copied"
+      );
+      assert.deepEqual(kit.getTmpObjectKeys(), []);
+    });
+
+    it("should refuse a raw upload of a new attachment with If-Match", async () => {
+      const rawUploadRoute = kit.attachments.customRouteForRawUpload(
+        async () => {}
+      );
+
+      await assert.rejects(
+        kit.send(rawUploadRoute, {
+          params: { key: resourceKey, attachmentKey: uuid.v4() },
+          headers: {
+            "content-disposition": 'attachment; filename="new.txt"',
+            "if-match": "*",
+          },
+          content: "new",
+        }),
+        isPreconditionFailed
+      );
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+    });
+
+    it("should only update and delete with a matching ETag", async () => {
+      const updateRoute = kit.attachments.customRouteForUpdate(
+        async (_tx, _sriRequest, _resourceKey, key) =>
+          stored[key].file.filename,
+        async () => {}
+      );
+      const params = { key: resourceKey, attachmentKey };
+
+      await assert.rejects(
+        kit.callRoute(updateRoute, {
+          params,
+          headers: { "if-match": '"outdated"' },
+          body: { attachment: { description: "updated" } },
+        }),
+        isPreconditionFailed
+      );
+      await kit.callRoute(updateRoute, {
+        params,
+        headers: { "if-match": etag },
+        body: { attachment: { description: "updated" } },
+      });
+      await assert.rejects(
+        kit.callRoute(routes.delete, {
+          params,
+          headers: { "if-match": '"outdated"' },
+        }),
+        isPreconditionFailed
+      );
+      assert.deepEqual(kit.getObjectKeys(), [`${resourceKey}-hello.txt`]);
+
+      const result = await kit.callRoute(routes.delete, {
+        params,
+        headers: { "if-match": etag },
+      });
+      assert.equal(result.status, 204);
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+  });
+
+  describe("lists", () => {
+    let resourceKey;
+    let attachmentKeys;
+
+    beforeEach(async () => {
+      resourceKey = uuid.v4();
+      attachmentKeys = [uuid.v4(), uuid.v4()];
+      await kit.upload(routes.upload, {
+        body: [
+          ...uploadBody(resourceKey, attachmentKeys[0], "two.txt"),
+          ...uploadBody(resourceKey, attachmentKeys[1], "one.txt"),
+        ],
+        files: [
+          { filename: "two.txt", content: "second file" },
+          { filename: "one.txt", content: "first" },
+        ],
+      });
+    });
+
+    it("should list the attachments returned by the lister", async () => {
+      let listed;
+      const route = kit.attachments.customRouteForList(
+        async (_tx, _sriRequest, key) => {
+          listed = key;
+          return Object.values(stored).map(({ file, attachment }) => ({
+            href: `${type}/${key}/attachments/${attachment.key}`,
+            key: attachment.key,
+            name: file.filename,
+          }));
+        }
+      );
+
+      const result = await kit.callRoute(route, {
+        params: { key: resourceKey },
+      });
+
+      assert.equal(listed, resourceKey);
+      assert.equal(result.status, 200);
+      assert.equal(result.body.$$meta.count, 2);
+      assert.deepEqual(
+        result.body.results.map(({ href, $$expanded }) => [
+          href,
+          $$expanded.name,
+        ]),
+        [
+          [
+            `${type}/${resourceKey}/attachments/${attachmentKeys[0]}`,
+            "two.txt",
+          ],
+          [
+            `${type}/${resourceKey}/attachments/${attachmentKeys[1]}`,
+            "one.txt",
+          ],
+        ]
+      );
+    });
+
+    it("should list the files on the storage without a lister", async () => {
+      const route = kit.attachments.customRouteForList();
+
+      const result = await kit.callRoute(route, {
+        params: { key: resourceKey },
+      });
+
+      assert.equal(result.body.$$meta.count, 2);
+      assert.deepEqual(
+        result.body.results.map(({ href, $$expanded }) => [
+          href,
+          $$expanded.key,
+          $$expanded.name,
+          $$expanded.size,
+        ]),
+        [
+          [
+            `${type}/${resourceKey}/attachments/${attachmentKeys[1]}`,
+            attachmentKeys[1],
+            "one.txt",
+            5,
+          ],
+          [
+            `${type}/${resourceKey}/attachments/${attachmentKeys[0]}`,
+            attachmentKeys[0],
+            "two.txt",
+            11,
+          ],
+        ]
+      );
+      const other = await kit.callRoute(route, {
+        params: { key: uuid.v4() },
+      });
+      assert.deepEqual(other.body, { $$meta: { count: 0 }, results: [] });
+    });
+  });
+
+  describe("zip expansion", () => {
+    /**
+     * @param {Record<string, string>} files
+     * @returns {Promise<Buffer>} a zip archive with the files, which can have names with "../"
+     *  in them, unlike the zips that are written by createZipStream
+     */
+    const zipOf = async (files) => {
+      const chunks = [];
+      const zip = createZipStream(
+        Object.entries(files).map(([name, content]) => ({
+          name: name.replace(/\.\.\//g, "__/"),
+          open: async () => Readable.from([Buffer.from(content)]),
+        }))
+      );
+      for await (const chunk of zip) {
+        chunks.push(chunk);
+      }
+      const archive = Buffer.concat(chunks);
+      Object.keys(files)
+        .filter((name) => name.includes("../"))
+        .forEach((name) => {
+          const placeholder = name.replace(/\.\.\//g, "__/");
+          for (
+            let pos = archive.indexOf(placeholder);
+            pos >= 0;
+            pos = archive.indexOf(placeholder, pos + 1)
+          ) {
+            archive.write(name, pos);
+          }
+        });
+      return archive;
+    };
+
+    const uploadZip = async (route, resourceKey, files) =>
+      kit.upload(route, {
+        body: {
+          file: "worksheets.zip",
+          expandZip: true,
+          attachment: { description: "a worksheet" },
+          resource: { href: `${type}/${resourceKey}` },
+        },
+        files: [{ filename: "worksheets.zip", content: await zipOf(files) }],
+      });
+
+    it("should store every file in the zip as a separate attachment", async () => {
+      const resourceKey = uuid.v4();
+      const response = await uploadZip(routes.upload, resourceKey, {
+        "week 1/worksheet.txt": "first worksheet",
+        "week 2/worksheet.txt": "second worksheet",
+        "solutions.txt": "solutions",
+      });
+
+      assert.equal(response.length, 3);
+      const uploads = response.map(({ href }) => stored[href.split("/").pop()]);
+      assert.deepEqual(
+        uploads.map(({ file, attachment }) => [
+          file.filename,
+          attachment.description,
+        ]),
+        [
+          ["worksheet.txt", "a worksheet"],
+          ["worksheet_(2).txt", "a worksheet"],
+          ["solutions.txt", "a worksheet"],
+        ]
+      );
+      assert.equal(
+        kit.getObject(`${resourceKey}-worksheet_(2).txt`).Body.toString(),
+        "second worksheet"
+      );
+      assert.deepEqual(kit.getObjectKeys().sort(), [
+        `${resourceKey}-solutions.txt`,
+        `${resourceKey}-worksheet.txt`,
+        `${resourceKey}-worksheet_(2).txt`,
+      ]);
+    });
+
+    it("should refuse a zip with a path outside of the zip", async () => {
+      await assert.rejects(
+        uploadZip(routes.upload, uuid.v4(), {
+          "worksheet.txt": "worksheet",
+          "../../evil.txt": "evil",
+        }),
+        isSriError(400, "zip.invalid.path")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+      assert.deepEqual(stored, {});
+    });
+
+    it("should refuse a zip with too many or too large files", async () => {
+      const runAfterUpload = async (_tx, _sriRequest, file) => {
+        stored[file.attachment.key] = file;
+      };
+      const files = { "a.txt": "first file", "b.txt": "second file" };
+
+      await assert.rejects(
+        uploadZip(
+          kit.attachments.customRouteForUpload(runAfterUpload, undefined, {
+            zipMaxEntries: 1,
+          }),
+          uuid.v4(),
+          files
+        ),
+        isSriError(413, "zip.too.many.files")
+      );
+      await assert.rejects(
+        uploadZip(
+          kit.attachments.customRouteForUpload(runAfterUpload, undefined, {
+            zipMaxUncompressedSizeInMB: 20 / 1024 / 1024,
+          }),
+          uuid.v4(),
+          files
+        ),
+        isSriError(413, "zip.too.large")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+
+    it("should refuse a file that is not a zip", async () => {
+      await assert.rejects(
+        kit.upload(routes.upload, {
+          body: {
+            file: "worksheets.zip",
+            expandZip: true,
+            attachment: {},
+            resource: { href: `${type}/${uuid.v4()}` },
+          },
+          files: [{ filename: "worksheets.zip", content: "not a zip" }],
+        }),
+        isSriError(400, "invalid.zip")
+      );
+      assert.deepEqual(kit.getObjectKeys(), []);
+    });
+  });
+
+  describe("zip downloads", () => {
+    /**
+     * Reads the names and contents of the files in a zip archive.
+     *
+     * @param {Buffer} zip
+     * @returns {Promise<Record<string, string>>}
+     */
+    const unzip = async (zip) => {
+      const entries = await readZipDirectory(
+        zip.length,
+        async ({ start, end }) => Readable.from([zip.subarray(start, end + 1)])
+      );
+      /** @type {Record<string, string>} */
+      const files = {};
+      for (const entry of entries) {
+        const chunks = [];
+        // eslint-disable-next-line no-await-in-loop
+        for await (const chunk of await entry.open()) {
+          chunks.push(chunk);
+        }
+        files[entry.name] = Buffer.concat(chunks).toString();
+      }
+      return files;
+    };
+
+    let zipRoutes;
+    let resourceKey;
+
+    beforeEach(async () => {
+      zipRoutes = kit.attachments.customRoutesForZipDownload();
+      resourceKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: [
+          ...uploadBody(resourceKey, uuid.v4(), "one.txt"),
+          ...uploadBody(resourceKey, uuid.v4(), "two.txt"),
+        ],
+        files: [
+          { filename: "one.txt", content: "first file" },
+          { filename: "two.txt", content: "second file" },
+        ],
+      });
+    });
+
+    it("should download all attachments of a resource", async () => {
+      const route = zipRoutes.find(({ routePostfix }) =>
+        routePostfix.startsWith("/:key")
+      );
+      const result = await kit.download(route, {
+        params: { key: resourceKey },
+      });
+
+      assert.equal(result.status, 200);
+      assert.equal(result.headers["Content-Type"], "application/zip");
+      assert.equal(
+        result.headers["Content-Disposition"],
+        `attachment; filename="${resourceKey}.zip"`
+      );
+      assert.deepEqual(await unzip(result.content), {
+        "one.txt": "first file",
+        "two.txt": "second file",
+      });
+    });
+
+    it("should name the files after the original filenames of listAttachments", async () => {
+      const otherKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(otherKey, uuid.v4(), "résumé.txt"),
+        files: [{ filename: "résumé.txt", content: "my cv" }],
+      });
+      const [route] = kit.attachments.customRoutesForZipDownload(
+        undefined,
+        async (_tx, _sriRequest, key) =>
+          Object.values(stored)
+            .filter(({ resource }) => resource.href === `${type}/${key}`)
+            .map(({ attachment, file }) => ({
+              href: `${type}/${key}/attachments/${attachment.key}`,
+              name: file.filename,
+              originalFilename: file.originalFilename,
+            }))
+      );
+
+      const result = await kit.download(route, { params: { key: otherKey } });
+
+      assert.ok(kit.getObjectKeys().includes(`${otherKey}-r_sum_.txt`));
+      assert.deepEqual(await unzip(result.content), { "résumé.txt": "my cv" });
+    });
+
+    it("should download a list of attachments by href", async () => {
+      const otherKey = uuid.v4();
+      await kit.upload(routes.upload, {
+        body: uploadBody(otherKey, uuid.v4(), "one.txt"),
+        files: [{ filename: "one.txt", content: "other file" }],
+      });
+      const hrefs = [
+        `${type}/${resourceKey}/attachments/one.txt`,
+        `${type}/${otherKey}/attachments/one.txt`,
+      ];
+
+      const result = await kit.download(zipRoutes[1], {
+        query: { hrefs: hrefs.join(",") },
+      });
+
+      assert.deepEqual(await unzip(result.content), {
+        "one.txt": "first file",
+        "one (2).txt": "other file",
+      });
+    });
+
+    it("should refuse invalid or missing hrefs", async () => {
+      await assert.rejects(
+        kit.download(zipRoutes[1], { query: { hrefs: "not-an-href" } }),
+        isSriError(400, "invalid.hrefs")
+      );
+      await assert.rejects(
+        kit.download(zipRoutes[1], {
+          query: { hrefs: `${type}/${resourceKey}/attachments/missing.txt` },
+        }),
+        isSriError(404, "file.not.found")
+      );
+    });
+  });
+
+  describe("cascade deletes", () => {
+    let resourceKeys;
+
+    beforeEach(async () => {
+      const resourceKey = uuid.v4();
+      // the files of the second resource also start with "<first resource key>-"
+      resourceKeys = [resourceKey, `${resourceKey}-two`, uuid.v4()];
+      await kit.upload(routes.upload, {
+        body: [
+          ...uploadBody(resourceKeys[0], uuid.v4(), "one.txt"),
+          ...uploadBody(resourceKeys[0], uuid.v4(), "two.txt"),
+          ...uploadBody(resourceKeys[1], uuid.v4(), "one.txt"),
+          ...uploadBody(resourceKeys[2], uuid.v4(), "one.txt"),
+        ],
+        files: [
+          { filename: "one.txt", content: "first file" },
+          { filename: "two.txt", content: "second file" },
+        ],
+      });
+    });
+
+    const deleted = (resourceKey) => [{ permalink: `${type}/${resourceKey}` }];
+
+    const listAttachments = async (_tx, _sriRequest, resourceKey) =>
+      Object.values(stored)
+        .filter(({ resource }) => resource.key === resourceKey)
+        .map(({ attachment, file }) => ({
+          href: `${type}/${resourceKey}/attachments/${attachment.key}`,
+          name: file.filename,
+        }));
+
+    it("should remove the files and rows of a deleted resource", async () => {
+      const persisted = [];
+      const afterDelete = kit.attachments.afterDeleteForCascade({
+        softDelete: false,
+        persistence: {
+          listAttachments,
+          deleteAttachmentsOfResource: async (_tx, resourceKey, options) => {
+            persisted.push([resourceKey, options]);
+          },
+        },
+      });
+
+      await afterDelete({}, kit.createSriRequest({}), deleted(resourceKeys[0]));
+
+      assert.deepEqual(
+        kit.getObjectKeys().sort(),
+        [`${resourceKeys[1]}-one.txt`, `${resourceKeys[2]}-one.txt`].sort()
+      );
+      assert.deepEqual(persisted, [[resourceKeys[0], { soft: false }]]);
+    });
+
+    it("should only remove the listed files", async () => {
+      const afterDelete = kit.attachments.afterDeleteForCascade({
+        softDelete: false,
+        listAttachments: async () => [
+          { href: `${type}/${resourceKeys[0]}/attachments/a`, name: "one.txt" },
+        ],
+      });
+
+      await afterDelete({}, kit.createSriRequest({}), deleted(resourceKeys[0]));
+
+      assert.equal(kit.getObjectKeys().length, 3);
+      assert.ok(!kit.getObjectKeys().includes(`${resourceKeys[0]}-one.txt`));
+    });
+
+    it("should keep the files of a soft deleted resource by default", async () => {
+      const persisted = [];
+      const afterDelete = kit.attachments.afterDeleteForCascade({
+        persistence: {
+          listAttachments,
+          deleteAttachmentsOfResource: async (_tx, resourceKey, options) => {
+            persisted.push([resourceKey, options]);
+          },
+        },
+      });
+
+      await afterDelete({}, kit.createSriRequest({}), deleted(resourceKeys[0]));
+
+      assert.equal(kit.getObjectKeys().length, 4);
+      assert.deepEqual(persisted, [[resourceKeys[0], { soft: true }]]);
+    });
+
+    it("should refuse soft deletes with a persistence without a deleted column", async () => {
+      assert.throws(
+        () =>
+          kit.attachments.afterDeleteForCascade({
+            persistence: postgresPersistenceFactory({ table: "attachments" }),
+          }),
+        /can not mark the attachments of a resource as deleted/
+      );
+
+      const queries = [];
+      const tx = {
+        none: async (sql) => {
+          queries.push(sql);
+        },
+      };
+      const afterDelete = kit.attachments.afterDeleteForCascade({
+        persistence: postgresPersistenceFactory({
+          table: "attachments",
+          columns: { deleted: "$$meta.deleted" },
+        }),
+      });
+      await afterDelete(tx, kit.createSriRequest({}), deleted(resourceKeys[0]));
+
+      assert.equal(kit.getObjectKeys().length, 4);
+      assert.deepEqual(queries, [
+        'UPDATE "attachments" SET "$$meta.deleted" = true, "$$meta.modified" = now() WHERE "resource" = $1 AND "$$meta.deleted" = false',
+      ]);
+    });
+
+    it("should remove all files that start with the key with deleteByPrefix", async () => {
+      const afterDelete = kit.attachments.afterDeleteForCascade({
+        softDelete: false,
+        deleteByPrefix: true,
+      });
+
+      await afterDelete({}, kit.createSriRequest({}), deleted(resourceKeys[2]));
+
+      assert.deepEqual(
+        kit.getObjectKeys().sort(),
+        [
+          `${resourceKeys[0]}-one.txt`,
+          `${resourceKeys[0]}-two.txt`,
+          `${resourceKeys[1]}-one.txt`,
+        ].sort()
+      );
+    });
+
+    it("should refuse to cascade without a way to list the attachments", () => {
+      assert.throws(
+        () => kit.attachments.afterDeleteForCascade({ softDelete: false }),
+        /needs listAttachments/
+      );
+    });
+
+    it("should add the hook to the resources of the given types", () => {
+      const existingHook = async () => {};
+      const sriConfig = {
+        resources: [
+          { type: "/things", afterDelete: [existingHook] },
+          { type: "/persons" },
+          { type: "/audit" },
+        ],
+      };
+
+      kit.attachments.installCascadeDelete(sriConfig, {
+        types: ["/things", "/persons"],
+        listAttachments,
+      });
+
+      assert.deepEqual(
+        sriConfig.resources.map(
+          ({ afterDelete }) => (afterDelete || []).length
+        ),
+        [2, 1, 0]
+      );
+      assert.equal(sriConfig.resources[0].afterDelete[0], existingHook);
+    });
+
+    it("should refuse to install the hook on an unknown type", () => {
+      assert.throws(
+        () =>
+          kit.attachments.installCascadeDelete(
+            { resources: [{ type: "/things" }] },
+            { types: ["/thngs"], listAttachments }
+          ),
+        /no resources of type \/thngs/
+      );
+    });
+  });
+
+  it("should return a 404 SriError for a missing file", async () => {
+    await assert.rejects(
+      kit.download(routes.download, {
+        params: { key: uuid.v4(), filename: "missing.txt" },
+      }),
+      isSriError(404, "file.not.found")
+    );
+  });
+});
@@ -76,8 +76,7 @@ const runTests = async (httpClient, checkStoreAttachmentsReceivedList) => {
 
   testPartyAttachmentsCheckStoreAttachmentMod.factory(httpClient, "/partiesS3", checkStoreAttachmentsReceivedList);
 
-  // local storage is currenlty not supported anymore
-  // require("./testPartyAttachments")(base, "/partiesFolder");
+  require("./testPartyAttachments")(httpClient, "/partiesFolder");
 };
 
 
@@ -85,6 +84,10 @@ describe("Unit tests : ", () => {
   require("./unitTests");
 });
 
+describe("Test kit (in-memory storage) : ", () => {
+  require("./testTestKit");
+});
+
 // To be able to test the attachments plugin with different configuration parameters we need to start
 // different server instances:
 //                                    handleMultipleUploadsTogether  uploadInSequence
@@ -1,6 +1,8 @@
 /* eslint-disable strict */
 /* eslint-disable indent */
+/*global Buffer*/
 const assert = require("assert");
+const fs = require("fs");
 const rewire = require("rewire");
 
 const sri4nodeAttachments = rewire("../js/sri4node-attachments.js");
@@ -38,3 +40,598 @@ describe("getSafeFilename", () => {
     });
   });
 });
+
+describe("isFileTypeAllowed", () => {
+  const isFileTypeAllowed = sri4nodeAttachments.__get__("isFileTypeAllowed");
+
+  const testCases = [
+    {
+      description: "Should allow everything without restrictions",
+      filename: "setup.exe",
+      mimetype: "application/octet-stream",
+      restrictions: {},
+      expected: true,
+    },
+    {
+      description: "Should allow mime types matching a wildcard",
+      filename: "profile.png",
+      mimetype: "image/png",
+      restrictions: { allowedMimeTypes: ["image/*", "application/pdf"] },
+      expected: true,
+    },
+    {
+      description: "Should ignore mime type parameters",
+      filename: "notes.txt",
+      mimetype: "text/plain; charset=utf-8",
+      restrictions: { allowedMimeTypes: ["text/plain"] },
+      expected: true,
+    },
+    {
+      description: "Should refuse mime types not in the allowed list",
+      filename: "notes.txt",
+      mimetype: "text/plain",
+      restrictions: { allowedMimeTypes: ["image/*"] },
+      expected: false,
+    },
+    {
+      description: "Should refuse denied mime types",
+      filename: "script.sh",
+      mimetype: "application/x-sh",
+      restrictions: { deniedMimeTypes: ["application/x-sh"] },
+      expected: false,
+    },
+    {
+      description: "Should compare extensions case insensitive, with or without dot",
+      filename: "PROFILE.PNG",
+      mimetype: "image/png",
+      restrictions: { allowedExtensions: [".png", "jpg"] },
+      expected: true,
+    },
+    {
+      description: "Should refuse denied extensions, even when the mime type is allowed",
+      filename: "setup.exe",
+      mimetype: "image/png",
+      restrictions: { allowedMimeTypes: ["image/*"], deniedExtensions: ["exe"] },
+      expected: false,
+    },
+    {
+      description: "Should refuse files without extension when extensions are restricted",
+      filename: "README",
+      mimetype: "text/plain",
+      restrictions: { allowedExtensions: ["txt"] },
+      expected: false,
+    },
+  ];
+
+  testCases.forEach((c) => {
+    it(c.description, () => {
+      assert.equal(
+        isFileTypeAllowed(c.filename, c.mimetype, c.restrictions),
+        c.expected
+      );
+    });
+  });
+});
+
+describe("parseRangeHeader", () => {
+  const parseRangeHeader = sri4nodeAttachments.__get__("parseRangeHeader");
+
+  const testCases = [
+    { header: "bytes=0-99", size: 1000, expected: { start: 0, end: 99 } },
+    { header: "bytes=900-", size: 1000, expected: { start: 900, end: 999 } },
+    { header: "bytes=-100", size: 1000, expected: { start: 900, end: 999 } },
+    { header: "bytes=-2000", size: 1000, expected: { start: 0, end: 999 } },
+    {
+      header: "bytes=990-2000",
+      size: 1000,
+      expected: { start: 990, end: 999 },
+    },
+    { header: "bytes=1000-", size: 1000, expected: null },
+    { header: "bytes=-0", size: 1000, expected: null },
+    { header: "bytes=0-", size: 0, expected: null },
+    { header: "bytes=0-1,5-6", size: 1000, expected: undefined },
+    { header: "bytes=5-1", size: 1000, expected: undefined },
+    { header: "items=0-1", size: 1000, expected: undefined },
+    { header: "bytes=-", size: 1000, expected: undefined },
+  ];
+
+  testCases.forEach((c) => {
+    it(`Should parse '${c.header}' for a file of ${c.size} bytes`, () => {
+      assert.deepEqual(parseRangeHeader(c.header, c.size), c.expected);
+    });
+  });
+});
+
+describe("isIfMatchSatisfied", () => {
+  const isIfMatchSatisfied = sri4nodeAttachments.__get__("isIfMatchSatisfied");
+  const meta = { ETag: '"abc"' };
+
+  const testCases = [
+    { ifMatch: undefined, meta, expected: true },
+    { ifMatch: undefined, meta: null, expected: true },
+    { ifMatch: '"abc"', meta, expected: true },
+    { ifMatch: '"xyz", "abc"', meta, expected: true },
+    { ifMatch: '"xyz"', meta, expected: false },
+    { ifMatch: 'W/"abc"', meta, expected: false },
+    { ifMatch: "*", meta, expected: true },
+    { ifMatch: "*", meta: null, expected: false },
+    { ifMatch: '"abc"', meta: null, expected: false },
+  ];
+
+  testCases.forEach((c) => {
+    it(`Should return ${c.expected} for '${c.ifMatch}' and ${
+      c.meta ? "an existing" : "no"
+    } file`, () => {
+      assert.equal(isIfMatchSatisfied(c.ifMatch, c.meta), c.expected);
+    });
+  });
+});
+
+describe("parseTusMetadata", () => {
+  const parseTusMetadata = sri4nodeAttachments.__get__("parseTusMetadata");
+
+  const testCases = [
+    {
+      header: "filename aGVsbG8udHh0,filetype dGV4dC9wbGFpbg==",
+      expected: { filename: "hello.txt", filetype: "text/plain" },
+    },
+    {
+      header: "filename aGVsbG8udHh0, empty",
+      expected: { filename: "hello.txt", empty: "" },
+    },
+    { header: "", expected: {} },
+    { header: undefined, expected: {} },
+    { header: "filename hello.txt", expected: undefined },
+    { header: "filename aGVsbG8udHh0 extra", expected: undefined },
+    { header: "empty,empty", expected: undefined },
+  ];
+
+  testCases.forEach((c) => {
+    it(`Should parse '${c.header}'`, () => {
+      assert.deepEqual(parseTusMetadata(c.header), c.expected);
+    });
+  });
+});
+
+describe("getFilenameFromContentDisposition", () => {
+  const getFilenameFromContentDisposition = sri4nodeAttachments.__get__(
+    "getFilenameFromContentDisposition"
+  );
+
+  const testCases = [
+    { header: 'attachment; filename="report.pdf"', expected: "report.pdf" },
+    { header: "attachment; filename=report.pdf", expected: "report.pdf" },
+    {
+      header: 'inline; filename="my \\"report\\".pdf"',
+      expected: 'my "report".pdf',
+    },
+    {
+      header: "attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf",
+      expected: "résumé.pdf",
+    },
+    {
+      header:
+        "attachment; filename=\"resume.pdf\"; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf",
+      expected: "résumé.pdf",
+    },
+    {
+      header: "attachment; filename*=UTF-8''%E0%A4%A.pdf; filename=resume.pdf",
+      expected: "resume.pdf",
+    },
+    { header: "attachment", expected: undefined },
+    { header: undefined, expected: undefined },
+  ];
+
+  testCases.forEach((c) => {
+    it(`Should get the filename from '${c.header}'`, () => {
+      assert.equal(getFilenameFromContentDisposition(c.header), c.expected);
+    });
+  });
+});
+
+describe("isHostAllowed", () => {
+  const isHostAllowed = sri4nodeAttachments.__get__("isHostAllowed");
+  const allowedHosts = ["files.example.com", "localhost:8080", "*.cdn.com"];
+
+  const testCases = [
+    { url: "https://files.example.com/a.txt", expected: true },
+    { url: "http://FILES.example.com:3000/a.txt", expected: true },
+    { url: "https://other.example.com/a.txt", expected: false },
+    { url: "http://localhost:8080/a.txt", expected: true },
+    { url: "http://localhost:8081/a.txt", expected: false },
+    { url: "https://eu.cdn.com/a.txt", expected: true },
+    { url: "https://cdn.com/a.txt", expected: false },
+    { url: "https://evilcdn.com/a.txt", expected: false },
+  ];
+
+  testCases.forEach((c) => {
+    it(`Should ${c.expected ? "allow" : "refuse"} '${c.url}'`, () => {
+      assert.equal(isHostAllowed(new URL(c.url), allowedHosts), c.expected);
+    });
+  });
+});
+
+describe("isSafeZipEntryName", () => {
+  const isSafeZipEntryName = sri4nodeAttachments.__get__("isSafeZipEntryName");
+
+  const testCases = [
+    { name: "worksheet.pdf", expected: true },
+    { name: "week 1/worksheet.pdf", expected: true },
+    { name: "notes..txt", expected: true },
+    { name: "../worksheet.pdf", expected: false },
+    { name: "week 1/../../worksheet.pdf", expected: false },
+    { name: "week 1\\..\\..\\worksheet.pdf", expected: false },
+    { name: "/etc/passwd", expected: false },
+    { name: "C:\\worksheet.pdf", expected: false },
+    { name: "", expected: false },
+  ];
+
+  testCases.forEach((c) => {
+    it(`Should ${c.expected ? "allow" : "refuse"} '${c.name}'`, () => {
+      assert.equal(isSafeZipEntryName(c.name), c.expected);
+    });
+  });
+});
+
+describe("file-type", () => {
+  const { detectMimeType, isMimeTypeCompatible } = require("../js/file-type.js");
+
+  it("should detect a png file", async () => {
+    assert.equal(
+      await detectMimeType(fs.readFileSync("test/images/orange-boy-icon.png")),
+      "image/png"
+    );
+  });
+
+  it("should detect an executable", async () => {
+    assert.equal(
+      await detectMimeType(Buffer.from("MZ\x90\x00\x03\x00\x00\x00", "latin1")),
+      "application/x-msdownload"
+    );
+  });
+
+  it("should not detect anything in text files", async () => {
+    assert.equal(
+      await detectMimeType(Buffer.from("just some text")),
+      undefined
+    );
+  });
+
+  it("should consider container formats compatible with their contents", () => {
+    assert.equal(
+      isMimeTypeCompatible(
+        "application/zip",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+      ),
+      true
+    );
+  });
+
+  it("should consider the other names of a detected type compatible", () => {
+    assert.equal(isMimeTypeCompatible("audio/vnd.wave", "audio/wave"), true);
+    assert.equal(isMimeTypeCompatible("video/quicktime", "video/mp4"), true);
+    assert.equal(
+      isMimeTypeCompatible("application/xml", "image/svg+xml"),
+      true
+    );
+  });
+
+  it("should not consider an executable compatible with an image", () => {
+    assert.equal(
+      isMimeTypeCompatible("application/x-msdownload", "image/png"),
+      false
+    );
+  });
+
+  it("should not assume a mismatch when nothing specific is known", () => {
+    assert.equal(isMimeTypeCompatible(undefined, "image/png"), true);
+    assert.equal(
+      isMimeTypeCompatible("image/png", "application/octet-stream"),
+      true
+    );
+  });
+});
+
+describe("zip", () => {
+  const { Readable } = require("stream");
+  const {
+    getUniqueName,
+    createZipStream,
+    readZipDirectory,
+  } = require("../js/zip.js");
+
+  const streamToBuffer = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  it("should add a number to names that are already in the archive", () => {
+    const usedNames = new Set();
+    assert.deepEqual(
+      ["report.pdf", "Report.pdf", "report.pdf", "notes"].map((name) =>
+        getUniqueName(name, usedNames)
+      ),
+      ["report.pdf", "Report (2).pdf", "report (3).pdf", "notes"]
+    );
+  });
+
+  it("should read the files of a zip that it has written", async () => {
+    const zip = await streamToBuffer(
+      createZipStream([
+        { name: "a.txt", open: async () => Readable.from(["first file"]) },
+        { name: "empty.txt", open: async () => Readable.from([]) },
+      ])
+    );
+    const openRange = async ({ start, end }) =>
+      Readable.from([zip.subarray(start, end + 1)]);
+
+    const entries = await readZipDirectory(zip.length, openRange);
+    const contents = await Promise.all(
+      entries.map(async (entry) =>
+        (await streamToBuffer(await entry.open())).toString()
+      )
+    );
+
+    assert.deepEqual(
+      entries.map(({ name, size }) => ({ name, size })),
+      [
+        { name: "a.txt", size: 10 },
+        { name: "empty.txt", size: 0 },
+      ]
+    );
+    assert.deepEqual(contents, ["first file", ""]);
+  });
+
+  it("should fail the archive when a file can not be read", async () => {
+    await assert.rejects(
+      streamToBuffer(
+        createZipStream([
+          { name: "a.txt", open: async () => Readable.from(["first file"]) },
+          {
+            name: "b.txt",
+            open: async () => {
+              throw new Error("storage unavailable");
+            },
+          },
+        ])
+      ),
+      /storage unavailable/
+    );
+  });
+
+  it("should fail on a file that is larger than declared", async () => {
+    const zip = await streamToBuffer(
+      createZipStream([
+        { name: "a.txt", open: async () => Readable.from(["first file"]) },
+      ])
+    );
+    // declare a smaller size in the central directory
+    zip.writeUInt32LE(5, zip.indexOf("PK\x01\x02", 0, "latin1") + 24);
+    const openRange = async ({ start, end }) =>
+      Readable.from([zip.subarray(start, end + 1)]);
+    const [entry] = await readZipDirectory(zip.length, openRange);
+
+    await assert.rejects(streamToBuffer(await entry.open()), /too many bytes/);
+  });
+
+  it("should refuse a file that is not a zip", async () => {
+    const notAZip = Buffer.from("this is not a zip file, just some text");
+    await assert.rejects(
+      readZipDirectory(notAZip.length, async ({ start, end }) =>
+        Readable.from([notAZip.subarray(start, end + 1)])
+      ),
+      /not a zip file/
+    );
+  });
+});
+
+describe("postgresPersistenceFactory", () => {
+  const {
+    postgresPersistenceFactory,
+  } = require("../js/persistence/postgres.js");
+  const { TestSriError } = require("../js/test-kit.js");
+
+  /**
+   * A fake pg-promise transaction that records the queries, and returns the given rows.
+   *
+   * @param {Array<Record<string, any>>} [rows]
+   * @returns {{
+   *    queries: Array<{ sql: string, values?: Array<any> }>,
+   *    none: (sql: string, values?: Array<any>) => Promise<void>,
+   *    any: (sql: string, values?: Array<any>) => Promise<Array<Record<string, any>>>,
+   *    oneOrNone: (sql: string, values?: Array<any>) => Promise<Record<string, any> | null>,
+   * }}
+   */
+  const fakeTx = (rows = []) => {
+    /** @type {Array<{ sql: string, values?: Array<any> }>} */
+    const queries = [];
+    /**
+     * @param {string} sql
+     * @param {Array<any>} [values]
+     */
+    const query = async (sql, values) => {
+      queries.push({ sql, values });
+      return rows;
+    };
+    return {
+      queries,
+      none: async (sql, values) => {
+        await query(sql, values);
+      },
+      any: query,
+      oneOrNone: async (sql, values) => (await query(sql, values))[0] || null,
+    };
+  };
+  const sriRequest = { sriType: "/things", SriError: TestSriError };
+  const upload = {
+    file: {
+      filename: "report.pdf",
+      originalFilename: "report.pdf",
+      mimetype: "application/pdf",
+      size: 1234,
+      hash: '"abc"',
+    },
+    attachment: { key: "a-key", description: "a report" },
+    resource: { href: "/things/r-key", key: "r-key" },
+  };
+
+  it("should insert or replace an uploaded attachment", async () => {
+    const tx = fakeTx();
+    await postgresPersistenceFactory({
+      table: "myschema.attachments",
+    }).runAfterUpload(tx, sriRequest, upload);
+
+    assert.deepEqual(tx.queries, [
+      {
+        sql:
+          'INSERT INTO "myschema"."attachments" ("key", "resource", "filename", "originalfilename", "contenttype", "size", "hash", "description", "$$meta.created", "$$meta.modified") ' +
+          "VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now(), now()) " +
+          'ON CONFLICT ("key") DO UPDATE SET "resource" = EXCLUDED."resource", "filename" = EXCLUDED."filename", "originalfilename" = EXCLUDED."originalfilename", "contenttype" = EXCLUDED."contenttype", "size" = EXCLUDED."size", "hash" = EXCLUDED."hash", "description" = EXCLUDED."description", "$$meta.modified" = now()',
+        values: [
+          "a-key",
+          "r-key",
+          "report.pdf",
+          "report.pdf",
+          "application/pdf",
+          1234,
+          '"abc"',
+          "a report",
+        ],
+      },
+    ]);
+  });
+
+  it("should only use the columns the table has", async () => {
+    const tx = fakeTx();
+    await postgresPersistenceFactory({
+      table: "partyattachments",
+      columns: {
+        resource: "party",
+        originalFilename: null,
+        contentType: null,
+        size: null,
+        hash: null,
+        description: null,
+        created: null,
+        modified: null,
+      },
+    }).runAfterUpload(tx, sriRequest, [upload]);
+
+    assert.deepEqual(tx.queries, [
+      {
+        sql:
+          'INSERT INTO "partyattachments" ("key", "party", "filename") VALUES ($1, $2, $3) ' +
+          'ON CONFLICT ("key") DO UPDATE SET "party" = EXCLUDED."party", "filename" = EXCLUDED."filename"',
+        values: ["a-key", "r-key", "report.pdf"],
+      },
+    ]);
+  });
+
+  it("should turn a row into the json of an attachment", async () => {
+    const created = new Date("2024-01-01T10:00:00.000Z");
+    const tx = fakeTx([
+      {
+        key: "a-key",
+        resource: "r-key",
+        filename: "report.pdf",
+        originalfilename: "report.pdf",
+        contenttype: "application/pdf",
+        size: "1234",
+        hash: null,
+        description: "a report",
+        "$$meta.created": created,
+        "$$meta.modified": created,
+      },
+    ]);
+    const persistence = postgresPersistenceFactory({ table: "attachments" });
+
+    const [json] = await persistence.listAttachments(tx, sriRequest, "r-key");
+
+    assert.deepEqual(JSON.parse(JSON.stringify(json)), {
+      $$meta: {
+        created: "2024-01-01T10:00:00.000Z",
+        modified: "2024-01-01T10:00:00.000Z",
+        permalink: "/things/r-key/attachments/a-key",
+      },
+      href: "/things/r-key/attachments/a-key",
+      key: "a-key",
+      name: "report.pdf",
+      originalFilename: "report.pdf",
+      contentType: "application/pdf",
+      size: 1234,
+      description: "a report",
+    });
+    assert.equal(
+      await persistence.getFileName(tx, sriRequest, "r-key", "a-key"),
+      "report.pdf"
+    );
+  });
+
+  it("should throw a 404 when the attachment does not exist", async () => {
+    const persistence = postgresPersistenceFactory({ table: "attachments" });
+    const isNotFound = (err) =>
+      err.status === 404 && err.body.errors[0].code === "attachment.not.found";
+
+    await assert.rejects(
+      persistence.getAttJson(fakeTx(), sriRequest, "r-key", "a-key"),
+      isNotFound
+    );
+    await assert.rejects(
+      persistence.getFileName(fakeTx(), sriRequest, "r-key", "a-key"),
+      isNotFound
+    );
+  });
+
+  it("should mark the attachments of a resource as deleted", async () => {
+    const tx = fakeTx([{ filename: "report.pdf" }]);
+    const persistence = postgresPersistenceFactory({
+      table: "attachments",
+      columns: { deleted: "$$meta.deleted" },
+    });
+
+    await persistence.deleteAttachmentsOfResource(tx, "r-key", { soft: true });
+    await persistence.getFileName(tx, sriRequest, "r-key", "a-key");
+    await persistence.deleteAttachmentsOfResource(tx, "r-key");
+
+    assert.deepEqual(tx.queries, [
+      {
+        sql: 'UPDATE "attachments" SET "$$meta.deleted" = true, "$$meta.modified" = now() WHERE "resource" = $1 AND "$$meta.deleted" = false',
+        values: ["r-key"],
+      },
+      {
+        sql: 'SELECT "filename" FROM "attachments" WHERE "key" = $1 AND "resource" = $2 AND "$$meta.deleted" = false',
+        values: ["a-key", "r-key"],
+      },
+      {
+        sql: 'DELETE FROM "attachments" WHERE "resource" = $1',
+        values: ["r-key"],
+      },
+    ]);
+  });
+
+  it("should refuse to mark attachments as deleted without a deleted column", async () => {
+    const tx = fakeTx();
+    await assert.rejects(
+      postgresPersistenceFactory({
+        table: "attachments",
+      }).deleteAttachmentsOfResource(tx, "r-key", { soft: true }),
+      /without a deleted column/
+    );
+
+    assert.deepEqual(tx.queries, []);
+  });
+
+  it("should refuse a configuration without a required column", () => {
+    assert.throws(
+      () =>
+        postgresPersistenceFactory({
+          table: "attachments",
+          columns: { filename: null },
+        }),
+      /filename column is required/
+    );
+  });
+});